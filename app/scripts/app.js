@@ -26,6 +26,11 @@ angular.module('meanSsoApp', [
         controller: 'SettingsCtrl',
         authenticate: true
       })
+      .when('/applications', {
+        templateUrl: 'partials/applications',
+        controller: 'ApplicationsCtrl',
+        authenticate: true
+      })
       .when('/social', {
         templateUrl: 'partials/social',
         controller: 'SocialCtrl',
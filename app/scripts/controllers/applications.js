@@ -0,0 +1,19 @@
+'use strict';
+
+angular.module('meanSsoApp')
+  .controller('ApplicationsCtrl', function ($scope, MeanSsoApi) {
+    $scope.errors = {};
+
+    $scope.applications = MeanSsoApi.meApplications.query();
+
+    $scope.revoke = function (application) {
+      MeanSsoApi.meApplications.delete({ clientID: application.id })
+        .$promise.then( function() {
+          $scope.applications.splice($scope.applications.indexOf(application), 1);
+          $scope.message = application.name + ' no longer has access to your account.';
+        })
+        .catch( function() {
+          $scope.errors.other = 'Unable to revoke';
+        });
+    };
+  });
@@ -2,7 +2,9 @@
 
 angular.module('meanSsoApp')
   .controller('LoginCtrl', function ($scope, Auth, $location) {
-    $scope.user = {};
+    /*jshint camelcase: false */
+    // clients may pass a login_hint to the authorization endpoint, which sends the user here with it
+    $scope.user = { email: $location.search().login_hint };
     $scope.errors = {};
 
     $scope.login = function(form) {
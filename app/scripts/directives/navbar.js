@@ -15,6 +15,9 @@ angular.module('meanSsoApp')
         }, {
           'title': 'Settings',
           'link': '/settings'
+        }, {
+          'title': 'Applications',
+          'link': '/applications'
         }];
 
         $scope.isActive = function(route) {
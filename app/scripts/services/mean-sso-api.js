@@ -34,6 +34,13 @@ angular.module('meanSsoApp')
     });
     this.personae = $resource('/api2/personae/:personaID');
 
+    /**
+     * GET the applications connected to my account, DELETE to disconnect one.
+     */
+    this.meApplications = $resource('/api2/me/applications/:clientID', {
+      clientID: '@id'
+    });
+
     this.messages = $resource('/api2/messages/:messageID', {
       personaID: '@id'
     });
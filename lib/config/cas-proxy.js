@@ -0,0 +1,152 @@
+/**
+ * CAS proxying: a service calls back-end services on the user's behalf with proxy tickets.
+ *
+ * A service validating a ticket with a `pgtUrl` is granted a proxy-granting ticket (PGT). The PGT is delivered to
+ * the pgtUrl along with a PGTIOU, which the validation response also carries so the service can tell which user the
+ * PGT is for. The pgtUrl must be one of the proxyCallbackUris registered for the service, and delivering it over
+ * verified HTTPS is what proves the service answers there.
+ * The service presents the PGT to /cas/proxy to obtain proxy tickets (PT) for back-end services, which validate them
+ * at /cas/proxyValidate. Both remember the chain of pgtUrls the user's authentication was proxied through.
+ *
+ * See https://apereo.github.io/cas/development/protocol/CAS-Protocol-Specification.html#254-proxy-callback
+ */
+'use strict';
+
+var https = require('https'),
+  url = require('url'),
+  config = require('./config'),
+  uid = require('../helpers/uid'),
+  models = require('./models'),
+  Client = models.model('Client'),
+  AuthorizationCode = models.model('AuthorizationCode'),
+  ProxyGrantingTicket = models.model('ProxyGrantingTicket'),
+  AuditEvent = models.model('AuditEvent');
+
+/**
+ * Returns true when the pgtUrl of a service may be called back: only HTTPS URLs can be verified
+ */
+exports.isValidCallback = function (pgtUrl) {
+  return url.parse(pgtUrl).protocol === 'https:';
+};
+
+/**
+ * GET `pgtUrl` with the `params`, succeeding when the certificate of the service is trusted and it answers 200
+ *
+ * @param pgtUrl
+ * @param params
+ * @param done fn(err)
+ */
+function callback(pgtUrl, params, done) {
+  var parsed = url.parse(pgtUrl, true);
+  delete parsed.search;
+  Object.keys(params).forEach(function (name) {
+    parsed.query[name] = params[name];
+  });
+  var options = url.parse(url.format(parsed));
+  options.method = 'GET';
+  options.ca = config.cas.proxyCallbackCa;
+  options.rejectUnauthorized = true;
+  options.agent = false;
+  var finished = false;
+  function finish(err) {
+    if (finished) { return; }
+    finished = true;
+    done(err);
+  }
+  var req = https.request(options, function (res) {
+    res.resume();
+    res.on('end', function () {
+      if (res.statusCode !== 200) {
+        return finish(new Error('Error ' + res.statusCode + ' calling back ' + pgtUrl));
+      }
+      finish();
+    });
+  });
+  req.setTimeout(config.cas.proxyCallbackTimeout, function () {
+    req.abort();
+    finish(new Error('Timeout calling back ' + pgtUrl));
+  });
+  req.on('error', finish);
+  req.end();
+}
+
+/**
+ * Grant a proxy-granting ticket to the service `clientID`, delivering it to its `pgtUrl`.
+ * The ticket is only granted when the callback succeeds. Failures are recorded as audit events, the service is then
+ * validated without a ticket.
+ *
+ * @param pgtUrl The HTTPS callback URL registered for the service, see isValidCallback() and
+ * Client.hasProxyCallbackUri()
+ * @param userID The user the ticket validated by the service was issued for
+ * @param clientID The service
+ * @param proxies The pgtUrls of the ticket validated by the service, when it is a proxy ticket
+ * @param done fn(err, pgtIou) the PGTIOU to return to the service, undefined when the callback failed
+ */
+exports.grantProxyGrantingTicket = function (pgtUrl, userID, clientID, proxies, done) {
+  var ticket = uid.uid(config.cas.proxyGrantingTicketLength);
+  var pgtIou = 'PGTIOU-' + uid.uid(config.cas.proxyGrantingTicketLength);
+  var expirationDate = new Date(Date.now() + config.cas.proxyGrantingTicketExpiresIn * 1000);
+  // saved first, the service may use the ticket as soon as it receives it
+  ProxyGrantingTicket.saveTicket(ticket, userID, clientID, [pgtUrl].concat(proxies || []), expirationDate,
+    function (err) {
+      if (err) {
+        return done(err);
+      }
+      callback(pgtUrl, { pgtId: 'PGT-' + ticket, pgtIou: pgtIou }, function (err) {
+        if (!err) {
+          return done(null, pgtIou);
+        }
+        AuditEvent.record('proxy_callback_failed', {
+          userID: userID,
+          clientID: clientID,
+          details: { message: err.message }
+        });
+        ProxyGrantingTicket.deleteTicket(ticket, function (err) {
+          done(err);
+        });
+      });
+    });
+};
+
+/**
+ * Issue a proxy ticket for the `targetService` to the holder of the proxy-granting ticket `pgtId`.
+ * The target service must be registered, like the services users log into.
+ *
+ * @param pgtId The proxy-granting ticket, with its PGT- prefix
+ * @param targetService The URL of the back-end service
+ * @param done fn(err, ticket, failure) the proxy ticket with its PT- prefix, or false and the { code, description }
+ * of the CAS proxyFailure
+ */
+exports.issueProxyTicket = function (pgtId, targetService, done) {
+  var notRecognized = { code: 'INVALID_TICKET', description: 'Ticket ' + pgtId + ' not recognized' };
+  if (pgtId.lastIndexOf('PGT-', 0) !== 0) {
+    return done(null, false, notRecognized);
+  }
+  ProxyGrantingTicket.findTicket(pgtId.substring(4), function (err, pgt) {
+    if (err) {
+      return done(err);
+    }
+    if (!pgt) {
+      return done(null, false, notRecognized);
+    }
+    Client.findByRedirectUri(targetService, function (err, service) {
+      if (err) {
+        return done(err);
+      }
+      if (!service || !service.hasAllowedScopes(['login'])) {
+        return done(null, false, {
+          code: 'UNAUTHORIZED_SERVICE',
+          description: 'Service ' + targetService + ' is not authorized to use CAS'
+        });
+      }
+      var ticket = uid.uid(config.token.authorizationCodeLength);
+      AuthorizationCode.saveCode(ticket, service.id, targetService, pgt.userID, ['login'], { proxies: pgt.proxies },
+        function (err) {
+          if (err) {
+            return done(err);
+          }
+          return done(null, 'PT-' + ticket);
+        });
+    });
+  });
+};
@@ -0,0 +1,138 @@
+/**
+ * Verifies the JWTs clients sign to the token endpoint: the `client_assertion` they authenticate with
+ * (client_secret_jwt and private_key_jwt), and the `assertion` of the JWT bearer grant. Also verifies the request
+ * objects clients sign to the authorization endpoint.
+ *
+ * An assertion must be issued by the client, name the token endpoint as its audience, expire soon and carry a
+ * `jti` that was never used before. It is signed with the client secret when the client uses client_secret_jwt,
+ * otherwise with a key of the client's JWKS, see config/client-jwks.js.
+ *
+ * See http://tools.ietf.org/html/rfc7523#section-3
+ */
+'use strict';
+
+var _ = require('lodash'),
+  config = require('./config'),
+  oidc = require('./oidc'),
+  clientJwks = require('./client-jwks'),
+  replay = require('./replay'),
+  jwt = require('../helpers/jwt'),
+  models = require('./models'),
+  Client = models.model('Client');
+
+/**
+ * Verify a JWT with each of `keys` in turn, for clients with more than one valid secret
+ *
+ * @param assertion The JWT
+ * @param keys The keys, or a single getKey function
+ * @param options The jwt.verify() options
+ * @param done fn(err, payload)
+ */
+function verifyWithAnyKey(assertion, keys, options, done) {
+  keys = _.flatten([keys]);
+  (function next(i, lastErr) {
+    if (i >= keys.length) {
+      return done(lastErr || new Error('Unknown JWT signing key'));
+    }
+    jwt.verify(assertion, keys[i], options, function (err, payload) {
+      if (err) { return next(i + 1, err); }
+      return done(null, payload);
+    });
+  })(0);
+}
+
+/**
+ * Verify a JWT signed by `client`, issued by the client to `audience`.
+ *
+ * @param client The Client the JWT must be issued by
+ * @param token The JWT
+ * @param audience The audience the JWT must be addressed to
+ * @param kind What the JWT is for, logged when it is rejected, e.g. 'client_assertion'
+ * @param done fn(err, payload) where payload is null if the JWT is not acceptable
+ */
+function verifyClientJwt(client, token, audience, kind, done) {
+  var secretJwt = client.tokenEndpointAuthMethod === 'client_secret_jwt';
+  if (!secretJwt && !client.jwks && !client.jwksUri) {
+    return done(null, null);
+  }
+  verifyWithAnyKey(token, secretJwt ? client.secretKeys() : clientJwks.verificationKey(client), {
+    algorithms: Client.assertionAlgorithms[secretJwt ? 'client_secret_jwt' : 'private_key_jwt'],
+    issuer: client.clientId,
+    audience: audience,
+    clockTolerance: config.clientAuth.clockTolerance
+  }, function (err, payload) {
+    if (err) {
+      console.log('Rejected ' + kind + ' of ' + client.clientId + ': ' + err.message);
+      return done(null, null);
+    }
+    return done(null, payload);
+  });
+}
+
+/**
+ * Check the verified `payload` of a JWT signed by `client` may only be used once: it must have a `jti`, which is
+ * remembered until it expires, and an `exp` at most config.clientAuth.assertionMaxLifetime seconds away.
+ *
+ * @param client The Client the JWT was issued by
+ * @param payload The claims of the JWT
+ * @param namespace Keeps the `jti` of different kinds of JWTs apart, e.g. 'client_assertion'
+ * @param done fn(err, payload) where payload is null if the JWT is not acceptable
+ */
+function checkOneTime(client, payload, namespace, done) {
+  var expiresIn = payload.exp - jwt.now();
+  if (!payload.jti || typeof payload.exp !== 'number' ||
+    payload.exp - (payload.iat || jwt.now()) > config.clientAuth.assertionMaxLifetime) {
+    return done(null, null);
+  }
+  replay.check(namespace + ':' + client.clientId, payload.jti,
+    expiresIn + config.clientAuth.clockTolerance, function (err, replayed) {
+      if (err) {
+        return done(err);
+      }
+      return done(null, replayed ? null : payload);
+    });
+}
+
+/**
+ * Verify an assertion signed by `client`.
+ *
+ * @param client The Client the assertion must be issued by
+ * @param assertion The JWT
+ * @param namespace Keeps the `jti` of different kinds of assertions apart, e.g. 'client_assertion'
+ * @param done fn(err, payload) where payload is null if the assertion is not acceptable
+ */
+exports.verify = function (client, assertion, namespace, done) {
+  verifyClientJwt(client, assertion, config.rootUrl + '/oauth2/token', namespace, function (err, payload) {
+    if (err || !payload) {
+      return done(err, null);
+    }
+    checkOneTime(client, payload, namespace, done);
+  });
+};
+
+/**
+ * Verify a request object, the parameters of an authorization request signed by `client` and addressed to us.
+ * The parameters are the claims of the request object besides those of the JWT itself. Like client assertions,
+ * request objects must have an `exp` and a `jti` and can only be used once.
+ * See http://tools.ietf.org/html/rfc9101#section-4
+ *
+ * @param client The Client the request object must be issued by
+ * @param request The JWT
+ * @param done fn(err, params) where params is null if the request object is not acceptable
+ */
+exports.verifyRequestObject = function (client, request, done) {
+  verifyClientJwt(client, request, oidc.issuer, 'request object', function (err, payload) {
+    if (err || !payload) {
+      return done(err, null);
+    }
+    if (payload.client_id !== undefined && payload.client_id !== client.clientId) {
+      return done(null, null);
+    }
+    checkOneTime(client, payload, 'request_object', function (err, payload) {
+      if (err || !payload) {
+        return done(err, null);
+      }
+      return done(null, _.omit(payload, 'iss', 'aud', 'exp', 'nbf', 'iat', 'jti'));
+    });
+  });
+};
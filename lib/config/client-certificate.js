@@ -0,0 +1,168 @@
+/**
+ * Reads the TLS client certificate of a request, for mutual-TLS client authentication and certificate-bound
+ * access tokens.
+ *
+ * TLS is usually terminated by a reverse proxy, which then forwards the client certificate in the
+ * config.mtls.certificateHeader header. The header is only believed when the request comes from one of
+ * config.mtls.trustedProxies, anyone else could set it. When this server terminates TLS itself the certificate
+ * is read from the connection.
+ *
+ * The proxy must accept any certificate, as nginx does with `ssl_verify_client optional_no_ca`, since it can't know
+ * whether the client is a self_signed_tls_client_auth one. Certificates are then marked `trusted` here when issued
+ * by one of the CAs of config.mtls.ca, or verified by this server when it terminates TLS, and only trusted
+ * certificates authenticate tls_client_auth clients.
+ *
+ * See http://tools.ietf.org/html/rfc8705
+ */
+'use strict';
+
+var _ = require('lodash'),
+  crypto = require('crypto'),
+  forge = require('node-forge'),
+  config = require('./config'),
+  jwt = require('../helpers/jwt'),
+  jwk = require('../helpers/jwk');
+
+/**
+ * Test the request came straight from a proxy we trust to forward the client certificate
+ */
+function fromTrustedProxy(req) {
+  var address = String(req.connection.remoteAddress || '').replace(/^::ffff:/, '');
+  return config.mtls.trustedProxies.indexOf(address) !== -1;
+}
+
+/**
+ * Returns the DER encoding of the certificate forwarded by the proxy, or null.
+ * Accepts a PEM certificate, URL encoded (nginx $ssl_client_escaped_cert) or with its line breaks replaced by
+ * spaces, or the bare base64 DER.
+ */
+function forwardedCertificate(req) {
+  var header = config.mtls.certificateHeader && req.headers[config.mtls.certificateHeader.toLowerCase()];
+  if (!header || !fromTrustedProxy(req)) {
+    return null;
+  }
+  try {
+    header = decodeURIComponent(header);
+  } catch (ex) {
+    return null;
+  }
+  var base64 = header.replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, '');
+  return (/^[A-Za-z0-9+\/]+=*$/).test(base64) ? new Buffer(base64, 'base64') : null;
+}
+
+/**
+ * Returns the DER encoding of the certificate presented to this server, or null
+ */
+function peerCertificate(req) {
+  var socket = req.connection;
+  var cert = socket && typeof socket.getPeerCertificate === 'function' && socket.getPeerCertificate();
+  return (cert && cert.raw) || null;
+}
+
+/**
+ * Test `cert` was issued by one of the CAs of config.mtls.ca
+ */
+function issuedByTrustedCa(cert) {
+  var pems = String(config.mtls.ca || '').match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+  if (!pems) {
+    return false;
+  }
+  try {
+    return forge.pki.verifyCertificateChain(forge.pki.createCaStore(pems), [cert]);
+  } catch (ex) {
+    return false;
+  }
+}
+
+/**
+ * Format a certificate subject as an RFC 4514 string, most specific attribute first
+ */
+function distinguishedName(subject) {
+  return subject.attributes.slice().reverse().map(function (attr) {
+    return (attr.shortName || attr.type) + '=' + String(attr.value).replace(/([,+"\\<>;])/g, '\\$1');
+  }).join(',');
+}
+
+/**
+ * Returns the subjectAltName entries of type `type` (2 for dNSName, 6 for URI, 7 for iPAddress, 1 for rfc822Name)
+ */
+function altNames(cert, type) {
+  var ext = cert.getExtension('subjectAltName');
+  return _.pluck(_.filter((ext && ext.altNames) || [], { type: type }), type === 7 ? 'ip' : 'value');
+}
+
+/**
+ * Normalize an RFC 4514 distinguished name for comparison: spacing around separators and case are ignored
+ */
+function normalizeDn(dn) {
+  return String(dn || '').replace(/\s*([,=+])\s*/g, '$1').toLowerCase();
+}
+
+/**
+ * Returns the certificate thumbprint carried in `cnf` as `x5t#S256`: the base64url SHA-256 of the DER certificate
+ *
+ * @param {Buffer} der
+ * @return {String}
+ */
+exports.thumbprint = function (der) {
+  return jwt.base64urlEncode(crypto.createHash('sha256').update(der).digest());
+};
+
+/**
+ * Returns the client certificate of the request, or null when none was presented.
+ *
+ * The result has the certificate `thumbprint`, its `subjectDn`, the `sanDns`, `sanUri`, `sanIp` and `sanEmail`
+ * subject alternative names, its `publicJwk` when the key is RSA, and whether it is `trusted`: issued by one of
+ * our CAs.
+ *
+ * @param req
+ * @return {Object}
+ */
+exports.fromRequest = function (req) {
+  if (req.clientCertificate !== undefined) {
+    return req.clientCertificate;
+  }
+  var forwarded = forwardedCertificate(req);
+  var der = forwarded || peerCertificate(req);
+  var result = null;
+  if (der) {
+    try {
+      var cert = forge.pki.certificateFromAsn1(forge.asn1.fromDer(der.toString('binary')));
+      result = {
+        thumbprint: exports.thumbprint(der),
+        subjectDn: distinguishedName(cert.subject),
+        sanDns: altNames(cert, 2),
+        sanUri: altNames(cert, 6),
+        sanIp: altNames(cert, 7),
+        sanEmail: altNames(cert, 1),
+        publicJwk: cert.publicKey.n ? jwk.fromPem(forge.pki.publicKeyToPem(cert.publicKey)) : null,
+        trusted: (!forwarded && req.connection.authorized === true) || issuedByTrustedCa(cert)
+      };
+    } catch (ex) {
+      console.log('Ignoring unreadable client certificate: ' + ex.message);
+    }
+  }
+  req.clientCertificate = result;
+  return result;
+};
+
+/**
+ * Test the certificate subject is the distinguished name `dn`
+ *
+ * @param certificate As returned by fromRequest()
+ * @param dn An RFC 4514 distinguished name
+ * @return {Boolean}
+ */
+exports.hasSubjectDn = function (certificate, dn) {
+  return !!dn && normalizeDn(certificate.subjectDn) === normalizeDn(dn);
+};
+
+/**
+ * Returns the `cnf` confirmation claim binding tokens to the certificate
+ *
+ * @param certificate As returned by fromRequest()
+ * @return {Object}
+ */
+exports.confirmation = function (certificate) {
+  return { 'x5t#S256': certificate.thumbprint };
+};
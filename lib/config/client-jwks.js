@@ -0,0 +1,150 @@
+/**
+ * Looks up the keys clients sign their JWTs with, e.g. the client assertions of private_key_jwt.
+ *
+ * A client's JSON Web Key Set is either registered inline (`jwks`) or published at a URL (`jwksUri`).
+ * Published key sets are fetched on demand and cached for config.clientAuth.jwksCacheTime seconds; an unknown
+ * `kid` refetches the set at most once per config.clientAuth.jwksRefreshInterval seconds so key rotation by the
+ * client is picked up without letting anyone make us fetch on every request.
+ *
+ * See http://tools.ietf.org/html/rfc7591#section-2
+ */
+'use strict';
+
+var _ = require('lodash'),
+  http = require('http'),
+  https = require('https'),
+  url = require('url'),
+  config = require('./config'),
+  jwk = require('../helpers/jwk');
+
+var cache = {}; // jwksUri -> { keys, fetchedDate }
+
+/**
+ * GET a JSON Web Key Set. Only over HTTPS, which tells us the keys are the client's, unless
+ * config.allowHttpCallbacks is set.
+ *
+ * @param uri
+ * @param done fn(err, jwks)
+ */
+function fetch(uri, done) {
+  var options = url.parse(uri);
+  if (options.protocol !== 'https:' && !config.allowHttpCallbacks) {
+    return done(new Error('Refusing to fetch JWKS at ' + uri + ' without HTTPS'));
+  }
+  options.headers = { Accept: 'application/json' };
+  var finished = false;
+  function finish(err, jwks) {
+    if (finished) { return; }
+    finished = true;
+    done(err, jwks);
+  }
+  var req = (options.protocol === 'https:' ? https : http).get(options, function (res) {
+    var body = '';
+    res.setEncoding('utf8');
+    res.on('data', function (chunk) {
+      body += chunk;
+      if (body.length > config.clientAuth.jwksMaxSize) {
+        req.abort();
+        finish(new Error('JWKS too large at ' + uri));
+      }
+    });
+    res.on('end', function () {
+      if (res.statusCode !== 200) {
+        return finish(new Error('Error ' + res.statusCode + ' fetching JWKS at ' + uri));
+      }
+      try {
+        return finish(null, JSON.parse(body));
+      } catch (ex) {
+        return finish(new Error('Invalid JWKS at ' + uri));
+      }
+    });
+  });
+  req.setTimeout(config.clientAuth.jwksTimeout, function () {
+    req.abort();
+    finish(new Error('Timeout fetching JWKS at ' + uri));
+  });
+  req.on('error', finish);
+}
+
+/**
+ * Returns the keys published at `uri`, from the cache when fresh enough
+ *
+ * @param uri
+ * @param refresh True when the cached keys lack the wanted key
+ * @param done fn(err, keys)
+ */
+function publishedKeys(uri, refresh, done) {
+  var cached = cache[uri];
+  var age = cached ? (Date.now() - cached.fetchedDate) / 1000 : Infinity;
+  if (age < config.clientAuth.jwksCacheTime && (!refresh || age < config.clientAuth.jwksRefreshInterval)) {
+    return done(null, cached.keys);
+  }
+  fetch(uri, function (err, jwks) {
+    if (err) { return done(err); }
+    var keys = (jwks && Array.isArray(jwks.keys)) ? jwks.keys : [];
+    cache[uri] = { keys: keys, fetchedDate: Date.now() };
+    return done(null, keys);
+  });
+}
+
+/**
+ * Pick the RSA signing key named by the JOSE header from a list of JWKs.
+ * A header without a `kid` only matches when there is exactly one candidate.
+ */
+function selectKey(keys, header) {
+  var candidates = _.filter(keys, function (key) {
+    return key.kty === 'RSA' && (!key.use || key.use === 'sig') && (!key.alg || key.alg === header.alg);
+  });
+  if (header.kid) {
+    return _.find(candidates, { kid: header.kid });
+  }
+  return candidates.length === 1 ? candidates[0] : undefined;
+}
+
+/**
+ * Returns the JWKs of `client`, whether registered inline or published.
+ *
+ * @param client The Client
+ * @param refresh True to refetch published keys unless they were fetched very recently
+ * @param done fn(err, keys)
+ */
+exports.keys = function (client, refresh, done) {
+  if (client.jwks) {
+    return done(null, client.jwks.keys || []);
+  }
+  if (!client.jwksUri) {
+    return done(null, []);
+  }
+  publishedKeys(client.jwksUri, refresh, done);
+};
+
+/**
+ * Returns a getKey function for jwt.verify() resolving the public keys of `client`.
+ *
+ * @param client The Client
+ * @return {Function} fn(header, payload, done) calling done(err, publicPem)
+ */
+exports.verificationKey = function (client) {
+  return function (header, payload, done) {
+    function toPem(key) {
+      var pem = null;
+      try {
+        pem = key && jwk.toPem(key);
+      } catch (ex) {
+        // an unusable key verifies nothing
+      }
+      return done(null, pem);
+    }
+    exports.keys(client, false, function (err, keys) {
+      if (err) { return done(err); }
+      var key = selectKey(keys, header);
+      if (key || !client.jwksUri) {
+        return toPem(key);
+      }
+      exports.keys(client, true, function (err, keys) {
+        if (err) { return done(err); }
+        return toPem(selectKey(keys, header));
+      });
+    });
+  };
+};
@@ -0,0 +1,98 @@
+/**
+ * Verifies DPoP proofs: the JWTs a client signs with its own key on each request, in the DPoP header, to show it
+ * holds the key its access tokens are bound to (`cnf.jkt`).
+ *
+ * A proof names the HTTP method (`htm`) and URL (`htu`) it was made for and when (`iat`), and is only accepted
+ * once (`jti`), so a stolen proof can't be replayed against another request. When presented with an access token
+ * it also carries the token's hash (`ath`).
+ *
+ * Only RS256 proofs are supported, as only RSA keys are, see helpers/jwk.js.
+ *
+ * See http://tools.ietf.org/html/rfc9449
+ */
+'use strict';
+
+var crypto = require('crypto'),
+  url = require('url'),
+  config = require('./config'),
+  replay = require('./replay'),
+  jwt = require('../helpers/jwt'),
+  jwk = require('../helpers/jwk');
+
+/**
+ * The `alg` values we accept for proofs
+ */
+exports.algorithms = ['RS256'];
+
+/**
+ * Returns the URL of the request without its query, as the client names it in `htu`
+ */
+function requestUrl(req) {
+  return config.rootUrl + url.parse(req.originalUrl || req.url).pathname;
+}
+
+/**
+ * Strip the query and fragment of a URL, which `htu` comparison ignores
+ */
+function withoutQuery(uri) {
+  return String(uri).replace(/[?#].*$/, '');
+}
+
+/**
+ * Returns the `ath` of an access token: the base64url SHA-256 of the token
+ */
+exports.accessTokenHash = function (accessToken) {
+  return jwt.base64urlEncode(crypto.createHash('sha256').update(accessToken).digest());
+};
+
+/**
+ * Verify the DPoP proof of a request.
+ *
+ * @param req The request, whose DPoP header holds the proof
+ * @param accessToken The access token presented with the proof, or undefined at the token endpoint
+ * @param done fn(err, jkt) where err.message describes why the proof was rejected, and jkt is the thumbprint of
+ * the key the proof was signed with
+ */
+exports.verifyProof = function (req, accessToken, done) {
+  var proof = req.headers.dpop;
+  var decoded = jwt.decode(proof);
+  if (!decoded) {
+    return done(new Error('Missing or malformed DPoP proof'));
+  }
+  var header = decoded.header;
+  if (header.typ !== 'dpop+jwt' || !header.jwk || header.jwk.d) {
+    return done(new Error('DPoP proof must be of type dpop+jwt and carry a public jwk'));
+  }
+  var publicKey;
+  try {
+    publicKey = jwk.toPem(header.jwk);
+  } catch (ex) {
+    return done(new Error('Unsupported DPoP proof key'));
+  }
+  jwt.verify(proof, publicKey, { algorithms: exports.algorithms }, function (err, payload) {
+    if (err) { return done(err); }
+    var now = jwt.now();
+    if (payload.htm !== req.method || withoutQuery(payload.htu) !== requestUrl(req)) {
+      return done(new Error('DPoP proof was made for another request'));
+    }
+    if (typeof payload.iat !== 'number' || payload.iat > now + config.dpop.clockTolerance ||
+      payload.iat < now - config.dpop.proofLifetime - config.dpop.clockTolerance) {
+      return done(new Error('DPoP proof is too old or from the future'));
+    }
+    if (!payload.jti) {
+      return done(new Error('DPoP proof must have a jti'));
+    }
+    if (accessToken !== undefined && payload.ath !== exports.accessTokenHash(accessToken)) {
+      return done(new Error('DPoP proof was made for another access token'));
+    }
+    var jkt = jwk.thumbprint(header.jwk);
+    var remember = config.dpop.proofLifetime + 2 * config.dpop.clockTolerance;
+    replay.check('dpop:' + jkt, payload.jti, remember, function (err, replayed) {
+      if (err) { return done(err); }
+      if (replayed) {
+        return done(new Error('DPoP proof was already used'));
+      }
+      return done(null, jkt);
+    });
+  });
+};
@@ -9,6 +9,7 @@ var config = require('./config'),
   Thing = models.model('Thing'),
   AccessToken = models.model('AccessToken'),
   RefreshToken = models.model('RefreshToken'),
+  Consent = models.model('Consent'),
   AuthorizationCode = models.model('AuthorizationCode');
 
 /**
@@ -53,6 +54,9 @@ RefreshToken.remove(function () {
 AuthorizationCode.remove(function () {
   console.log('Cleared AuthorizationCodes');
 });
+Consent.remove(function () {
+  console.log('Cleared Consents');
+});
 
 // Clear old messages
 SocialMessage.remove({}, function () {
@@ -78,7 +82,8 @@ User.find({}).remove(function() {
     name: 'Test User',
     email: 'test@test.com',
     username: 'test',
-    password: 'test'
+    password: 'test',
+    groups: ['staff']
   }, function() {
       console.log('finished populating users');
     }
@@ -86,40 +91,73 @@ User.find({}).remove(function() {
 });
 
 // Clear old clients, then add testing clients and phonegap client
-Client.find({}).remove(function () {
+// Dynamically registered clients are kept, see controllers/registration.js
+Client.find({ registrationAccessToken: { $exists: false } }).remove(function () {
   Client.create(  {
       name: 'CAS Client',
       clientId: 'cas123',
       clientSecret: 'ssh-secret',
-      redirectUri: 'http://localhost:9000/askcallback',
+      redirectUris: ['http://localhost:9000/askcallback'],
       allowedScopes: ['login']
     },
     {
       name: 'Trusted CAS Client',
       clientId: 'cas456',
       clientSecret: 'ssh-othersecret',
-      redirectUri: 'http://localhost:9000/callback',
+      // the other sample clients share theirs, which is then no CAS service, see Client.findByRedirectUri()
+      redirectUris: ['http://127.0.0.1:9000/callback/'],
       allowedScopes: ['login'],
-      trustedClient: true
+      trustedClient: true,
+      responseModes: ['form_post'],
+      casAttributes: ['email', 'name', 'groups'],
+      proxyCallbackUris: ['https://localhost:9443/pgtCallback']
     },
     {
       name: 'Samplr2',
       clientId: 'xyz123',
-      clientSecret: 'ssh-password'
+      clientSecret: 'ssh-password',
+      redirectUris: ['http://localhost:9000/callback/']
       // Basic eHl6MTIzOnNzaC1wYXNzd29yZA==
     },
     {
       name: 'Samplr3',
       clientId: 'trustedClient',
       clientSecret: 'ssh-otherpassword',
-      trustedClient: true
+      redirectUris: ['http://localhost:9000/callback/'],
+      trustedClient: true,
+      resources: ['https://api.example.com/', config.rootUrl + '/api2'],
+      responseModes: ['fragment', 'form_post']
+    },
+    {
+      name: 'Resource Server',
+      clientId: 'resourceServer',
+      clientSecret: 'ssh-resource',
+      allowedScopes: [],
+      introspectAudiences: ['trustedClient']
+    },
+    {
+      name: 'API Gateway',
+      clientId: 'apiGateway',
+      clientSecret: 'ssh-gateway',
+      allowedScopes: [],
+      introspectAudiences: ['trustedClient', 'resourceServer'],
+      tokenExchangeAudiences: ['resourceServer']
+    },
+    {
+      name: 'Samplr4',
+      clientId: 'publicTrustedClient',
+      clientSecret: 'ssh-not-secret',
+      redirectUris: ['http://localhost:9000/callback/'],
+      trustedClient: true,
+      publicClient: true
     },
     {
       name: 'Mobile Application',
       clientId: 'phonegap-angular-client',
       clientSecret: 'ssh-not-secret', // for an installed client this is NOT a secret
       // Basic cGhvbmVnYXAtYW5ndWxhci1jbGllbnQ6c3NoLW5vdC1zZWNyZXQ=
-      redirectUri: 'http://localhost' // accepts any port (and unintentionally DNS prefixes)
+      redirectUris: ['http://localhost:*/'], // accepts any port on the loopback
+      publicClient: true
     }, function() {
     console.log('finished populating clients');
   });
@@ -1,6 +1,7 @@
 'use strict';
 
 var _ = require('lodash'),
+  fs = require('fs'),
   path = require('path');
 
 var rootPath = path.normalize(__dirname + '/../../..');
@@ -46,6 +47,12 @@ module.exports = {
    */
   rootUrl: process.env.ROOT_URL || 'http://localhost:9000',
 
+  /**
+   * Whether the URLs of clients this server calls itself, their jwks_uri and backchannel_logout_uri, may be plain http.
+   * Only set in development, see env/development.js: otherwise they must be HTTPS.
+   */
+  allowHttpCallbacks: false,
+
   /**
    * Configuring authentication providers
    * Each environment variable has the form "<api key>:<secret>"
@@ -89,6 +96,15 @@ module.exports = {
    * authorizationCodeLength - The length of the authorization code
    * accessTokenLength - The length of the access token
    * refreshTokenLength - The length of the refresh token
+   * refreshTokenAbsoluteLifetime - The time in seconds before a refresh token family expires, however
+   * often it is rotated. The user must then authorize the client again.
+   * refreshTokenIdleLifetime - The time in seconds before an unused refresh token expires
+   * deviceCodeLength - The length of the device code
+   * deviceCodeExpiresIn - The time in seconds the user has to enter the user code of a device authorization
+   * deviceCodeInterval - The minimum time in seconds a device must wait between polls of the token endpoint
+   * requestUriLength - The length of the random part of the request_uri of a pushed authorization request
+   * pushedRequestExpiresIn - The time in seconds a client has to use the request_uri of a pushed authorization
+   * request
    */
   token: {
     timeToCheckExpiredTokens: 3600,
@@ -98,7 +114,120 @@ module.exports = {
     },
     authorizationCodeLength: 16,
     accessTokenLength: 256,
-    refreshTokenLength: 256
+    refreshTokenLength: 256,
+    refreshTokenAbsoluteLifetime: 90 * 24 * 3600,
+    refreshTokenIdleLifetime: 14 * 24 * 3600,
+    deviceCodeLength: 64,
+    deviceCodeExpiresIn: 600,
+    deviceCodeInterval: 5,
+    requestUriLength: 32,
+    pushedRequestExpiresIn: 60
+  },
+
+  /**
+   * Configuration of OpenID Connect.
+   *
+   * issuer - The `iss` of id_tokens we sign. Defaults to rootUrl when not set.
+   * idTokenExpiresIn - The time in seconds before an id_token expires
+   * keyRotationInterval - The time in seconds a signing key is used before a new one is generated.
+   * Retired keys stay in the JWKS until every token they signed has expired.
+   * sessionIdLength - The length of the `sid` identifying a user's session to clients
+   * logoutTokenExpiresIn - The time in seconds before a back-channel logout token expires
+   * backchannelLogoutTimeout - The time in milliseconds to wait for a client to acknowledge a back-channel logout
+   */
+  oidc: {
+    issuer: process.env.OIDC_ISSUER,
+    idTokenExpiresIn: 3600,
+    keyRotationInterval: 30 * 24 * 3600,
+    sessionIdLength: 32,
+    logoutTokenExpiresIn: 120,
+    backchannelLogoutTimeout: 5000
+  },
+
+  /**
+   * Configuration of client authentication with JWT assertions (client_secret_jwt and private_key_jwt).
+   * See http://tools.ietf.org/html/rfc7523
+   *
+   * assertionMaxLifetime - The longest time in seconds between the `iat` (or now) and `exp` of an assertion we accept
+   * clockTolerance - The time in seconds client clocks may be off when checking `exp` and `nbf`
+   * jwksCacheTime - The time in seconds a client's JWKS fetched from its jwks_uri is cached
+   * jwksRefreshInterval - The minimum time in seconds between refetching a client's JWKS for an unknown key
+   * jwksTimeout - The time in milliseconds to wait for a client's JWKS
+   * jwksMaxSize - The largest JWKS in characters we fetch
+   */
+  clientAuth: {
+    assertionMaxLifetime: 300,
+    clockTolerance: 30,
+    jwksCacheTime: 3600,
+    jwksRefreshInterval: 60,
+    jwksTimeout: 5000,
+    jwksMaxSize: 64 * 1024
+  },
+
+  /**
+   * Configuration of mutual-TLS client authentication and certificate-bound access tokens.
+   * See http://tools.ietf.org/html/rfc8705 and config/client-certificate.js
+   *
+   * certificateHeader - The header a TLS terminating proxy forwards the client certificate in, e.g. X-SSL-Client-Cert.
+   * Forwarded certificates are ignored when not set.
+   * trustedProxies - The addresses of the proxies whose certificateHeader is believed
+   * ca - The PEM certificates of the CAs, intermediate ones included, which issue the certificates of tls_client_auth
+   * clients. No tls_client_auth client can authenticate when not set, unless this server verified the certificate.
+   */
+  mtls: {
+    certificateHeader: process.env.MTLS_CERTIFICATE_HEADER,
+    trustedProxies: process.env.MTLS_TRUSTED_PROXIES ? process.env.MTLS_TRUSTED_PROXIES.split(',') : ['127.0.0.1'],
+    ca: process.env.MTLS_CA_FILE ? fs.readFileSync(process.env.MTLS_CA_FILE, 'utf8') : undefined
+  },
+
+  /**
+   * Configuration of DPoP proof-of-possession, see http://tools.ietf.org/html/rfc9449 and config/dpop.js
+   *
+   * proofLifetime - The time in seconds after its `iat` a DPoP proof is accepted
+   * clockTolerance - The time in seconds client clocks may be off when checking `iat`
+   */
+  dpop: {
+    proofLifetime: 60,
+    clockTolerance: 30
+  },
+
+  /**
+   * Configuration of CAS proxying, see config/cas-proxy.js
+   *
+   * proxyGrantingTicketLength - The length of proxy-granting tickets and of their IOUs
+   * proxyGrantingTicketExpiresIn - The time in seconds a service may obtain proxy tickets with a proxy-granting ticket
+   * proxyCallbackTimeout - The time in milliseconds to wait for the pgtUrl of a service to answer
+   * proxyCallbackCa - The PEM certificates trusted to verify the pgtUrl of services instead of the well-known
+   * certificate authorities, e.g. those of a corporate CA (optional)
+   */
+  cas: {
+    proxyGrantingTicketLength: 64,
+    proxyGrantingTicketExpiresIn: 8 * 3600,
+    proxyCallbackTimeout: 5000,
+    proxyCallbackCa: undefined
+  },
+
+  /**
+   * Configuration of dynamic client registration.
+   * See http://tools.ietf.org/html/rfc7591
+   *
+   * initialAccessToken - When set clients must present it as a Bearer token to register, otherwise anyone may.
+   * scopes - The scopes a registered client may be allowed. Registered clients are never allowed '*'.
+   * defaultScope - The scopes a registered client is allowed when it doesn't ask for any
+   * clientIdLength - The length of the generated client id
+   * clientSecretLength - The length of the generated client secret
+   * clientSecretGracePeriod - The time in seconds the current client secret keeps working after a new one is
+   * generated by the admin API, unless a shorter time is asked for
+   * registrationAccessTokenLength - The length of the token clients use to read, update and delete their registration
+   */
+  registration: {
+    initialAccessToken: process.env.REGISTRATION_INITIAL_ACCESS_TOKEN,
+    scopes: ['openid', 'profile', 'email', 'offline_access', 'login'],
+    defaultScope: ['openid', 'login'],
+    clientIdLength: 24,
+    clientSecretLength: 48,
+    clientSecretGracePeriod: 7 * 24 * 3600,
+    registrationAccessTokenLength: 64
   },
 
   /**
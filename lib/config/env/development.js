@@ -2,6 +2,7 @@
 
 module.exports = {
   env: 'development',
+  allowHttpCallbacks: true,
   mongo: {
     uri: 'mongodb://localhost/fullstack-dev'
   },
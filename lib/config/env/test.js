@@ -7,5 +7,11 @@ module.exports = {
   },
   redis: {
     uri: 'redis://localhost'
+  },
+  registration: {
+    initialAccessToken: 'ssh-register'
+  },
+  mtls: {
+    certificateHeader: 'X-SSL-Client-Cert'
   }
 };
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Manages the keys used to sign the JWTs we issue and publishes them as a JSON Web Key Set.
+ *
+ * A new key is generated every config.oidc.keyRotationInterval seconds and is used to sign tokens until it is
+ * that old. It then stays in the JWKS for the lifetime of the longest lived token it could have signed.
+ * Because nodes pick the newest key that is still young enough, two nodes rotating at the same moment
+ * is harmless: both keys are published for their whole lifetime.
+ *
+ * See http://tools.ietf.org/html/draft-ietf-jose-json-web-key
+ */
+'use strict';
+
+var _ = require('lodash'),
+  config = require('./config'),
+  jwt = require('../helpers/jwt'),
+  jwk = require('../helpers/jwk'),
+  models = require('./models'),
+  SigningKey = models.model('SigningKey');
+
+var current = null; // the key this node is currently signing with
+var rotating = null; // callbacks waiting on a key being generated
+var verifying = {}; // kid -> key, the public keys recently used to verify tokens
+
+/**
+ * The longest lifetime in seconds of any token we sign: id_tokens and JWT access tokens
+ */
+function maxTokenLifetime() {
+  return Math.max(config.oidc.idTokenExpiresIn, config.token.expiresIn);
+}
+
+/**
+ * Returns the oldest creation date of a key that may still sign new tokens
+ */
+function activeSince() {
+  return new Date(Date.now() - config.oidc.keyRotationInterval * 1000);
+}
+
+/**
+ * Generate and persist a new signing key which immediately becomes the current key on this node.
+ * Concurrent calls share the same new key.
+ *
+ * @param done fn(err, key)
+ */
+exports.rotate = function (done) {
+  if (rotating) {
+    return rotating.push(done);
+  }
+  rotating = [done];
+  function finish(err, key) {
+    var callbacks = rotating;
+    rotating = null;
+    if (!err) {
+      current = key;
+    }
+    callbacks.forEach(function (cb) { cb(err, key); });
+  }
+
+  jwt.generateKeyPair(function (err, pair) {
+    if (err) { return finish(err); }
+    var created = new Date();
+    SigningKey.create({
+      kid: jwk.thumbprint(jwk.fromPem(pair.publicKey)),
+      alg: 'RS256',
+      privateKey: pair.privateKey,
+      publicKey: pair.publicKey,
+      createdDate: created,
+      expirationDate: new Date(created.getTime() + (config.oidc.keyRotationInterval + maxTokenLifetime()) * 1000)
+    }, function (err, key) {
+      if (err) { return finish(err); }
+      console.log('Generated signing key kid=' + key.kid);
+      return finish(null, key);
+    });
+  });
+};
+
+/**
+ * Returns the key to sign new tokens with, generating one if there is none young enough.
+ *
+ * @param done fn(err, key) where key has kid, alg and privateKey
+ */
+exports.currentKey = function (done) {
+  if (current && current.createdDate > activeSince()) {
+    return done(null, current);
+  }
+  SigningKey.findNewest(activeSince(), function (err, key) {
+    if (err) { return done(err); }
+    if (!key) {
+      return exports.rotate(done);
+    }
+    current = key;
+    return done(null, key);
+  });
+};
+
+/**
+ * Returns the public JWK of every key that may have signed an unexpired token.
+ *
+ * @param done fn(err, { keys: [jwk, ...] })
+ */
+exports.publicKeys = function (done) {
+  SigningKey.findPublished(function (err, keys) {
+    if (err) { return done(err); }
+    return done(null, {
+      keys: _.map(keys, function (key) {
+        return _.extend(jwk.fromPem(key.publicKey), { kid: key.kid, alg: key.alg, use: 'sig' });
+      })
+    });
+  });
+};
+
+/**
+ * Returns the PEM encoded public key with the given kid if it may have signed an unexpired token.
+ * Suitable as the getKey argument to jwt.verify().
+ * Keys are remembered until they expire, so verifying the JWT access tokens of API calls needs no lookup.
+ *
+ * @param header The JOSE header of the token to verify
+ * @param payload unused
+ * @param done fn(err, publicKey)
+ */
+exports.verificationKey = function (header, payload, done) {
+  var cached = verifying[header.kid];
+  if (cached && cached.expirationDate > new Date()) {
+    return done(null, cached.publicKey);
+  }
+  delete verifying[header.kid];
+  SigningKey.findOne({ kid: header.kid, expirationDate: { $gt: new Date() } }, function (err, key) {
+    if (err) { return done(err); }
+    if (key) {
+      verifying[key.kid] = { publicKey: key.publicKey, expirationDate: key.expirationDate };
+    }
+    return done(null, key && key.publicKey);
+  });
+};
+
+/**
+ * From time to time remove keys that no longer verify any token and generate the next key ahead of need,
+ * so no request waits on key generation.
+ */
+function maintainKeys() {
+  SigningKey.removeExpired(function (err) {
+    if (err) {
+      console.error('Error removing expired signing keys');
+    }
+  });
+  // rotate early if the current key would otherwise stop signing before we next check
+  var soon = new Date(activeSince().getTime() + config.token.timeToCheckExpiredTokens * 1000);
+  SigningKey.findNewest(soon, function (err, key) {
+    if (err || key) { return; }
+    exports.rotate(function (err) {
+      if (err) {
+        console.error('Error generating signing key');
+      }
+    });
+  });
+}
+maintainKeys();
+setInterval(maintainKeys, config.token.timeToCheckExpiredTokens * 1000);
@@ -0,0 +1,167 @@
+/**
+ * Issues and verifies self-contained JWT access tokens, for clients whose `accessTokenFormat` is 'jwt'.
+ *
+ * A JWT access token is signed with the keys that sign id_tokens, published by the jwks endpoint, so resource
+ * servers verify it themselves instead of introspecting it. It is still recorded as an AccessToken, by its `jti`,
+ * for the connected applications and for revocation: a revoked JWT is kept on a deny-list in redis until it
+ * expires, which securityPolicy and introspection consult.
+ *
+ * See http://tools.ietf.org/html/rfc9068
+ */
+'use strict';
+
+var _ = require('lodash'),
+  redis = require('./redis'),
+  config = require('./config'),
+  oidc = require('./oidc'),
+  jwks = require('./jwks'),
+  jwt = require('../helpers/jwt'),
+  uid = require('../helpers/uid'),
+  models = require('./models'),
+  AccessToken = models.model('AccessToken');
+
+// connect redis client
+var db = redis.createClient();
+db.on('connect', function () { console.log('redis access token deny-list connected'); });
+
+/**
+ * The JOSE `typ` of JWT access tokens, which tells them apart from id_tokens signed with the same keys
+ */
+var TYPE = 'at+jwt';
+
+/**
+ * Returns the deny-list key of a token
+ */
+function denyKey(jti) {
+  return 'revoked:access_token:' + jti;
+}
+
+/**
+ * Test if a token looks like a JWT rather than one of our opaque tokens, which never contain a '.'
+ *
+ * @param token
+ * @return {Boolean}
+ */
+exports.isJwt = function (token) {
+  return typeof token === 'string' && token.split('.').length === 3;
+};
+
+/**
+ * Issue a signed JWT access token and record it.
+ *
+ * @param userID The user, null when there isn't one
+ * @param client The Client the token is issued to
+ * @param scope The granted scope
+ * @param options The `refreshTokenID` the token is issued with, the `cnf` it is bound to, and the `audience` and
+ * `act` of an exchanged token (optional)
+ * @param done fn(err, token)
+ */
+exports.issue = function (userID, client, scope, options, done) {
+  var expirationDate = config.token.calculateExpirationDate();
+  var now = jwt.now();
+  var claims = {
+    iss: oidc.issuer,
+    sub: userID ? String(userID) : client.clientId,
+    aud: options.audience && options.audience.length ? (options.audience.length === 1 ? options.audience[0] : options.audience) :
+      client.clientId,
+    client_id: client.clientId,
+    iat: now,
+    exp: Math.floor(expirationDate.getTime() / 1000),
+    jti: uid.uid(32),
+    scope: (scope || []).join(' ')
+  };
+  if (options.cnf) {
+    claims.cnf = options.cnf;
+  }
+  if (options.act) {
+    claims.act = options.act;
+  }
+  jwks.currentKey(function (err, key) {
+    if (err) {
+      return done(err);
+    }
+    var token;
+    try {
+      token = jwt.sign(claims, key.privateKey, { alg: key.alg, kid: key.kid, typ: TYPE });
+    } catch (ex) {
+      return done(ex);
+    }
+    AccessToken.saveToken(claims.jti, expirationDate, userID, client.id, scope, {
+      refreshTokenID: options.refreshTokenID,
+      cnf: options.cnf,
+      jwt: true,
+      audience: options.audience,
+      act: options.act
+    }, function (err) {
+      if (err) {
+        return done(err);
+      }
+      return done(null, token);
+    });
+  });
+};
+
+/**
+ * Verify a JWT access token: its signature, issuer and expiry, and that it wasn't revoked.
+ *
+ * @param token The JWT
+ * @param done fn(err, claims) where claims is null if the token is not acceptable
+ */
+exports.verify = function (token, done) {
+  jwt.verify(token, jwks.verificationKey, { issuer: oidc.issuer }, function (err, claims, header) {
+    if (err || header.typ !== TYPE || !claims.jti || !claims.exp) {
+      return done(null, null);
+    }
+    db.exists(denyKey(claims.jti), function (err, denied) {
+      if (err) {
+        return done(err);
+      }
+      return done(null, denied ? null : claims);
+    });
+  });
+};
+
+/**
+ * Find the AccessToken record of an opaque or JWT access token.
+ * A JWT is only looked up by its `jti` once verified, and not if it was revoked.
+ *
+ * @param token The access token
+ * @param done fn(err, token) where token is null if there is no such token
+ */
+exports.findToken = function (token, done) {
+  if (!exports.isJwt(token)) {
+    return AccessToken.findToken(token, done);
+  }
+  exports.verify(token, function (err, claims) {
+    if (err || !claims) {
+      return done(err, null);
+    }
+    AccessToken.findJwtToken(claims.jti, done);
+  });
+};
+
+/**
+ * Deny-list the recorded JWT access tokens matching `query` until they expire.
+ * Call before deleting AccessTokens, which no longer tells a deleted JWT from a live one.
+ *
+ * @param query An AccessToken query, e.g. { refreshTokenID: id }
+ * @param done fn(err)
+ */
+exports.revoke = function (query, done) {
+  AccessToken.find(_.extend({ jwt: true }, query), 'token expirationDate', function (err, tokens) {
+    if (err) {
+      return done(err);
+    }
+    var multi = db.multi();
+    var now = Date.now();
+    tokens.forEach(function (token) {
+      var expiresIn = Math.ceil((token.expirationDate.getTime() - now) / 1000);
+      if (expiresIn > 0) {
+        multi.set(denyKey(token.token), '1', 'EX', expiresIn);
+      }
+    });
+    multi.exec(function (err) {
+      return done(err || null);
+    });
+  });
+};
@@ -0,0 +1,184 @@
+/**
+ * Single logout: when the user logs out, every client which took part in the session is told.
+ *
+ * The clients the user authorized while logged in are remembered in the session, see participate().
+ * When it ends, clients registered with a backchannelLogoutUri are posted a signed logout token, and the
+ * frontchannelLogoutUri of the others are returned for the logout page to load in iframes. Both carry the `sid`
+ * of the session, as returned in the id_tokens issued during it.
+ *
+ * See http://openid.net/specs/openid-connect-frontchannel-1_0.html
+ * and http://openid.net/specs/openid-connect-backchannel-1_0.html
+ */
+'use strict';
+
+var _ = require('lodash'),
+  http = require('http'),
+  https = require('https'),
+  url = require('url'),
+  querystring = require('querystring'),
+  config = require('./config'),
+  oidc = require('./oidc'),
+  jwks = require('./jwks'),
+  jwt = require('../helpers/jwt'),
+  uid = require('../helpers/uid'),
+  models = require('./models'),
+  Client = models.model('Client'),
+  AuditEvent = models.model('AuditEvent');
+
+/**
+ * The event identifying a JWT as a logout token
+ */
+var BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+/**
+ * Remember that `client` took part in the user's session, so it is told when the session ends.
+ * Call this whenever the user authorizes a client.
+ */
+exports.participate = function (req, client) {
+  if (req.session) {
+    req.session.logoutClients = _.union(req.session.logoutClients || [], [client.clientId]);
+  }
+};
+
+/**
+ * Issue a logout token telling `client` the session `sessionID` of the user ended.
+ * See http://openid.net/specs/openid-connect-backchannel-1_0.html#LogoutToken
+ *
+ * @param client
+ * @param userID
+ * @param sessionID The `sid` of the session, may be undefined
+ * @param done fn(err, logoutToken)
+ */
+function issueLogoutToken(client, userID, sessionID, done) {
+  var now = jwt.now();
+  var claims = {
+    iss: oidc.issuer,
+    sub: String(userID),
+    aud: client.clientId,
+    iat: now,
+    exp: now + config.oidc.logoutTokenExpiresIn,
+    jti: uid.uid(32),
+    events: {}
+  };
+  claims.events[BACKCHANNEL_LOGOUT_EVENT] = {};
+  if (sessionID) { claims.sid = sessionID; }
+  jwks.currentKey(function (err, key) {
+    if (err) { return done(err); }
+    try {
+      return done(null, jwt.sign(claims, key.privateKey, { alg: key.alg, kid: key.kid, typ: 'logout+jwt' }));
+    } catch (ex) {
+      return done(ex);
+    }
+  });
+}
+
+/**
+ * POST the `form` to `uri`, succeeding when the client answers 200 or 204.
+ * Plain http URIs, registered before HTTPS was required, are refused unless config.allowHttpCallbacks is set.
+ *
+ * @param uri
+ * @param form
+ * @param done fn(err)
+ */
+function post(uri, form, done) {
+  var body = querystring.stringify(form);
+  var options = url.parse(uri);
+  if (options.protocol !== 'https:' && !config.allowHttpCallbacks) {
+    return done(new Error('Refusing to post logout token to ' + uri + ' without HTTPS'));
+  }
+  options.method = 'POST';
+  options.headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Content-Length': Buffer.byteLength(body)
+  };
+  var finished = false;
+  function finish(err) {
+    if (finished) { return; }
+    finished = true;
+    done(err);
+  }
+  var req = (options.protocol === 'https:' ? https : http).request(options, function (res) {
+    res.resume();
+    res.on('end', function () {
+      if (res.statusCode !== 200 && res.statusCode !== 204) {
+        return finish(new Error('Error ' + res.statusCode + ' posting logout token to ' + uri));
+      }
+      finish();
+    });
+  });
+  req.setTimeout(config.oidc.backchannelLogoutTimeout, function () {
+    req.abort();
+    finish(new Error('Timeout posting logout token to ' + uri));
+  });
+  req.on('error', finish);
+  req.end(body);
+}
+
+/**
+ * Post a logout token to the backchannelLogoutUri of `client`. Failures are recorded as audit events,
+ * the user is logged out regardless.
+ */
+function backchannelLogout(client, userID, sessionID) {
+  issueLogoutToken(client, userID, sessionID, function (err, logoutToken) {
+    if (err) {
+      return console.error('Error issuing logout token: ' + err.message);
+    }
+    post(client.backchannelLogoutUri, { logout_token: logoutToken }, function (err) {
+      if (err) {
+        AuditEvent.record('backchannel_logout_failed', {
+          userID: userID,
+          clientID: client.id,
+          details: { message: err.message }
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Returns the frontchannelLogoutUri of `client` with the `iss` and `sid` of the session.
+ */
+function frontchannelLogoutUri(client, sessionID) {
+  var parsed = url.parse(client.frontchannelLogoutUri, true);
+  delete parsed.search;
+  parsed.query.iss = oidc.issuer;
+  if (sessionID) { parsed.query.sid = sessionID; }
+  return url.format(parsed);
+}
+
+/**
+ * Log the user out and tell the clients which took part in the session.
+ * Back-channel logout tokens are sent without waiting for the clients to answer.
+ *
+ * @param req
+ * @param done fn(err, frontchannelUris) the URIs the logout page must load in iframes
+ */
+exports.endSession = function (req, done) {
+  var clientIDs = (req.session && req.session.logoutClients) || [];
+  var sessionID = req.session && req.session.sid;
+  var userID = req.user && req.user.id;
+  req.logout();
+  if (req.session) {
+    delete req.session.logoutClients;
+    delete req.session.sid;
+    delete req.session.authTime;
+  }
+  if (!clientIDs.length) {
+    return done(null, []);
+  }
+  Client.find({ clientId: { $in: clientIDs } }, function (err, clients) {
+    if (err) {
+      return done(err);
+    }
+    var frontchannelUris = [];
+    clients.forEach(function (client) {
+      if (client.backchannelLogoutUri && userID) {
+        backchannelLogout(client, userID, sessionID);
+      }
+      if (client.frontchannelLogoutUri) {
+        frontchannelUris.push(frontchannelLogoutUri(client, sessionID));
+      }
+    });
+    return done(null, frontchannelUris);
+  });
+};
@@ -0,0 +1,90 @@
+/**
+ * Migrate the documents stored by earlier versions to the current models.
+ * Each migration only touches the documents still in the old shape, so running them again is harmless.
+ */
+'use strict';
+
+var models = require('./models'),
+  Client = models.model('Client');
+
+/**
+ * Calls `migrate` for each document of `model` matching `conditions`, one after the other.
+ * The documents are read as stored, fields the schema no longer has included.
+ *
+ * @param model
+ * @param conditions
+ * @param migrate fn(doc, done(err))
+ * @param done fn(err, count)
+ */
+function eachStored(model, conditions, migrate, done) {
+  model.collection.find(conditions, function (err, cursor) {
+    if (err) {
+      return done(err);
+    }
+    cursor.toArray(function (err, docs) {
+      if (err) {
+        return done(err);
+      }
+      (function next(i) {
+        if (i === docs.length) {
+          return done(null, docs.length);
+        }
+        migrate(docs[i], function (err) {
+          if (err) {
+            return done(err);
+          }
+          next(i + 1);
+        });
+      })(0);
+    });
+  });
+}
+
+/**
+ * Calls `done` with the outcome of the migration `name`, logging it
+ */
+function logged(name) {
+  return function (err, count) {
+    if (err) {
+      return console.error('Error migrating ' + name + ': ' + err.message);
+    }
+    if (count) {
+      console.log('Migrated ' + count + ' ' + name);
+    }
+  };
+}
+
+/**
+ * Clients used to register a single `redirectUri`, now one of their `redirectUris`.
+ * Clients without one used to accept any redirect URI, they now accept none until redirectUris are set.
+ */
+eachStored(Client, { redirectUri: { $exists: true } }, function (client, done) {
+  var update = { $unset: { redirectUri: 1 } };
+  if (client.redirectUri) {
+    update.$addToSet = { redirectUris: client.redirectUri };
+  }
+  Client.collection.update({ _id: client._id }, update, done);
+}, logged('client redirectUri to redirectUris'));
+
+/**
+ * Clients used to store their `clientSecret` as is, now only its salted hash in `secret`.
+ * Setting the clientSecret virtual hashes it, as when the client is created.
+ */
+eachStored(Client, { clientSecret: { $exists: true } }, function (stored, done) {
+  Client.findById(stored._id, function (err, client) {
+    if (err || !client) {
+      return done(err);
+    }
+    function unset(err) {
+      if (err) {
+        return done(err);
+      }
+      Client.collection.update({ _id: stored._id }, { $unset: { clientSecret: 1 } }, done);
+    }
+    if (!stored.clientSecret || client.secret.hash) {
+      return unset();
+    }
+    client.clientSecret = stored.clientSecret;
+    client.save(unset);
+  });
+}, logged('plaintext client secrets to hashes'));
@@ -9,14 +9,63 @@ var passport = require('passport'),
   AccessToken = models.model('AccessToken'),
   RefreshToken = models.model('RefreshToken'),
   AuthorizationCode = models.model('AuthorizationCode'),
+  AuditEvent = models.model('AuditEvent'),
+  Consent = models.model('Consent'),
+  DeviceCode = models.model('DeviceCode'),
+  PushedRequest = models.model('PushedRequest'),
+  ProxyGrantingTicket = models.model('ProxyGrantingTicket'),
   config = require('./config'),
+  oidc = require('./oidc'),
+  logout = require('./logout'),
+  casProxy = require('./cas-proxy'),
+  clientCertificate = require('./client-certificate'),
+  clientAssertion = require('./client-assertion'),
+  dpop = require('./dpop'),
+  jwtAccessToken = require('./jwt-access-token'),
   uid = require('../helpers/uid'),
-  querystring = require('querystring');
+  jwt = require('../helpers/jwt'),
+  pkce = require('../helpers/pkce'),
+  redirectUri = require('../helpers/redirect-uri'),
+  responseMode = require('../helpers/response-mode'),
+  casResponse = require('../helpers/cas-response'),
+  userCode = require('../helpers/user-code'),
+  querystring = require('querystring'),
+  _ = require('lodash'),
+  AuthorizationError = require('oauth2orize/lib/errors/authorizationerror'),
+  TokenError = require('oauth2orize/lib/errors/tokenerror');
 
 
 // create OAuth 2.0 server
 var server = oauth2orize.createServer();
 
+// The response and grant types registered with these helpers are advertised in the OpenID Connect
+// discovery document. The CAS emulation is registered directly on the server so it isn't advertised.
+var responseTypes = [],
+  grantTypes = [];
+
+function registerGrant(mod) {
+  responseTypes.push(mod.name);
+  server.grant(mod);
+}
+
+function registerExchange(type, fn) {
+  if (typeof type === 'function') {
+    fn = type;
+    type = fn.name;
+  }
+  grantTypes.push(type);
+  server.exchange(type, function (req, res, next) {
+    // the authenticated client
+    if (req.user && !req.user.allowsGrantType(type)) {
+      return next(new TokenError('The client may not use the ' + type + ' grant type', 'unauthorized_client'));
+    }
+    fn(req, res, next);
+  });
+}
+
+exports.responseTypes = responseTypes;
+exports.grantTypes = grantTypes;
+
 // Register supported grant types.
 //
 // OAuth 2.0 specifies a framework that allows users to grant client
@@ -29,7 +78,14 @@ var server = oauth2orize.createServer();
  */
 function _issueAuthorizationCode(client, redirectURI, user, ares, done) {
   var code = uid.uid(config.token.authorizationCodeLength);
-  AuthorizationCode.saveCode(code, client.id, redirectURI, user.id, ares.scope, function (err) {
+  AuthorizationCode.saveCode(code, client.id, redirectURI, user.id, ares.scope, {
+    nonce: ares.nonce,
+    authTime: ares.authTime,
+    sessionID: ares.sessionID,
+    codeChallenge: ares.codeChallenge,
+    codeChallengeMethod: ares.codeChallengeMethod,
+    resource: ares.resource
+  }, function (err) {
     if (err) {
       return done(err);
     }
@@ -37,6 +93,297 @@ function _issueAuthorizationCode(client, redirectURI, user, ares, done) {
   });
 }
 
+/**
+ * Returns the parameters of a token response besides the tokens themselves.
+ * Tokens bound to a DPoP key are of the DPoP token_type, see http://tools.ietf.org/html/rfc9449#section-5
+ *
+ * @param binding The proof of possession the tokens are bound to, see _tokenBinding() (optional)
+ */
+function _tokenParams(binding) {
+  var params = { expires_in: config.token.expiresIn };
+  if (binding && binding.cnf && binding.cnf.jkt) {
+    params.token_type = 'DPoP';
+  }
+  return params;
+}
+
+/**
+ * Parse the `resource` parameter of an authorization or token request, which may be repeated.
+ * See http://tools.ietf.org/html/rfc8707#section-2
+ *
+ * @param value The parameter, a string or an array
+ * @return The resource URIs, undefined when none were given, or null when one isn't an absolute URI without a
+ * fragment
+ */
+function _parseResource(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  var resources = _.uniq([].concat(value));
+  return _.every(resources, redirectUri.isValid) ? resources : null;
+}
+
+/**
+ * Decide the resources the access token issued by a token request is restricted to.
+ * Clients may ask for any of the resources granted for the tokens, or when none were granted any of their own
+ * resources, see Client. Without asking the token is restricted to the granted resources.
+ *
+ * @param client The Client the token is issued to
+ * @param resource The `resource` parameter of the token request
+ * @param granted The resources granted at the authorization endpoint, or for the refresh token (optional)
+ * @return The resources, undefined when the token is unrestricted, or null when the client may not ask for them
+ */
+function _tokenAudience(client, resource, granted) {
+  var requested = _parseResource(resource);
+  if (requested === undefined) {
+    return granted && granted.length ? granted : undefined;
+  }
+  if (requested === null || !client.mayRequestResources(requested)) {
+    return null;
+  }
+  if (granted && granted.length && _.difference(requested, granted).length) {
+    return null;
+  }
+  return requested;
+}
+
+/**
+ * The error of a token request asking for resources the client may not have, see _tokenAudience()
+ */
+function _invalidTarget() {
+  return new TokenError('Invalid resource', 'invalid_target', null, 400);
+}
+
+/**
+ * Issue an access token in the client's accessTokenFormat: an opaque token, or a JWT, see config/jwt-access-token.js
+ *
+ * @param userID The user, null when there isn't one
+ * @param client The Client the token is issued to
+ * @param scope The granted scope
+ * @param options The `refreshTokenID` the token is issued with, the `cnf` it is bound to, and the `audience` and
+ * `act` of an exchanged token (optional)
+ * @param done fn(err, accessToken)
+ */
+function _issueAccessToken(userID, client, scope, options, done) {
+  if (client.accessTokenFormat === 'jwt') {
+    return jwtAccessToken.issue(userID, client, scope, options, done);
+  }
+  var token = uid.uid(config.token.accessTokenLength);
+  AccessToken.saveToken(token, config.token.calculateExpirationDate(), userID, client.id, scope, options,
+    function (err) {
+      if (err) {
+        return done(err);
+      }
+      return done(null, token);
+    });
+}
+
+/**
+ * Issue an access token, and a refresh token when the 'offline_access' scope was granted.
+ * The access token records the refresh token it was issued with, so revoking the refresh token revokes it too.
+ *
+ * Pass the refresh token being rotated as `options.previous` to continue its family, otherwise a new family is
+ * started. Pass the `req.authInfo` set by _tokenBinding() as `options.binding` to bind the tokens to the proof of
+ * possession key of the request. Pass the `resource` granted for the tokens, which a rotated refresh token keeps,
+ * and the `audience` the access token is restricted to, see _tokenAudience().
+ * The new refresh token expires when left unused for config.token.refreshTokenIdleLifetime, and at the latest
+ * config.token.refreshTokenAbsoluteLifetime after its family started.
+ *
+ * @param userID The user, null when there isn't one
+ * @param client The Client the tokens are issued to
+ * @param scope The granted scope
+ * @param options The `previous` RefreshToken being rotated, the `binding` of the tokens, and their `resource` and
+ * `audience` (optional)
+ * @param done fn(err, accessToken, refreshToken, params) where refreshToken may be null and params are the
+ * other parameters of the token response
+ */
+function _issueTokens(userID, client, scope, options, done) {
+  if (typeof options === 'function') {
+    done = options;
+    options = {};
+  }
+  var previous = options.previous;
+  var binding = options.binding || {};
+  function issueAccessToken(refreshToken, refreshTokenID) {
+    _issueAccessToken(userID, client, scope, {
+      refreshTokenID: refreshTokenID,
+      cnf: binding.cnf,
+      audience: options.audience
+    }, function (err, token) {
+      if (err) {
+        return done(err);
+      }
+      return done(null, token, refreshToken, _tokenParams(binding));
+    });
+  }
+  //I mimic openid connect's offline scope to determine if we send
+  //a refresh token or not
+  if (scope && scope.indexOf("offline_access") === 0) {
+    var refreshToken = uid.uid(config.token.refreshTokenLength);
+    var now = Date.now();
+    var familyExpirationDate = (previous && previous.familyExpirationDate) ||
+      new Date(now + config.token.refreshTokenAbsoluteLifetime * 1000);
+    var idleExpirationDate = new Date(now + config.token.refreshTokenIdleLifetime * 1000);
+    RefreshToken.saveToken(refreshToken, userID, client.id, scope, {
+      familyID: previous && (previous.familyID || previous.id),
+      familyExpirationDate: familyExpirationDate,
+      expirationDate: idleExpirationDate < familyExpirationDate ? idleExpirationDate : familyExpirationDate,
+      cnf: binding.refreshTokenCnf,
+      resource: options.resource
+    }, function (err, saved) {
+      if (err) {
+        return done(err);
+      }
+      issueAccessToken(refreshToken, saved.id);
+    });
+  } else {
+    issueAccessToken(null);
+  }
+}
+
+/**
+ * Revoke every refresh token of a family and the access tokens minted from them.
+ * JWT access tokens are deny-listed until they expire.
+ *
+ * @param familyID The family, see RefreshToken
+ * @param done fn(err)
+ */
+function _revokeTokenFamily(familyID, done) {
+  RefreshToken.deleteFamily(familyID, function (err, ids) {
+    if (err) {
+      return done(err);
+    }
+    jwtAccessToken.revoke({ refreshTokenID: { $in: ids } }, function (err) {
+      if (err) {
+        return done(err);
+      }
+      AccessToken.deleteByRefreshToken(ids, done);
+    });
+  });
+}
+exports.revokeTokenFamily = _revokeTokenFamily;
+
+/**
+ * Revoke the user's consent for a client, along with every token the client holds for the user.
+ * The user will be asked for consent again the next time the client requests authorization.
+ *
+ * @param userID The user
+ * @param clientID The client
+ * @param done fn(err)
+ */
+exports.revokeConsent = function (userID, clientID, done) {
+  Consent.deleteConsent(userID, clientID, function (err) {
+    if (err) {
+      return done(err);
+    }
+    jwtAccessToken.revoke({ userID: userID, clientID: clientID }, function (err) {
+      if (err) {
+        return done(err);
+      }
+      AccessToken.deleteByUserAndClient(userID, clientID, function (err) {
+        if (err) {
+          return done(err);
+        }
+        RefreshToken.deleteByUserAndClient(userID, clientID, done);
+      });
+    });
+  });
+};
+
+/**
+ * Delete a client along with every grant and token issued to it.
+ *
+ * @param client The Client
+ * @param done fn(err)
+ */
+exports.removeClient = function (client, done) {
+  var models = [AuthorizationCode, DeviceCode, AccessToken, RefreshToken, Consent];
+  jwtAccessToken.revoke({ clientID: client.id }, function next(err) {
+    if (err) {
+      return done(err);
+    }
+    var model = models.shift();
+    if (!model) {
+      return client.remove(done);
+    }
+    model.remove({ clientID: client.id }, next);
+  });
+};
+
+/**
+ * Adds a signed id_token to the token response `params` when the 'openid' scope was granted.
+ * See oidc.issueIdToken() for `options`.
+ */
+function _addIdToken(client, userID, scope, options, params, done) {
+  if (!oidc.isOpenidScope(scope)) {
+    return done(null, params);
+  }
+  oidc.issueIdToken(client, userID, options, function (err, idToken) {
+    if (err) {
+      return done(err);
+    }
+    params.id_token = idToken;
+    return done(null, params);
+  });
+}
+
+/**
+ * Builds the response to an approved authorization request.
+ * Carries the OpenID Connect, PKCE and resource request parameters through to the grants, along with the `sid`
+ * of the user's session for logout, see config/logout.js.
+ */
+function _approve(req) {
+  return {
+    scope: req.oauth2.req.scope,
+    nonce: req.oauth2.req.nonce,
+    authTime: req.session && req.session.authTime,
+    sessionID: oidc.sessionId(req),
+    codeChallenge: req.oauth2.req.codeChallenge,
+    codeChallengeMethod: req.oauth2.req.codeChallengeMethod,
+    resource: req.oauth2.req.resource
+  };
+}
+
+/**
+ * Calls `send(next)` to redirect the user to the redirect URI of the transaction `txn`, in the response mode the
+ * client asked for: the parameters of the redirect are moved to the query or the fragment, or posted to the
+ * redirect URI by an auto-submitting form rendered instead of the redirect.
+ */
+function _sendInResponseMode(txn, res, send, next) {
+  var mode = txn.req && txn.req.responseMode;
+  if (!mode) {
+    return send(next);
+  }
+  var redirect = res.redirect;
+  res.redirect = function (location) {
+    res.redirect = redirect;
+    var params = responseMode.responseParams(txn.redirectURI, location);
+    if (mode !== 'form_post') {
+      return res.redirect(responseMode.format(txn.redirectURI, params, mode));
+    }
+    res.setHeader('Cache-Control', 'no-cache, no-store');
+    res.setHeader('Pragma', 'no-cache');
+    res.render('form-post.ejs', { action: txn.redirectURI, params: params });
+  };
+  send(function (err) {
+    res.redirect = redirect;
+    next(err);
+  });
+}
+
+/**
+ * Returns the grant module `mod` sending its responses in the response mode the client asked for.
+ */
+function _withResponseMode(mod) {
+  var response = mod.response;
+  mod.response = function (txn, res, next) {
+    _sendInResponseMode(txn, res, function (next) {
+      response(txn, res, next);
+    }, next);
+  };
+  return mod;
+}
+
 /**
  * Grant authorization codes
  *
@@ -46,7 +393,7 @@ function _issueAuthorizationCode(client, redirectURI, user, ares, done) {
  * duration, etc. as parsed by the application.  The application issues a code,
  * which is bound to these values, and will be exchanged for an access token.
  */
-server.grant(oauth2orize.grant.code(_issueAuthorizationCode));
+registerGrant(_withResponseMode(oauth2orize.grant.code(_issueAuthorizationCode)));
 
 /**
  * Grant implicit authorization.
@@ -56,15 +403,148 @@ server.grant(oauth2orize.grant.code(_issueAuthorizationCode));
  * duration, etc. as parsed by the application.  The application issues a token,
  * which is bound to these values.
  */
-server.grant(oauth2orize.grant.token(function (client, user, ares, done) {
-  var token = uid.uid(config.token.accessTokenLength);
-  AccessToken.saveToken(token, config.token.calculateExpirationDate(), user.id, client.id, ares.scope, function (err) {
+registerGrant(_withResponseMode(oauth2orize.grant.token(function (client, user, ares, done) {
+  _issueAccessToken(user.id, client, ares.scope, { audience: ares.resource }, function (err, token) {
     if (err) {
       return done(err);
     }
-    return done(null, token, {expires_in: config.token.expiresIn});
+    _addIdToken(client, user.id, ares.scope, {
+      nonce: ares.nonce,
+      authTime: ares.authTime,
+      sessionID: ares.sessionID,
+      accessToken: token
+    }, {expires_in: config.token.expiresIn}, function (err, params) {
+      if (err) {
+        return done(err);
+      }
+      return done(null, token, params);
+    });
   });
-}));
+})));
+
+/**
+ * Parse the OpenID Connect parameters of code and implicit authorization requests.
+ *
+ * The `nonce` is stored with the transaction and returned to the client in the id_token.
+ * It is required for implicit requests with the 'openid' scope to mitigate replay.
+ */
+function _parseOpenidRequest(req) {
+  var nonce = req.query.nonce;
+  if (!nonce) {
+    if (req.query.response_type === 'token' && /(^| )openid( |$)/.test(req.query.scope || '')) {
+      throw new AuthorizationError('Missing required parameter: nonce', 'invalid_request');
+    }
+    return {};
+  }
+  return { nonce: nonce };
+}
+server.grant('code', _parseOpenidRequest);
+server.grant('token', _parseOpenidRequest);
+
+/**
+ * The `prompt` values we support, see http://openid.net/specs/openid-connect-core-1_0.html#AuthRequest
+ */
+var PROMPTS = ['none', 'login', 'consent', 'select_account'];
+
+/**
+ * Parse the OpenID Connect parameters of code and implicit authorization requests that decide whether the user
+ * is asked to authenticate or consent: `prompt`, `max_age` and the `login_hint` to prefill the login page with.
+ * See _authorization for how they are honored.
+ */
+function _parsePromptRequest(req) {
+  var parsed = {};
+  if (req.query.prompt) {
+    parsed.prompt = _.uniq(String(req.query.prompt).split(' '));
+    if (_.difference(parsed.prompt, PROMPTS).length) {
+      throw new AuthorizationError('Unsupported prompt: ' + req.query.prompt, 'invalid_request');
+    }
+    if (parsed.prompt.length > 1 && parsed.prompt.indexOf('none') !== -1) {
+      throw new AuthorizationError('prompt=none can not be combined with other values', 'invalid_request');
+    }
+  }
+  if (req.query.max_age !== undefined) {
+    if (!/^\d+$/.test(req.query.max_age)) {
+      throw new AuthorizationError('Invalid max_age', 'invalid_request');
+    }
+    parsed.maxAge = parseInt(req.query.max_age, 10);
+  }
+  if (req.query.login_hint) {
+    parsed.loginHint = String(req.query.login_hint);
+  }
+  return parsed;
+}
+server.grant('code', _parsePromptRequest);
+server.grant('token', _parsePromptRequest);
+
+/**
+ * Parse the PKCE parameters of code authorization requests.
+ * See http://tools.ietf.org/html/rfc7636#section-4.3
+ *
+ * The `code_challenge` is stored with the authorization code and checked against the `code_verifier`
+ * when the code is exchanged. The method defaults to 'plain'.
+ */
+function _parsePkceRequest(req) {
+  var challenge = req.query.code_challenge;
+  var method = req.query.code_challenge_method;
+  if (!challenge) {
+    if (method) {
+      throw new AuthorizationError('Missing required parameter: code_challenge', 'invalid_request');
+    }
+    return {};
+  }
+  method = method || 'plain';
+  if (pkce.methods.indexOf(method) === -1) {
+    throw new AuthorizationError('Unsupported code_challenge_method: ' + method, 'invalid_request');
+  }
+  if (!pkce.isWellFormed(challenge)) {
+    throw new AuthorizationError('Invalid code_challenge', 'invalid_request');
+  }
+  return { codeChallenge: challenge, codeChallengeMethod: method };
+}
+server.grant('code', _parsePkceRequest);
+
+/**
+ * Parse the resource indicators of code and implicit authorization requests, the resources the tokens will be
+ * restricted to. Whether the client may ask for them is checked once the client is known, see _authorization.
+ * See http://tools.ietf.org/html/rfc8707#section-2.1
+ */
+function _parseResourceRequest(req) {
+  var resource = _parseResource(req.query.resource);
+  if (resource === null) {
+    throw new AuthorizationError('Invalid resource', 'invalid_target', null, 400);
+  }
+  return resource ? { resource: resource } : {};
+}
+server.grant('code', _parseResourceRequest);
+server.grant('token', _parseResourceRequest);
+
+/**
+ * The response modes CAS clients ask for with the `method` parameter, see
+ * https://apereo.github.io/cas/development/protocol/CAS-Protocol-Specification.html#231-parameters
+ */
+var CAS_METHODS = { GET: 'query', POST: 'form_post' };
+
+/**
+ * Parse the `response_mode` of code, implicit and CAS authorization requests, how the response is returned to the
+ * redirect URI. Tokens are never returned in the query. Whether the client may use the response mode is checked
+ * once the client is known, see _authorization.
+ */
+function _parseResponseModeRequest(req) {
+  var mode = req.query.response_mode;
+  if (!mode && req.query.response_type === 'cas' && req.query.method) {
+    mode = CAS_METHODS[String(req.query.method).toUpperCase()];
+  }
+  if (!mode) {
+    return {};
+  }
+  if (!responseMode.isAllowed(mode, req.query.response_type)) {
+    throw new AuthorizationError('Unsupported response_mode: ' + mode, 'invalid_request');
+  }
+  return { responseMode: mode };
+}
+server.grant('code', _parseResponseModeRequest);
+server.grant('token', _parseResponseModeRequest);
+server.grant('cas', _parseResponseModeRequest);
 
 /**
  * Exchange authorization codes for access tokens.
@@ -74,7 +554,7 @@ server.grant(oauth2orize.grant.token(function (client, user, ares, done) {
  * are validated, the application issues an access token on behalf of the user who
  * authorized the code.
  */
-server.exchange(oauth2orize.exchange.code(function (client, code, redirectURI, done) {
+registerExchange(oauth2orize.exchange.code(function (client, code, redirectURI, body, authInfo, done) {
   AuthorizationCode.findCode(code, function (err, authCode) {
     if (err) {
       return done(err);
@@ -88,6 +568,16 @@ server.exchange(oauth2orize.exchange.code(function (client, code, redirectURI, d
     if (redirectURI !== authCode.redirectURI) {
       return done(null, false);
     }
+    if (authCode.codeChallenge || body.code_verifier) {
+      // a code issued with a code_challenge may only be redeemed with its code_verifier, and vice versa
+      if (!pkce.verify(authCode.codeChallenge, authCode.codeChallengeMethod, body.code_verifier)) {
+        return done(null, false);
+      }
+    }
+    var audience = _tokenAudience(client, body.resource, authCode.resource);
+    if (audience === null) {
+      return done(_invalidTarget());
+    }
     AuthorizationCode.deleteCode(code, function (err, result) {
       if (err) {
         return done(err);
@@ -99,25 +589,25 @@ server.exchange(oauth2orize.exchange.code(function (client, code, redirectURI, d
         // authorization code
         return done(null, false);
       }
-      var token = uid.uid(config.token.accessTokenLength);
-      AccessToken.saveToken(token, config.token.calculateExpirationDate(), authCode.userID, authCode.clientID, authCode.scope, function (err) {
+      _issueTokens(authCode.userID, client, authCode.scope, {
+        binding: authInfo,
+        resource: authCode.resource,
+        audience: audience
+      }, function (err, token, refreshToken, params) {
         if (err) {
           return done(err);
         }
-        var refreshToken = null;
-        //I mimic openid connect's offline scope to determine if we send
-        //a refresh token or not
-        if (authCode.scope && authCode.scope.indexOf("offline_access") === 0) {
-          refreshToken = uid.uid(config.token.refreshTokenLength);
-          RefreshToken.saveToken(refreshToken, authCode.userID, authCode.clientID, authCode.scope, function (err) {
-            if (err) {
-              return done(err);
-            }
-            return done(null, token, refreshToken, {expires_in: config.token.expiresIn});
-          });
-        } else {
-          return done(null, token, refreshToken, {expires_in: config.token.expiresIn});
-        }
+        _addIdToken(client, authCode.userID, authCode.scope, {
+          nonce: authCode.nonce,
+          authTime: authCode.authTime,
+          sessionID: authCode.sessionID,
+          accessToken: token
+        }, params, function (err, params) {
+          if (err) {
+            return done(err);
+          }
+          return done(null, token, refreshToken, params);
+        });
       });
     });
   });
@@ -130,10 +620,14 @@ server.exchange(oauth2orize.exchange.code(function (client, code, redirectURI, d
  * from the token request for verification. If these values are validated, the
  * application issues an access token on behalf of the user who authorized the code.
  */
-server.exchange(oauth2orize.exchange.password(function (client, username, password, scope, done) {
+registerExchange(oauth2orize.exchange.password(function (client, username, password, scope, body, authInfo, done) {
   if (!client.hasAllowedScopes(scope)) {
     return done(null, false, { message: 'Invalid scope' });
   }
+  var audience = _tokenAudience(client, body.resource);
+  if (audience === null) {
+    return done(_invalidTarget());
+  }
   //Validate the user
   User.findOne(User.byLogin(username), function (err, user) {
     if (err) {
@@ -145,25 +639,15 @@ server.exchange(oauth2orize.exchange.password(function (client, username, passwo
     if (!user.authenticate(password)) {
       return done(null, false);
     }
-    var token = uid.uid(config.token.accessTokenLength);
-    AccessToken.saveToken(token, config.token.calculateExpirationDate(), user.id, client.id, scope, function (err) {
+    _issueTokens(user.id, client, scope, {
+      binding: authInfo,
+      resource: audience,
+      audience: audience
+    }, function (err, token, refreshToken, params) {
       if (err) {
         return done(err);
       }
-      var refreshToken = null;
-      //I mimic openid connect's offline scope to determine if we send
-      //a refresh token or not
-      if (scope && scope.indexOf("offline_access") === 0) {
-        refreshToken = uid.uid(config.token.refreshTokenLength);
-        RefreshToken.saveToken(refreshToken, user.id, client.id, scope, function (err) {
-          if (err) {
-            return done(err);
-          }
-          return done(null, token, refreshToken, {expires_in: config.token.expiresIn});
-        });
-      } else {
-        return done(null, token, refreshToken, {expires_in: config.token.expiresIn});
-      }
+      return done(null, token, refreshToken, params);
     });
   });
 }));
@@ -175,28 +659,103 @@ server.exchange(oauth2orize.exchange.password(function (client, username, passwo
  * password/secret from the token request for verification. If these values are validated, the
  * application issues an access token on behalf of the client who authorized the code.
  */
-server.exchange(oauth2orize.exchange.clientCredentials(function (client, scope, done) {
+registerExchange(oauth2orize.exchange.clientCredentials(function (client, scope, body, authInfo, done) {
   if (!client.hasAllowedScopes(scope)) {
     return done(null, false, { message: 'Invalid scope' });
   }
-  var token = uid.uid(config.token.accessTokenLength);
+  var audience = _tokenAudience(client, body.resource);
+  if (audience === null) {
+    return done(_invalidTarget());
+  }
   //Pass in a null for user id since there is no user when using this grant type
-  AccessToken.saveToken(token, config.token.calculateExpirationDate(), null, client.id, scope, function (err) {
+  _issueAccessToken(null, client, scope, {
+    cnf: authInfo && authInfo.cnf,
+    audience: audience
+  }, function (err, token) {
     if (err) {
       return done(err);
     }
-    return done(null, token, null, {expires_in: config.token.expiresIn});
+    return done(null, token, null, _tokenParams(authInfo));
+  });
+}));
+
+/**
+ * Exchange a JWT assertion the client signed about a user for an access token for that user.
+ *
+ * The assertion is verified like a client assertion, see config/client-assertion.js, and its `sub` is the id of
+ * the user, as in our id_tokens. As the user isn't asked, only trusted clients may use this grant, and the scope
+ * is restricted to the client's allowedScopes.
+ * See http://tools.ietf.org/html/rfc7523#section-2.1
+ */
+var exchangeJwtBearer = require('../helpers/oauth2/exchange/jwt-bearer');
+registerExchange(exchangeJwtBearer.grantType, exchangeJwtBearer(function (client, assertion, scope, body, authInfo,
+  done) {
+  if (!client.trustedClient) {
+    return done(new TokenError('Only trusted clients may use the jwt-bearer grant', 'unauthorized_client'));
+  }
+  if (!client.hasAllowedScopes(scope)) {
+    return done(new TokenError('Invalid scope', 'invalid_scope'));
+  }
+  var audience = _tokenAudience(client, body.resource);
+  if (audience === null) {
+    return done(_invalidTarget());
+  }
+  clientAssertion.verify(client, assertion, 'jwt_bearer', function (err, payload) {
+    if (err) {
+      return done(err);
+    }
+    if (!payload || !/^[0-9a-f]{24}$/.test(payload.sub)) {
+      return done(null, false);
+    }
+    User.findOne({ _id: payload.sub }, function (err, user) {
+      if (err) {
+        return done(err);
+      }
+      if (!user) {
+        return done(null, false);
+      }
+      _issueAccessToken(user.id, client, scope, {
+        cnf: authInfo && authInfo.cnf,
+        audience: audience
+      }, function (err, token) {
+        if (err) {
+          return done(err);
+        }
+        return done(null, token, null, _tokenParams(authInfo));
+      });
+    });
   });
 }));
 
+/**
+ * A refresh token was presented after it had been rotated, so it has leaked.
+ * Revoke its whole family, since we can't tell the legitimate client from the attacker, and record the event.
+ */
+function _refreshTokenReused(authCode, done) {
+  var familyID = authCode.familyID || authCode.id;
+  AuditEvent.record('refresh_token_reuse', {
+    userID: authCode.userID,
+    clientID: authCode.clientID,
+    details: { familyID: familyID, rotatedDate: authCode.rotatedDate }
+  });
+  _revokeTokenFamily(familyID, function (err) {
+    if (err) {
+      return done(err);
+    }
+    return done(null, false);
+  });
+}
+
 /**
  * Exchange the refresh token for an access token.
  *
  * The callback accepts the `client`, which is exchanging the client's id from the token
  * request for verification.  If this value is validated, the application issues an access
  * token on behalf of the client who authorized the code
+ *
+ * The refresh token is rotated: it is replaced by a new refresh token returned along with the access token.
  */
-server.exchange(oauth2orize.exchange.refreshToken(function (client, refreshToken, scope, done) {
+registerExchange(oauth2orize.exchange.refreshToken(function (client, refreshToken, scope, body, authInfo, done) {
   RefreshToken.findToken(refreshToken, function (err, authCode) {
     if (err) {
       return done(err);
@@ -207,16 +766,173 @@ server.exchange(oauth2orize.exchange.refreshToken(function (client, refreshToken
     if (client.id !== authCode.clientID) {
       return done(null, false);
     }
-    var token = uid.uid(config.token.accessTokenLength);
-    AccessToken.saveToken(token, config.token.calculateExpirationDate(), authCode.userID, authCode.clientID, authCode.scope, function (err) {
+    if (authCode.rotatedDate) {
+      return _refreshTokenReused(authCode, done);
+    }
+    if (authCode.expirationDate && new Date() > authCode.expirationDate) {
+      return done(null, false);
+    }
+    var jkt = authCode.cnf && authCode.cnf.jkt;
+    if (jkt && !(authInfo && authInfo.cnf && authInfo.cnf.jkt === jkt)) {
+      // a public client's refresh token bound to its DPoP key needs a proof of that key
+      return done(null, false);
+    }
+    var audience = _tokenAudience(client, body.resource, authCode.resource);
+    if (audience === null) {
+      return done(_invalidTarget());
+    }
+    RefreshToken.rotateToken(refreshToken, function (err, rotated) {
       if (err) {
         return done(err);
       }
-      return done(null, token, null, {expires_in: config.token.expiresIn});
+      if (!rotated) {
+        // lost the race to another request presenting the same token
+        return _refreshTokenReused(authCode, done);
+      }
+      _issueTokens(authCode.userID, client, authCode.scope, {
+        previous: authCode,
+        binding: authInfo,
+        resource: authCode.resource,
+        audience: audience
+      }, function (err, token, refreshToken, params) {
+        if (err) {
+          return done(err);
+        }
+        return done(null, token, refreshToken, params);
+      });
     });
   });
 }));
 
+/**
+ * The prefix of the request_uri of pushed authorization requests, see http://tools.ietf.org/html/rfc9126#section-2.2
+ */
+var REQUEST_URI_PREFIX = 'urn:ietf:params:oauth:request_uri:';
+
+/**
+ * Returns the parameters of an authorization request, given as form parameters or as the claims of a request
+ * object, in the shape of a query: strings, or arrays of strings for repeated parameters such as `resource`.
+ * Client credentials and nested requests are left out.
+ */
+function _requestParams(params) {
+  var query = {};
+  _.forOwn(_.omit(params, 'client_secret', 'client_assertion', 'client_assertion_type', 'request', 'request_uri'),
+    function (value, name) {
+      if (_.isArray(value)) {
+        query[name] = _.map(value, String);
+      } else if (_.isString(value) || _.isNumber(value) || _.isBoolean(value)) {
+        query[name] = String(value);
+      }
+    });
+  return query;
+}
+
+/**
+ * Load the parameters of an authorization request passed by reference, replacing the query.
+ *
+ * With a `request_uri` they are the parameters the client pushed to /oauth2/par, see exports.pushedAuthorization,
+ * and the request_uri can't be used again. With a `request` they are the claims of a request object signed by the
+ * client, see clientAssertion.verifyRequestObject(). Either way the `client_id` of the query must be the client's.
+ * Requests loaded from a request_uri are marked `req.pushedAuthorizationRequest`, which clients requiring pushed
+ * authorization requests must have, see _authorization.
+ * With `resume` they are those of the request the user left to log in, see _requireLogin().
+ * See http://tools.ietf.org/html/rfc9126#section-4 and http://tools.ietf.org/html/rfc9101#section-5
+ */
+function _loadAuthorizationRequest(req, res, next) {
+  var query = req.query;
+  if (query.resume) {
+    var resumed = req.session && req.session.authorizationRequest;
+    if (!resumed || resumed.id !== query.resume) {
+      return next(new AuthorizationError('Invalid resume', 'invalid_request', null, 400));
+    }
+    delete req.session.authorizationRequest;
+    req.query = resumed.params;
+    req.pushedAuthorizationRequest = resumed.pushed;
+    return next();
+  }
+  if (query.request && query.request_uri) {
+    return next(new AuthorizationError('request and request_uri must not both be present', 'invalid_request', null,
+      400));
+  }
+  if (query.request_uri) {
+    return PushedRequest.takeRequest(String(query.request_uri), function (err, pushed) {
+      if (err) {
+        return next(err);
+      }
+      if (!pushed || !query.client_id || pushed.params.client_id !== query.client_id) {
+        return next(new AuthorizationError('Invalid request_uri', 'invalid_request_uri', null, 400));
+      }
+      req.query = _.clone(pushed.params);
+      req.pushedAuthorizationRequest = true;
+      next();
+    });
+  }
+  if (!query.client_id) {
+    if (query.request) {
+      return next(new AuthorizationError('Missing required parameter: client_id', 'invalid_request', null, 400));
+    }
+    return next();
+  }
+  Client.findOne({ clientId: query.client_id }, function (err, client) {
+    if (err) {
+      return next(err);
+    }
+    if (!client) {
+      return next(); // rejected with the usual error by the authorization middleware
+    }
+    if (!query.request) {
+      return next();
+    }
+    clientAssertion.verifyRequestObject(client, query.request, function (err, params) {
+      if (err) {
+        return next(err);
+      }
+      if (!params) {
+        return next(new AuthorizationError('Invalid request object', 'invalid_request_object', null, 400));
+      }
+      req.query = _.extend(_requestParams(params), { client_id: client.clientId });
+      next();
+    });
+  });
+}
+
+/**
+ * Whether the user must (re-)authenticate before the authorization request is decided: when there is no user
+ * session, when the client asked for `prompt=login` or `select_account`, or when the user authenticated longer
+ * than `max_age` seconds ago.
+ */
+function _needsLogin(req) {
+  if (!req.user) {
+    return true;
+  }
+  var prompt = req.oauth2.req.prompt || [];
+  if (prompt.indexOf('login') !== -1 || prompt.indexOf('select_account') !== -1) {
+    return true;
+  }
+  var maxAge = req.oauth2.req.maxAge;
+  var authTime = req.session && req.session.authTime;
+  return maxAge !== undefined && (!authTime || jwt.now() - authTime > maxAge);
+}
+
+/**
+ * Send the user to the login page, prefilled with the `login_hint`, and back to the authorization request once
+ * authenticated.
+ * The request parameters wait in the session rather than in the returnTo URL, as a request_uri can only be used
+ * once. The user is not asked to authenticate again when coming back, so `prompt=login` and `max_age` are dropped.
+ */
+function _requireLogin(req, res) {
+  var id = uid.uid(16);
+  var params = _.omit(req.query, 'max_age', 'prompt');
+  var prompt = _.difference(req.oauth2.req.prompt || [], ['login', 'select_account']);
+  if (prompt.length) {
+    params.prompt = prompt.join(' ');
+  }
+  req.session.authorizationRequest = { id: id, params: params, pushed: req.pushedAuthorizationRequest };
+  req.session.returnTo = '/oauth2/authorize?' + querystring.stringify({ resume: id });
+  var hint = req.oauth2.req.loginHint;
+  res.redirect('/login' + (hint ? '?' + querystring.stringify({ login_hint: hint }) : ''));
+}
+
 /**
  * User authorization endpoint
  *
@@ -231,8 +947,18 @@ server.exchange(oauth2orize.exchange.refreshToken(function (client, refreshToken
  * This middleware simply initializes a new authorization transaction.  It is
  * the application's responsibility to authenticate the user and render a dialog
  * to obtain their approval (displaying details about the client requesting
- * authorization).  We accomplish that here by routing through `ensureLoggedIn()`
- * first, and rendering the `dialog` view.
+ * authorization).  We accomplish that here by sending the user to log in when needed, see _needsLogin(),
+ * and rendering the `dialog` view.
+ *
+ * The OpenID Connect `prompt` is honored: with 'none' nothing is shown to the user, the client is told
+ * 'login_required' or 'consent_required' instead, and with 'consent' the dialog is shown even to trusted or
+ * already consented clients.
+ *
+ * The response, or the error redirected to the client, is returned in the `response_mode` the client asked for,
+ * see _sendInResponseMode().
+ *
+ * Clients requiring pushed authorization requests are refused here, whichever way their request came: only
+ * exports.authorization can load one, see _loadAuthorizationRequest().
  */
 var _authorization = [
   function (req, res, next) {
@@ -241,7 +967,7 @@ var _authorization = [
     }
     next();
   },
-  server.authorization(function (clientID, redirectURI, scope, done) {
+  server.authorization(function (clientID, redirectURI, scope, type, done) {
     if (redirectURI && !clientID) {
       Client.findByRedirectUri(redirectURI, function (err, client) {
         if (err) {
@@ -261,8 +987,15 @@ var _authorization = [
           // WARNING: For security purposes, it is highly advisable to check that
           //          redirectURI provided by the client matches one registered with
           //          the server.
-          if (client.redirectUri && redirectURI.lastIndexOf(client.redirectUri, 0) !== 0) {
-            return done(null, false, { message: 'Invalid redirectUri' });
+          //          Device requests have no redirectURI, the user decides on our own /device page.
+          if (type !== 'device_code') {
+            if (!redirectURI && client.redirectUris.length === 1 && !redirectUri.isPattern(client.redirectUris[0])) {
+              // the redirect_uri may be omitted when only one was registered
+              redirectURI = client.redirectUris[0];
+            }
+            if (!client.hasRedirectUri(redirectURI)) {
+              return done(null, false, { message: 'Invalid redirectUri' });
+            }
           }
           if (!client.hasAllowedScopes(scope)) {
             return done(null, false, { message: 'Invalid scope' });
@@ -273,29 +1006,82 @@ var _authorization = [
     }
   }),
   function (req, res, next) {
-    //Render the decision dialog if the client isn't a trusted client
-    //TODO Make a mechanism so that if this isn't a trusted client, the user can recorded that they have consented
-    //but also make a mechanism so that if the user revokes access to any of the clients then they will have to
-    //re-consent.
+    //Render the decision dialog if the client isn't a trusted client and the user hasn't already consented
+    //to every requested scope. Consent is recorded by the decision endpoint and withdrawn by revokeConsent().
     if (!req.oauth2.client) {
       return next(new Error('OAuth2 client transaction not restored'));
     }
-    if (req.oauth2.client.trustedClient && req.oauth2.client.trustedClient === true) {
+    var grantType = { code: 'authorization_code', token: 'implicit' }[req.oauth2.req.type];
+    if (grantType && !req.oauth2.client.allowsGrantType(grantType)) {
+      return next(new AuthorizationError('The client may not use the ' + grantType + ' grant type',
+        'unauthorized_client'));
+    }
+    if (req.oauth2.client.requirePushedAuthorizationRequests && !req.pushedAuthorizationRequest) {
+      return next(new AuthorizationError('The client must use a pushed authorization request', 'invalid_request',
+        null, 400));
+    }
+    if (req.oauth2.client.publicClient && req.oauth2.req.type === 'code' && !req.oauth2.req.codeChallenge) {
+      // public clients can't keep their secret, so PKCE is the only thing protecting their codes
+      return next(new AuthorizationError('Missing required parameter: code_challenge', 'invalid_request'));
+    }
+    if (req.oauth2.req.resource && !req.oauth2.client.mayRequestResources(req.oauth2.req.resource)) {
+      return next(new AuthorizationError('The client may not request tokens for this resource', 'invalid_target',
+        null, 400));
+    }
+    var mode = req.oauth2.req.responseMode;
+    if (mode && !req.oauth2.client.allowsResponseMode(mode, req.oauth2.req.type)) {
+      return next(new AuthorizationError('The client may not use response_mode ' + mode, 'unauthorized_client'));
+    }
+    var prompt = req.oauth2.req.prompt || [];
+    function refuse(code, message) {
+      // redirect the error back to the client, as no UI may be shown
+      _sendInResponseMode(req.oauth2, res, function (next) {
+        server.errorHandler({ mode: 'indirect' })(new AuthorizationError(message, code), req, res, next);
+      }, next);
+    }
+    if (_needsLogin(req)) {
+      if (prompt.indexOf('none') !== -1) {
+        return refuse('login_required', 'The user must authenticate');
+      }
+      return _requireLogin(req, res);
+    }
+    function approveImmediately() {
       //This is how we short call the decision like the dialog below does
       server.decision({loadTransaction: false}, function (req, callback) {
-        callback(null, { allow: true, scope: req.oauth2.req.scope });
+        logout.participate(req, req.oauth2.client);
+        var ares = _approve(req);
+        ares.allow = true;
+        callback(null, ares);
       })(req, res, next);
-    } else {
+    }
+    var forceConsent = prompt.indexOf('consent') !== -1;
+    if (req.oauth2.client.trustedClient && req.oauth2.client.trustedClient === true && !forceConsent) {
+      return approveImmediately();
+    }
+    Consent.findConsent(req.user.id, req.oauth2.client.id, function (err, consent) {
+      if (err) {
+        return next(err);
+      }
+      var missing = forceConsent ? req.oauth2.req.scope : Consent.missingScopes(consent, req.oauth2.req.scope);
+      if (!missing.length) {
+        return approveImmediately();
+      }
+      if (prompt.indexOf('none') !== -1) {
+        return refuse('consent_required', 'The user must consent');
+      }
+      // only ask for the scopes the user hasn't already granted
       res.render('nojs-auth-decision.ejs', {
         transactionID: req.oauth2.transactionID,
         user: req.user,
         client: req.oauth2.client,
-        scope: req.oauth2.req.scope
+        scope: missing,
+        incremental: !!consent && !forceConsent,
+        csrfToken: req.csrfToken && req.csrfToken()
       });
-    }
+    });
   }
 ];
-exports.authorization = _authorization;
+exports.authorization = [_loadAuthorizationRequest].concat(_authorization);
 
 /**
  * User decision endpoint
@@ -307,10 +1093,119 @@ exports.authorization = _authorization;
  */
 exports.decision = [
   server.decision(function(req, done) {
-    return done(null, { scope: req.oauth2.req.scope });
+    if (req.body.cancel) {
+      return done(null, _approve(req));
+    }
+    logout.participate(req, req.oauth2.client);
+    // remember the user's consent so the dialog is skipped next time
+    Consent.grant(req.user.id, req.oauth2.client.id, req.oauth2.req.scope, function (err) {
+      if (err) {
+        return done(err);
+      }
+      return done(null, _approve(req));
+    });
   })
 ];
 
+/**
+ * Pushed authorization request endpoint
+ *
+ * Clients authenticate as at the token endpoint and post the parameters of an authorization request, or a signed
+ * `request` object holding them. They are given a request_uri to send the user to the authorization endpoint with
+ * instead of the parameters, which expires after config.token.pushedRequestExpiresIn.
+ * See http://tools.ietf.org/html/rfc9126#section-2
+ */
+exports.pushedAuthorization = [
+  passport.authenticate(['basic', 'oauth2-client-password', 'oauth2-client-assertion', 'oauth2-client-certificate'],
+    { session: false }),
+  function (req, res, next) {
+    var client = req.user;
+    if (req.body.request_uri) {
+      return next(new TokenError('request_uri may not be pushed', 'invalid_request'));
+    }
+    if (req.body.client_id && req.body.client_id !== client.clientId) {
+      return next(new TokenError('client_id is not the authenticated client', 'invalid_request'));
+    }
+    function push(params) {
+      params.client_id = client.clientId;
+      if (params.redirect_uri && !client.hasRedirectUri(params.redirect_uri)) {
+        return next(new TokenError('Invalid redirect_uri', 'invalid_request'));
+      }
+      var requestUri = REQUEST_URI_PREFIX + uid.uid(config.token.requestUriLength);
+      var expiresIn = config.token.pushedRequestExpiresIn;
+      PushedRequest.saveRequest(requestUri, client.id, params, new Date(Date.now() + expiresIn * 1000),
+        function (err) {
+          if (err) {
+            return next(err);
+          }
+          res.setHeader('Cache-Control', 'no-store');
+          res.setHeader('Pragma', 'no-cache');
+          res.json(201, { request_uri: requestUri, expires_in: expiresIn });
+        });
+    }
+    if (!req.body.request) {
+      return push(_requestParams(req.body));
+    }
+    clientAssertion.verifyRequestObject(client, req.body.request, function (err, params) {
+      if (err) {
+        return next(err);
+      }
+      if (!params) {
+        return next(new TokenError('Invalid request object', 'invalid_request_object', null, 400));
+      }
+      push(_requestParams(params));
+    });
+  },
+  server.errorHandler()
+];
+
+/**
+ * Decide whether the tokens issued to the authenticated client are bound to a proof of possession key, and if so
+ * pass the confirmation of the key to the exchanges in `req.authInfo`:
+ *  - `cnf` for the access token, see http://tools.ietf.org/html/rfc7800
+ *  - `refreshTokenCnf` for the refresh token
+ *
+ * Tokens are bound to the TLS client certificate when the client authenticated with its certificate, or asked
+ * for bound tokens when registering, in which case it must present a certificate.
+ * See http://tools.ietf.org/html/rfc8705#section-3
+ *
+ * Tokens are bound to the DPoP key of the proof sent in the DPoP header, if any. Confidential clients' refresh
+ * tokens are already bound to the client's own credentials, so only those of public clients are bound to the key.
+ * See http://tools.ietf.org/html/rfc9449#section-5
+ */
+function _tokenBinding(req, res, next) {
+  var client = req.user;
+  var certificate = clientCertificate.fromRequest(req);
+  var cnf = {};
+  if (Client.certificateAuthMethods.indexOf(client.tokenEndpointAuthMethod) !== -1 ||
+    client.tlsClientCertificateBoundAccessTokens) {
+    if (!certificate) {
+      return next(new TokenError('A client certificate is required to bind the access token', 'invalid_request'));
+    }
+    cnf['x5t#S256'] = clientCertificate.confirmation(certificate)['x5t#S256'];
+  }
+  function bound() {
+    if (Object.keys(cnf).length) {
+      req.authInfo = req.authInfo || {};
+      req.authInfo.cnf = cnf;
+      if (cnf.jkt && client.publicClient) {
+        req.authInfo.refreshTokenCnf = { jkt: cnf.jkt };
+      }
+    }
+    next();
+  }
+  if (!req.headers.dpop) {
+    return bound();
+  }
+  dpop.verifyProof(req, undefined, function (err, jkt) {
+    if (err) {
+      return next(new TokenError(err.message, 'invalid_dpop_proof', null, 400));
+    }
+    cnf.jkt = jkt;
+    bound();
+  });
+}
+
 /**
  * Token endpoint
  *
@@ -332,11 +1227,290 @@ exports.token = [
     }
     next();
   },
-  passport.authenticate(['basic', 'oauth2-client-password'], { session: false }),
+  passport.authenticate(['basic', 'oauth2-client-password', 'oauth2-client-assertion', 'oauth2-client-certificate'],
+    { session: false }),
+  _tokenBinding,
   server.token(),
   server.errorHandler()
 ];
 
+//
+// OAuth 2.0 Device Authorization Grant.
+// Devices without a browser, or with an awkward one, show the user a short code to enter on our /device page
+// from another device, while they poll the token endpoint until the user has decided.
+// See http://tools.ietf.org/html/rfc8628
+//
+
+/**
+ * Record the user's decision on the /device page against the user code.
+ * It goes through the usual authorization transaction so trusted clients, remembered consent and the decision
+ * dialog all apply.
+ */
+var grantDevice = require('../helpers/oauth2/grant/device');
+server.grant(grantDevice({ view: 'device-complete.ejs' }, function (client, user, code, ares, done) {
+  DeviceCode.decide(code, client.id, user.id, ares.allow, ares, function (err, deviceCode) {
+    if (err) {
+      return done(err);
+    }
+    return done(null, !!deviceCode);
+  });
+}));
+
+/**
+ * Exchange device codes for access tokens once the user has approved.
+ *
+ * Until then the device is told to keep polling with 'authorization_pending', or to poll less often with
+ * 'slow_down' when it polls faster than the interval it was given.
+ */
+var exchangeDeviceCode = require('../helpers/oauth2/exchange/device-code');
+registerExchange(exchangeDeviceCode.grantType, exchangeDeviceCode(function (client, code, body, authInfo, done) {
+  DeviceCode.poll(code, function (err, deviceCode) {
+    if (err) {
+      return done(err);
+    }
+    if (!deviceCode) {
+      return done(null, false);
+    }
+    if (client.id !== deviceCode.clientID) {
+      return done(null, false);
+    }
+    if (new Date() > deviceCode.expirationDate) {
+      return done(exchangeDeviceCode.error('expired_token', 'The device code has expired'));
+    }
+    if (deviceCode.status === 'denied') {
+      return DeviceCode.deleteCode(code, function (err) {
+        if (err) {
+          return done(err);
+        }
+        return done(exchangeDeviceCode.error('access_denied', 'The user denied the request'));
+      });
+    }
+    if (deviceCode.status === 'pending') {
+      if (deviceCode.lastPolledDate && Date.now() - deviceCode.lastPolledDate < deviceCode.interval * 1000) {
+        return DeviceCode.slowDown(code, function (err) {
+          if (err) {
+            return done(err);
+          }
+          return done(exchangeDeviceCode.error('slow_down', 'Polling too fast'));
+        });
+      }
+      return done(exchangeDeviceCode.error('authorization_pending', 'The user has not decided yet'));
+    }
+    var audience = _tokenAudience(client, body.resource);
+    if (audience === null) {
+      return done(_invalidTarget());
+    }
+    DeviceCode.deleteCode(code, function (err, result) {
+      if (err) {
+        return done(err);
+      }
+      if (result !== undefined && result === 0) {
+        // another poll already redeemed the approved code, see the authorization code exchange
+        return done(null, false);
+      }
+      _issueTokens(deviceCode.userID, client, deviceCode.scope, {
+        binding: authInfo,
+        resource: audience,
+        audience: audience
+      }, function (err, token, refreshToken, params) {
+        if (err) {
+          return done(err);
+        }
+        _addIdToken(client, deviceCode.userID, deviceCode.scope, {
+          authTime: deviceCode.authTime,
+          accessToken: token
+        }, params, function (err, params) {
+          if (err) {
+            return done(err);
+          }
+          return done(null, token, refreshToken, params);
+        });
+      });
+    });
+  });
+}));
+
+/**
+ * Find an unexpired access token, opaque or JWT, along with the client it was issued to.
+ *
+ * @param key The access token
+ * @param done fn(err, token, client) where token is null if there is no such token
+ */
+function _findActiveAccessToken(key, done) {
+  jwtAccessToken.findToken(key, function (err, token) {
+    if (err || !token || (token.expirationDate && new Date() > token.expirationDate)) {
+      return done(err, null);
+    }
+    Client.findOne({ _id: token.clientID }, function (err, client) {
+      if (err || !client) {
+        return done(err, null);
+      }
+      return done(null, token, client);
+    });
+  });
+}
+
+/**
+ * Exchange an access token the client may introspect, the subject token, for a token addressed to other
+ * audiences on behalf of the same user, with the same or a narrower scope.
+ * The requested audiences and resources must be among the client's tokenExchangeAudiences.
+ *
+ * The issued token records who acts for the user in its `act` delegation chain: the subject of the actor token
+ * when one is given, otherwise the client, followed by the chain of the subject token.
+ * See http://tools.ietf.org/html/rfc8693
+ */
+var exchangeToken = require('../helpers/oauth2/exchange/token-exchange');
+registerExchange(exchangeToken.grantType, exchangeToken(function (client, request, body, authInfo, done) {
+  var audience = _.union(request.audience || [], request.resource || []);
+  if (!audience.length) {
+    return done(new TokenError('Missing required parameter: audience or resource', 'invalid_request'));
+  }
+  if (!_.every(audience, client.mayExchangeInto, client)) {
+    return done(exchangeToken.error('invalid_target', 'The client may not exchange tokens for this audience'));
+  }
+  function audienceOf(token, issuedTo) {
+    return token.audience && token.audience.length ? token.audience : issuedTo.clientId;
+  }
+  _findActiveAccessToken(request.subjectToken, function (err, subject, subjectClient) {
+    if (err) {
+      return done(err);
+    }
+    if (!subject || !client.mayIntrospect(audienceOf(subject, subjectClient))) {
+      return done(null, false);
+    }
+    var scope = request.scope || subject.scope;
+    if (subject.scope.indexOf('*') === -1 && _.difference(scope, subject.scope).length) {
+      return done(new TokenError('The scope may only narrow the scope of the subject token', 'invalid_scope'));
+    }
+    function issue(act) {
+      if (subject.act) {
+        act.act = subject.act;
+      }
+      _issueAccessToken(subject.userID, client, scope, {
+        cnf: authInfo && authInfo.cnf,
+        audience: audience,
+        act: act
+      }, function (err, token) {
+        if (err) {
+          return done(err);
+        }
+        var params = _tokenParams(authInfo);
+        params.scope = scope.join(' ');
+        return done(null, token, params);
+      });
+    }
+    if (!request.actorToken) {
+      return issue({ sub: client.clientId });
+    }
+    _findActiveAccessToken(request.actorToken, function (err, actor, actorClient) {
+      if (err) {
+        return done(err);
+      }
+      if (!actor || !client.mayIntrospect(audienceOf(actor, actorClient))) {
+        return done(null, false);
+      }
+      issue({ sub: actor.userID ? String(actor.userID) : actorClient.clientId });
+    });
+  });
+}));
+
+/**
+ * Device authorization endpoint
+ *
+ * Clients authenticate and are issued a device code to poll the token endpoint with, and a user code
+ * for the user to enter at the verification_uri.
+ * See http://tools.ietf.org/html/rfc8628#section-3.1
+ */
+exports.deviceAuthorization = [
+  passport.authenticate(['basic', 'oauth2-client-password', 'oauth2-client-assertion', 'oauth2-client-certificate'],
+    { session: false }),
+  function (req, res, next) {
+    var scope = (req.body.scope || '*').split(' '); // default for OAuth2 clients
+    if (!req.user.hasAllowedScopes(scope)) {
+      return next(new TokenError('Invalid scope', 'invalid_scope'));
+    }
+    var deviceCode = uid.uid(config.token.deviceCodeLength);
+    var code = userCode.generate();
+    var interval = config.token.deviceCodeInterval;
+    var expirationDate = new Date(Date.now() + config.token.deviceCodeExpiresIn * 1000);
+    DeviceCode.saveCode(deviceCode, code, req.user.id, scope, expirationDate, interval, function (err) {
+      if (err) {
+        return next(err);
+      }
+      var verificationUri = config.rootUrl + '/device';
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Pragma', 'no-cache');
+      res.json({
+        device_code: deviceCode,
+        user_code: userCode.format(code),
+        verification_uri: verificationUri,
+        verification_uri_complete: verificationUri + '?' + querystring.stringify({ user_code: userCode.format(code) }),
+        expires_in: config.token.deviceCodeExpiresIn,
+        interval: interval
+      });
+    });
+  },
+  server.errorHandler()
+];
+
+/**
+ * The /device page where the user enters the user code shown by the device.
+ * The code is prefilled when the user followed the verification_uri_complete.
+ */
+exports.devicePage = function (req, res) {
+  res.render('device.ejs', {
+    user: req.user,
+    userCode: req.query.user_code || '',
+    error: null,
+    csrfToken: req.csrfToken && req.csrfToken()
+  });
+};
+
+/**
+ * The user submitted a user code: start an authorization transaction for the device's request.
+ */
+exports.deviceDecision = [
+  function (req, res, next) {
+    function retry(error) {
+      res.status(400);
+      res.render('device.ejs', {
+        user: req.user,
+        userCode: req.body.user_code || '',
+        error: error,
+        csrfToken: req.csrfToken && req.csrfToken()
+      });
+    }
+    var code = userCode.normalize(req.body.user_code);
+    if (!code) {
+      return retry('Please enter the code exactly as displayed on your device.');
+    }
+    DeviceCode.findPending(code, function (err, deviceCode) {
+      if (err) {
+        return next(err);
+      }
+      if (!deviceCode) {
+        return retry('This code is invalid or has expired. Please check your device.');
+      }
+      Client.findById(deviceCode.clientID, function (err, client) {
+        if (err) {
+          return next(err);
+        }
+        if (!client) {
+          return retry('This code is invalid or has expired. Please check your device.');
+        }
+        req.query = {
+          response_type: 'device_code',
+          client_id: client.clientId,
+          scope: deviceCode.scope.join(' '),
+          user_code: code
+        };
+        next();
+      });
+    });
+  },
+  _authorization
+];
+
 /**
  * CAS OAuth2.0 Server Emulation.
  * Special version of authorization enforces a response_type and a restricted scope for CAS clients
@@ -366,7 +1540,9 @@ exports.formToken = [
     }
     next();
   },
-  passport.authenticate(['basic', 'oauth2-client-password'], { session: false }),
+  passport.authenticate(['basic', 'oauth2-client-password', 'oauth2-client-assertion', 'oauth2-client-certificate'],
+    { session: false }),
+  _tokenBinding,
   function (req, res, next) {
     var myRes = {
       setHeader: function (arg1, arg2) {
@@ -398,19 +1574,22 @@ exports.casProfile = function (req, res) {
 
 
 //
-// CAS 1.0 and 2.0 Protocol emulation.
-// Emulates a subset of client authentication
-// See http://www.jasig.org/cas/protocol
+// CAS 1.0, 2.0 and 3.0 Protocol emulation.
+// Emulates a subset of client authentication, and proxying, see config/cas-proxy.js
+// See https://apereo.github.io/cas/development/protocol/CAS-Protocol-Specification.html
 //
 
 /**
  * Load the CAS service ticket parser and alias it
  */
 var grantCas = require('../helpers/oauth2/grant/cas');
-server.grant(grantCas(_issueAuthorizationCode));
+server.grant(_withResponseMode(grantCas(_issueAuthorizationCode)));
 
 var exchangeCasValidate = require('../helpers/oauth2/exchange/cas-validate');
-server.exchange(exchangeCasValidate(function (client, code, redirectURI, done) {
+server.exchange(exchangeCasValidate(function (client, code, redirectURI, options, done) {
+  if (options.pgtUrl && !casProxy.isValidCallback(options.pgtUrl)) {
+    return done(new TokenError('The pgtUrl must be an HTTPS URL', 'invalid_proxy_callback', null, 400));
+  }
   AuthorizationCode.findCode(code, function (err, authCode) {
     if (err) {
       return done(err);
@@ -422,6 +1601,10 @@ server.exchange(exchangeCasValidate(function (client, code, redirectURI, done) {
     if (redirectURI !== authCode.redirectURI) {
       return done(null, false);
     }
+    // a proxy ticket can't pass for a service ticket, nor the other way round
+    if (options.proxyTicket !== (authCode.proxies.length > 0)) {
+      return done(null, false);
+    }
     AuthorizationCode.deleteCode(code, function (err, result) {
       if (err) {
         return done(err);
@@ -442,7 +1625,29 @@ server.exchange(exchangeCasValidate(function (client, code, redirectURI, done) {
         if (!user) {
           return done(null, false);
         }
-        return done(null, user.username);
+        // the attributes released depend on the service the ticket was issued to
+        Client.findById(authCode.clientID, function (err, service) {
+          if (err) {
+            return done(err);
+          }
+          var attributes = service ? service.releaseCasAttributes(user) : {};
+          var proxies = [].concat(authCode.proxies);
+          if (!options.pgtUrl) {
+            return done(null, user.username, attributes, { proxies: proxies });
+          }
+          // proxy-granting tickets are only delivered where the service registered, not to any URL it names
+          if (!service || !service.hasProxyCallbackUri(options.pgtUrl)) {
+            return done(new TokenError('The pgtUrl is not registered for the service', 'invalid_proxy_callback', null,
+              400));
+          }
+          casProxy.grantProxyGrantingTicket(options.pgtUrl, authCode.userID, authCode.clientID, proxies,
+            function (err, pgtIou) {
+              if (err) {
+                return done(err);
+              }
+              return done(null, user.username, attributes, { proxyGrantingTicket: pgtIou, proxies: proxies });
+            });
+        });
       });
     });
   });
@@ -451,7 +1656,7 @@ server.exchange(exchangeCasValidate(function (client, code, redirectURI, done) {
 var errorsCasError = require('../helpers/oauth2/errors/cas-error');
 
 /**
- * CAS 1.0 and 2.0 login ticket request
+ * CAS 1.0, 2.0 and 3.0 login ticket request
  * grant 'ticket' (authorization-code) and return to 'service' url
  * assume user already authenticated. no 'renew' or 'gateway' support.
  */
@@ -463,39 +1668,92 @@ exports.casLogin = [
   _authorization
 ];
 
+/**
+ * Returns the middleware validating a CAS `ticket` (bearer token) issued for the `service` url with the CAS protocol
+ * `casVersion`, '1_0', '2_0' or '3_0'. Proxy tickets are only accepted when `proxy` is true.
+ */
+function _casValidation(casVersion, proxy) {
+  return [
+    function (req, res, next) {
+      // default used by CAS clients
+      req.body.grant_type = 'cas_validate';
+      req.body.cas_version = casVersion;
+      req.body.cas_proxy = Boolean(proxy);
+      next();
+    },
+    server.token(),
+    errorsCasError.casValidateError
+  ];
+}
+
 /**
  * CAS 1.0 ticket validation
  *
  * verify 'ticket' (bearer token) and return status to 'service' url
  * do not support 'renew'
  */
-exports.casValidate = [
-  function (req, res, next) {
-    // default used by CAS clients
-    req.body.grant_type = 'cas_validate';
-    req.body.cas_version = '1_0';
-    next();
-  },
-  server.token(),
-  errorsCasError.casValidateError
-];
+exports.casValidate = _casValidation('1_0');
 
 /**
  * CAS 2.0 ticket validation
  *
- * verify 'ticket' (bearer token) and return status to 'service' url
- * do not support 'renew' or 'pgtUrl'
+ * verify 'ticket' (bearer token) and return status to 'service' url, as XML or JSON with `format=JSON`
+ * a service passing a 'pgtUrl' is granted a proxy-granting ticket, see config/cas-proxy.js
+ * do not support 'renew'
  */
-exports.casServiceValidate = [
-  function (req, res, next) {
-    // default used by CAS clients
-    req.body.grant_type = 'cas_validate';
-    req.body.cas_version = '2_0';
-    next();
-  },
-  server.token(),
-  errorsCasError.casValidateError
-];
+exports.casServiceValidate = _casValidation('2_0');
+
+/**
+ * CAS 2.0 proxy ticket validation
+ *
+ * like CAS 2.0 validation, also accepting proxy tickets and returning the 'proxies' they were issued through
+ */
+exports.casProxyValidate = _casValidation('2_0', true);
+
+/**
+ * CAS 3.0 ticket validation
+ *
+ * like CAS 2.0 validation, also returning the user attributes released to the service, see
+ * Client.releaseCasAttributes()
+ */
+exports.casP3ServiceValidate = _casValidation('3_0');
+
+/**
+ * CAS 3.0 proxy ticket validation
+ *
+ * like CAS 3.0 validation, also accepting proxy tickets and returning the 'proxies' they were issued through
+ */
+exports.casP3ProxyValidate = _casValidation('3_0', true);
+
+/**
+ * CAS 2.0 and 3.0 proxy ticket request
+ *
+ * issue a proxy ticket for the 'targetService' url to the service presenting the proxy-granting ticket 'pgt',
+ * as XML or JSON with `format=JSON`
+ */
+exports.casProxy = function (req, res) {
+  var pgt = req.query.pgt,
+    targetService = req.query.targetService;
+  function send(status, response) {
+    res.statusCode = status;
+    casResponse.send(res, response, req.query.format);
+  }
+  if (!pgt || !targetService) {
+    return send(400, { proxyFailure: {
+      code: 'INVALID_REQUEST',
+      description: 'Missing required parameter: ' + (pgt ? 'targetService' : 'pgt')
+    } });
+  }
+  casProxy.issueProxyTicket(pgt, targetService, function (err, ticket, failure) {
+    if (err) {
+      return send(500, { proxyFailure: { code: 'INTERNAL_ERROR', description: err.message } });
+    }
+    if (!ticket) {
+      return send(403, { proxyFailure: failure });
+    }
+    return send(200, { proxySuccess: { proxyTicket: ticket } });
+  });
+};
 
 
 /**
@@ -507,6 +1765,26 @@ setInterval(function () {
       console.error("Error removing expired tokens");
     }
   });
+  RefreshToken.removeExpired(function (err) {
+    if (err) {
+      console.error("Error removing expired refresh tokens");
+    }
+  });
+  DeviceCode.removeExpired(function (err) {
+    if (err) {
+      console.error("Error removing expired device codes");
+    }
+  });
+  PushedRequest.removeExpired(function (err) {
+    if (err) {
+      console.error("Error removing expired pushed authorization requests");
+    }
+  });
+  ProxyGrantingTicket.removeExpired(function (err) {
+    if (err) {
+      console.error("Error removing expired proxy-granting tickets");
+    }
+  });
 }, config.token.timeToCheckExpiredTokens * 1000);
 
 
@@ -0,0 +1,137 @@
+/**
+ * OpenID Connect layer on top of the OAuth2orize server.
+ * Issues signed id_tokens and builds the standard claims returned by the userinfo endpoint.
+ *
+ * See http://openid.net/specs/openid-connect-core-1_0.html
+ */
+'use strict';
+
+var _ = require('lodash'),
+  config = require('./config'),
+  jwt = require('../helpers/jwt'),
+  uid = require('../helpers/uid'),
+  jwks = require('./jwks'),
+  models = require('./models'),
+  Client = models.model('Client');
+
+/**
+ * The `iss` of every id_token we sign
+ */
+exports.issuer = config.oidc.issuer || config.rootUrl;
+
+/**
+ * Test if the granted scope makes this an OpenID Connect request.
+ * Note the wildcard '*' scope does not imply 'openid', it must be asked for explicitly.
+ */
+exports.isOpenidScope = function (scope) {
+  return Array.isArray(scope) && scope.indexOf('openid') !== -1;
+};
+
+/**
+ * Remember when the user interactively authenticated, reported to clients as the id_token `auth_time`.
+ * Called by passport whenever a user logs in, see config/passport.js.
+ */
+exports.setAuthTime = function (req) {
+  if (req.session) {
+    req.session.authTime = jwt.now();
+  }
+};
+
+/**
+ * Returns the `sid` identifying the user's session to the clients taking part in it, creating it when needed.
+ * It is returned in id_tokens and logout tokens so clients can tell which of their sessions ended,
+ * see config/logout.js.
+ */
+exports.sessionId = function (req) {
+  if (!req.session) {
+    return undefined;
+  }
+  if (!req.session.sid) {
+    req.session.sid = uid.uid(config.oidc.sessionIdLength);
+  }
+  return req.session.sid;
+};
+
+/**
+ * Issue a signed id_token.
+ *
+ * Options may include any or none of the following:
+ *   nonce: value passed by the client in the authorization request
+ *   authTime: time in seconds the user authenticated
+ *   accessToken: if supplied add its `at_hash`
+ *   sessionID: the `sid` of the user's session, see sessionId()
+ *
+ * @param client The client the id_token is addressed to
+ * @param userID The authenticated user
+ * @param options See above
+ * @param done fn(err, idToken)
+ */
+exports.issueIdToken = function (client, userID, options, done) {
+  var now = jwt.now();
+  var claims = {
+    iss: exports.issuer,
+    sub: String(userID),
+    aud: client.clientId,
+    iat: now,
+    exp: now + config.oidc.idTokenExpiresIn
+  };
+  if (options.nonce) { claims.nonce = options.nonce; }
+  if (options.authTime) { claims.auth_time = options.authTime; }
+  if (options.accessToken) { claims.at_hash = jwt.halfHash(options.accessToken); }
+  if (options.sessionID) { claims.sid = options.sessionID; }
+  jwks.currentKey(function (err, key) {
+    if (err) { return done(err); }
+    try {
+      return done(null, jwt.sign(claims, key.privateKey, { alg: key.alg, kid: key.kid }));
+    } catch (ex) {
+      return done(ex);
+    }
+  });
+};
+
+/**
+ * Verify an id_token we issued, passed back by a client as the `id_token_hint` of a logout request.
+ * Expired id_tokens are accepted, as they only hint at the session the client is asking to end.
+ * The other JWTs signed with the same keys, JWT access tokens (typ at+jwt) and logout tokens (typ logout+jwt, with
+ * `events`), are not id_tokens.
+ * See http://openid.net/specs/openid-connect-rpinitiated-1_0.html#RPLogout
+ *
+ * @param idToken
+ * @param done fn(err, claims) claims is null if the id_token is invalid
+ */
+exports.verifyIdTokenHint = function (idToken, done) {
+  jwt.verify(idToken, jwks.verificationKey, { issuer: exports.issuer, ignoreExpiration: true },
+    function (err, claims, header) {
+      if (err || header.typ !== 'JWT' || claims.events !== undefined || !claims.sub) {
+        return done(null, null);
+      }
+      return done(null, claims);
+    });
+};
+
+/**
+ * Build the standard claims for the user, filtered by the granted scope.
+ * The `sub` claim is always returned; 'profile' releases name and persona details; 'email' releases the email.
+ * See http://openid.net/specs/openid-connect-core-1_0.html#StandardClaims
+ *
+ * @param user The User
+ * @param persona The user's public UserPersona, may be null
+ * @param scope The granted scope, or undefined for a cookie session which has all scopes
+ */
+exports.userClaims = function (user, persona, scope) {
+  var info = user.userInfo;
+  var claims = { sub: String(info.id) };
+  if (!scope || Client.hasAtLeastOneScope('profile', scope)) {
+    _.extend(claims, {
+      name: info.name,
+      preferred_username: info.username
+    });
+    if (persona) {
+      claims.nickname = persona.alias;
+    }
+  }
+  if ((!scope || Client.hasAtLeastOneScope('email', scope)) && user.email) {
+    claims.email = user.email;
+  }
+  return claims;
+};
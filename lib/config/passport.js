@@ -9,13 +9,123 @@ var _ = require('lodash'),
   BasicStrategy = require('passport-http').BasicStrategy,
   ClientPasswordStrategy = require('passport-oauth2-client-password').Strategy,
   BearerStrategy = require('passport-http-bearer').Strategy,
+  ClientAssertionStrategy = require('../helpers/passport-client-assertion'),
+  ClientCertificateStrategy = require('../helpers/passport-client-certificate'),
+  DPoPStrategy = require('../helpers/passport-dpop'),
   LocalStrategy = require('passport-local').Strategy,
   TwitterStrategy = require('passport-twitter').Strategy,
   FacebookStrategy = require('passport-facebook').Strategy,
   GitHubStrategy = require('passport-github').Strategy,
   GoogleStrategy = require('passport-google-oauth').OAuth2Strategy,
+  clientJwks = require('./client-jwks'),
+  clientAssertion = require('./client-assertion'),
+  clientCertificate = require('./client-certificate'),
+  dpop = require('./dpop'),
+  jwtAccessToken = require('./jwt-access-token'),
   config = require('./config'),
-  configExpose = require('./config-expose');
+  configExpose = require('./config-expose'),
+  oidc = require('./oidc');
+
+/**
+ * Find an access token, either opaque or a JWT we signed, see config/jwt-access-token.js.
+ * A JWT is verified locally and described in the shape of an AccessToken, except it names its client by
+ * `clientId` rather than `clientID`.
+ *
+ * @param accessToken The access token
+ * @param done fn(err, token) where token is null if the token is unknown, invalid or revoked
+ */
+function findAccessToken(accessToken, done) {
+  if (!jwtAccessToken.isJwt(accessToken)) {
+    return AccessToken.findToken(accessToken, done);
+  }
+  jwtAccessToken.verify(accessToken, function (err, claims) {
+    if (err || !claims) {
+      return done(err, null);
+    }
+    return done(null, {
+      userID: claims.sub === claims.client_id ? null : claims.sub,
+      clientId: claims.client_id,
+      scope: claims.scope ? claims.scope.split(' ') : [],
+      expirationDate: new Date(claims.exp * 1000),
+      cnf: claims.cnf,
+      // an unrestricted token is addressed to its client
+      audience: _.without([].concat(claims.aud), claims.client_id)
+    });
+  });
+}
+
+/**
+ * Authenticate the user, or client, an access token was issued to.
+ * A token bound to a TLS client certificate is only accepted over a connection with that certificate, and a
+ * token bound to a DPoP key only with a proof signed by that key.
+ * The Client and User are looked up even for a JWT, whose claims only name them: the API handlers need the
+ * documents, and a deleted client or user is refused. Only the token itself is not looked up.
+ *
+ * @param req The request
+ * @param accessToken The access token
+ * @param jkt The thumbprint of the key of the request's verified DPoP proof, null for a Bearer token
+ * @param done fn(err, user, info)
+ */
+function verifyAccessToken(req, accessToken, jkt, done) {
+  findAccessToken(accessToken, function (err, token) {
+    if (err) {
+      return done(err);
+    }
+    if (!token) {
+      return done(null, false);
+    }
+    var cnf = token.cnf || {};
+    if (cnf['x5t#S256']) {
+      var certificate = clientCertificate.fromRequest(req);
+      if (!certificate || certificate.thumbprint !== cnf['x5t#S256']) {
+        return done(null, false);
+      }
+    }
+    if ((cnf.jkt || jkt) && cnf.jkt !== jkt) {
+      // a DPoP-bound token is only accepted with a proof of its key, and a DPoP proof only with a bound token
+      return done(null, false);
+    }
+    if(new Date() > token.expirationDate) {
+      if (token.clientId) {
+        return done(null, false); // the record of a JWT, by its jti, is removed with the other expired tokens
+      }
+      AccessToken.deleteToken(accessToken, function(err) {
+        return done(err);
+      });
+    } else {
+      // we always need to know which client is making the request
+      Client.findOne(token.clientId ? { clientId: token.clientId } : { _id: token.clientID}, function (err, client) {
+        if (err) {
+          return done(err);
+        }
+        if (!client) {
+          return done(null, false);
+        }
+        if (token.userID === null) {
+          //The request came from a client only since userID is null
+          //therefore the client is passed back instead of a user
+          return done(null, User.clientAsUser(client), {
+            scope: token.scope,
+            audience: token.audience,
+            client: client
+          });
+        } else {
+          User.findOne({
+            _id: token.userID
+          }, function (err, user) {
+            if (err) {
+              return done(err);
+            }
+            if (!user) {
+              return done(null, false);
+            }
+            return done(null, user, { scope: token.scope, audience: token.audience, client: client });
+          });
+        }
+      });
+    }
+  });
+}
 
 /**
  * Passport configuration
@@ -35,7 +145,11 @@ module.exports = function() {
   // client object is serialized into the session.  Typically this will be a
   // simple matter of serializing the client's ID, and deserializing by finding
   // the client by ID from the database.
-  passport.serializeUser(function(user, done) {
+  //
+  // Every login, with a password or through a social provider, goes through req.logIn() and so here: this is
+  // where the time the user authenticated is recorded for the id_token `auth_time` and `max_age`.
+  passport.serializeUser(function(req, user, done) {
+    oidc.setAuthTime(req);
     done(null, user.id);
   });
   passport.deserializeUser(function(id, done) {
@@ -66,7 +180,7 @@ module.exports = function() {
         if (!client) {
           return done(null, false);
         }
-        if (client.clientSecret !== password) {
+        if (!client.authenticateSecret(password)) {
           return done(null, false);
         }
         return done(null, client);
@@ -90,7 +204,7 @@ module.exports = function() {
         if (!client) {
           return done(null, false);
         }
-        if (client.clientSecret !== clientSecret) {
+        if (!client.authenticateSecret(clientSecret)) {
           return done(null, false);
         }
         return done(null, client);
@@ -99,54 +213,104 @@ module.exports = function() {
   ));
 
   /**
-   * BearerStrategy
+   * Client Assertion strategy
    *
-   * This strategy is used to authenticate either users or clients based on an access token
-   * (aka a bearer token).  If a user, they must have previously authorized a client
-   * application, which is issued an access token to make requests on behalf of
-   * the authorizing user.
+   * Authenticates clients registered with the client_secret_jwt or private_key_jwt token_endpoint_auth_method by
+   * the JWT they send as `client_assertion`, signed with their client secret or a key from their JWKS, see
+   * config/client-assertion.js.
+   * See http://openid.net/specs/openid-connect-core-1_0.html#ClientAuthentication
    */
-  passport.use(new BearerStrategy(
-    function (accessToken, done) {
-      AccessToken.findToken(accessToken, function (err, token) {
+  passport.use(new ClientAssertionStrategy(
+    function (clientId, assertion, done) {
+      Client.findOne({ clientId: clientId }, function (err, client) {
         if (err) {
           return done(err);
         }
-        if (!token) {
+        if (!client || !Client.assertionAlgorithms[client.tokenEndpointAuthMethod]) {
           return done(null, false);
         }
-        if(new Date() > token.expirationDate) {
-          AccessToken.deleteToken(accessToken, function(err) {
+        clientAssertion.verify(client, assertion, 'client_assertion', function (err, payload) {
+          if (err) {
             return done(err);
+          }
+          return done(null, payload ? client : false);
+        });
+      });
+    }
+  ));
+
+  /**
+   * Client Certificate strategy
+   *
+   * Authenticates clients registered with the tls_client_auth or self_signed_tls_client_auth
+   * token_endpoint_auth_method by the TLS client certificate they connected with, see config/client-certificate.js.
+   * A tls_client_auth certificate must be issued by a CA we trust and have the registered subject DN or DNS name.
+   * A self-signed certificate must have one of the keys of the client's JWKS.
+   * See http://tools.ietf.org/html/rfc8705#section-2
+   */
+  passport.use(new ClientCertificateStrategy({ certificate: clientCertificate.fromRequest },
+    function (clientId, certificate, done) {
+      Client.findOne({ clientId: clientId }, function (err, client) {
+        if (err) {
+          return done(err);
+        }
+        if (!client) {
+          return done(null, false);
+        }
+        if (client.tokenEndpointAuthMethod === 'tls_client_auth') {
+          if (!certificate.trusted) {
+            return done(null, false);
+          }
+          var sanDns = (client.tlsClientAuthSanDns || '').toLowerCase();
+          var matches = clientCertificate.hasSubjectDn(certificate, client.tlsClientAuthSubjectDn) ||
+            (!!sanDns && _.some(certificate.sanDns, function (name) { return name.toLowerCase() === sanDns; }));
+          return done(null, matches && client);
+        }
+        if (client.tokenEndpointAuthMethod !== 'self_signed_tls_client_auth' || !certificate.publicJwk) {
+          return done(null, false);
+        }
+        var hasKey = function (keys) {
+          return _.some(keys, { kty: 'RSA', n: certificate.publicJwk.n, e: certificate.publicJwk.e });
+        };
+        clientJwks.keys(client, false, function (err, keys) {
+          if (err || hasKey(keys) || !client.jwksUri) {
+            return done(null, !err && hasKey(keys) && client);
+          }
+          clientJwks.keys(client, true, function (err, keys) {
+            return done(null, !err && hasKey(keys) && client);
           });
-        } else {
-          // we always need to know which client is making the request
-          Client.findOne({ _id: token.clientID}, function (err, client) {
-            if (err) {
-              return done(err);
-            }
-            if (!client) {
-              return done(null, false);
-            }
-            if (token.userID === null) {
-              //The request came from a client only since userID is null
-              //therefore the client is passed back instead of a user
-              return done(null, User.clientAsUser(client), { scope: token.scope, client: client });
-            } else {
-              User.findOne({
-                _id: token.userID
-              }, function (err, user) {
-                if (err) {
-                  return done(err);
-                }
-                if (!user) {
-                  return done(null, false);
-                }
-                return done(null, user, { scope: token.scope, client: client });
-              });
-            }
-          });
+        });
+      });
+    }
+  ));
+
+  /**
+   * BearerStrategy
+   *
+   * This strategy is used to authenticate either users or clients based on an access token
+   * (aka a bearer token).  If a user, they must have previously authorized a client
+   * application, which is issued an access token to make requests on behalf of
+   * the authorizing user.
+   */
+  passport.use(new BearerStrategy({ passReqToCallback: true },
+    function (req, accessToken, done) {
+      verifyAccessToken(req, accessToken, null, done);
+    }
+  ));
+
+  /**
+   * DPoP strategy
+   *
+   * Same as the BearerStrategy for access tokens bound to a DPoP key, sent as `Authorization: DPoP <token>` along
+   * with a proof of possession of the key in the DPoP header, see config/dpop.js.
+   */
+  passport.use(new DPoPStrategy(
+    function (req, accessToken, done) {
+      dpop.verifyProof(req, accessToken, function (err, jkt) {
+        if (err) {
+          return done(null, false); // rejected quietly, anyone may send an invalid proof
         }
+        verifyAccessToken(req, accessToken, jkt, done);
       });
     }
   ));
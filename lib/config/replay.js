@@ -0,0 +1,28 @@
+/**
+ * Detects replayed one-time values, such as the `jti` of a client assertion, across all nodes.
+ *
+ * Each value is remembered in redis until the token carrying it expires, after which the token itself is rejected.
+ */
+'use strict';
+
+var redis = require('./redis');
+
+// connect redis client
+var db = redis.createClient();
+db.on('connect', function () { console.log('redis replay cache connected'); });
+
+/**
+ * Record that a one-time value was used.
+ *
+ * @param namespace Keeps values of different kinds of tokens apart, e.g. 'client_assertion'
+ * @param value The one-time value
+ * @param expiresIn The time in seconds to remember the value, at least 1
+ * @param done fn(err, replayed) where replayed is true if the value was already used
+ */
+exports.check = function (namespace, value, expiresIn, done) {
+  var key = 'replay:' + namespace + ':' + value;
+  db.set(key, '1', 'EX', Math.max(1, Math.ceil(expiresIn)), 'NX', function (err, reply) {
+    if (err) { return done(err); }
+    return done(null, reply !== 'OK');
+  });
+};
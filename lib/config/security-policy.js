@@ -88,7 +88,10 @@ function parsePolicy(options) {
 
     // Use this policy to protect API routes that do not inherently create a session, but will use one if
     // it exists; or alternatively allow access if a token is provided.
-    knownUserApi:  createPolicy('corsApi', {})
+    // Tokens restricted to other resource servers are refused.
+    knownUserApi:  createPolicy('corsApi', {
+      audience: config.rootUrl + '/api2'
+    })
   };
 
   if (typeof options === 'string' || options instanceof String) {
@@ -215,6 +218,9 @@ function setCsrf(options) {
  *                          typically used to give the object owner enhanced permissions.
  *   role: <role>  -- if supplied user must have the specified role.
  *   groups: <group | [group, ...]> -- if supplied user must be a member of one of the specified groups.
+ *   audience: <resource> -- if supplied a token restricted to resources must be restricted to this one too,
+ *                           i.e. the resource indicator of this API, see http://tools.ietf.org/html/rfc8707.
+ *                           unrestricted tokens and cookie sessions are accepted.
  */
 function hasAuthorization(options) {
   return function(req, res, next) {
@@ -224,6 +230,11 @@ function hasAuthorization(options) {
       if (req.authInfo && !Client.hasAtLeastOneScope(options.scope, req.authInfo.scope)) {
         return res.send(403, 'Forbidden');
       }
+      // reject tokens minted for other resource servers
+      if (options.audience && req.authInfo && req.authInfo.audience && req.authInfo.audience.length &&
+        req.authInfo.audience.indexOf(options.audience) === -1) {
+        return res.send(403, 'Forbidden');
+      }
       if (!options.override || !options.override(req)) {
         // notice these can be bypassed by the custom authorization check
         if (!req.user.hasRole(options.role)) {
@@ -250,7 +261,7 @@ function hasAuthorization(options) {
  *                      useful to differentiate purposefully open routes from accidental oversights.
  *                      when false [default] -- request must be authenticated.
  *   session: when true a persistent cookie based session is used or set up for the user after authentication.
- *            when false a Bearer token tried (without establishing a new cookie session).
+ *            when false a Bearer or DPoP token tried (without establishing a new cookie session).
  *            ignored for correctly identified CORS requests (some will be missed).
  *            defaults to _true_
  *   noRedirect: do not redirect unauthenticated requests, ignored when no session, defaults to _false_
@@ -279,7 +290,7 @@ function authenticate(options) {
       // In this mode we never update the cookie session.
       //
       if (options.anonymous) { return next(); }
-      return passport.authenticate('bearer', {
+      return passport.authenticate(['bearer', 'dpop'], {
         session: false
       })(req, res, next);
     }
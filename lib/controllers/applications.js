@@ -0,0 +1,74 @@
+/**
+ * The applications (clients) connected to the user's account
+ */
+'use strict';
+
+var _ = require('lodash'),
+  oauth2 = require('../config/oauth2'),
+  models = require('../config/models'),
+  Client = models.model('Client'),
+  Consent = models.model('Consent'),
+  AccessToken = models.model('AccessToken'),
+  RefreshToken = models.model('RefreshToken');
+
+/**
+ *  Get every client holding a live token or consent for the user
+ */
+exports.list = function (req, res, next) {
+  var userID = req.user.id;
+  var now = new Date();
+  var apps = {};
+
+  // Helper to accumulate what we know about each client
+  function app(clientID) {
+    apps[clientID] = apps[clientID] || { id: clientID, scope: [], accessTokens: 0, refreshTokens: 0 };
+    return apps[clientID];
+  }
+  function issued(token) {
+    var a = app(token.clientID);
+    a.scope = _.union(a.scope, token.scope);
+    if (token.createdDate && (!a.issuedDate || token.createdDate > a.issuedDate)) {
+      a.issuedDate = token.createdDate;
+    }
+    return a;
+  }
+
+  Consent.find({ userID: userID }, function (err, consents) {
+    if (err) return next(err);
+    consents.forEach(function (consent) {
+      var a = app(consent.clientID);
+      a.scope = _.union(a.scope, consent.scope);
+      a.consentDate = consent.updatedDate;
+    });
+    AccessToken.find({ userID: userID, expirationDate: { $gt: now } }, '-token', function (err, tokens) {
+      if (err) return next(err);
+      tokens.forEach(function (token) {
+        issued(token).accessTokens++;
+      });
+      RefreshToken.find({ userID: userID, rotatedDate: null }, '-token', function (err, tokens) {
+        if (err) return next(err);
+        tokens.forEach(function (token) {
+          if (!token.expirationDate || token.expirationDate > now) {
+            issued(token).refreshTokens++;
+          }
+        });
+        Client.find({ _id: { $in: _.keys(apps) } }, 'name clientId', function (err, clients) {
+          if (err) return next(err);
+          res.send(_.map(clients, function (client) {
+            return _.extend(apps[client.id], { clientId: client.clientId, name: client.name });
+          }));
+        });
+      });
+    });
+  });
+};
+
+/**
+ *  Revoke the user's consent for the client and every token the client holds for the user
+ */
+exports.revoke = function (req, res, next) {
+  oauth2.revokeConsent(req.user.id, req.params.clientID, function (err) {
+    if (err) return next(err);
+    res.send(200); // indistinguishable from a client that wasn't connected
+  });
+};
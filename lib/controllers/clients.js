@@ -1,5 +1,10 @@
 'use strict';
 
+var config = require('../config/config'),
+  uid = require('../helpers/uid'),
+  models = require('../config/models'),
+  Client = models.model('Client');
+
 /**
  * Simple informational end point, if you want to get information
  * about a particular client.  You would call this with an access token
@@ -29,3 +34,53 @@ exports.info = [
     }
   }
 ];
+
+/**
+ * Admin API: describe the current and next secrets of a client, without the secrets themselves
+ */
+exports.secrets = function (req, res, next) {
+  Client.findOne({ clientId: req.params.clientId }, function (err, client) {
+    if (err) return next(err);
+    if (!client) return res.send(404);
+    res.send(client.describeSecrets());
+  });
+};
+
+/**
+ * Admin API: generate the next secret of a client.
+ * The current secret keeps working for req.body.gracePeriod seconds, or config.registration.clientSecretGracePeriod,
+ * while the client switches over. The new secret is returned once and can't be recovered.
+ */
+exports.rotateSecret = function (req, res, next) {
+  var gracePeriod = req.body.gracePeriod === undefined ? config.registration.clientSecretGracePeriod :
+    Number(req.body.gracePeriod);
+  if (isNaN(gracePeriod) || gracePeriod < 0) {
+    return res.send(400, 'Invalid gracePeriod');
+  }
+  Client.findOne({ clientId: req.params.clientId }, function (err, client) {
+    if (err) return next(err);
+    if (!client) return res.send(404);
+    var secret = uid.uid(config.registration.clientSecretLength);
+    client.rotateSecret(secret, gracePeriod);
+    client.save(function (err) {
+      if (err) return next(err);
+      res.setHeader('Cache-Control', 'no-store');
+      res.json(201, { clientSecret: secret, secrets: client.describeSecrets() });
+    });
+  });
+};
+
+/**
+ * Admin API: make the next secret of a client its current secret, the previous secret stops working at once
+ */
+exports.promoteSecret = function (req, res, next) {
+  Client.findOne({ clientId: req.params.clientId }, function (err, client) {
+    if (err) return next(err);
+    if (!client) return res.send(404);
+    if (!client.promoteSecret()) return res.send(409, 'No next secret to promote');
+    client.save(function (err) {
+      if (err) return next(err);
+      res.send(client.describeSecrets());
+    });
+  });
+};
@@ -0,0 +1,106 @@
+/**
+ * OpenID Connect end points
+ */
+'use strict';
+
+var _ = require('lodash'),
+  oauth2 = require('../config/oauth2'),
+  tokens = require('./tokens'),
+  registration = require('./registration'),
+  oidc = require('../config/oidc'),
+  session = require('./session'),
+  jwks = require('../config/jwks'),
+  dpop = require('../config/dpop'),
+  pkce = require('../helpers/pkce'),
+  responseMode = require('../helpers/response-mode'),
+  config = require('../config/config'),
+  models = require('../config/models'),
+  Client = models.model('Client'),
+  UserPersona = models.model('UserPersona');
+
+/**
+ * Returns the path of the first route registered for `method` that is handled by `handler`.
+ * This way the discovery document always agrees with lib/routes.js.
+ */
+function routePath(app, method, handler) {
+  var last = _.flatten([handler]).pop();
+  var route = _.find(app.routes[method] || [], function (r) {
+    return r.callbacks[r.callbacks.length - 1] === last;
+  });
+  return route && (config.rootUrl + route.path);
+}
+
+/**
+ * UserInfo endpoint.
+ * Returns the standard claims about the authenticated user, filtered by the scope granted to the access token.
+ * See http://openid.net/specs/openid-connect-core-1_0.html#UserInfo
+ */
+exports.userinfo = function (req, res, next) {
+  if (!req.user._id) {
+    // client credentials tokens have no end user to describe
+    return res.send(403, 'Forbidden');
+  }
+  // for now the first persona is the user's public profile
+  UserPersona.findOne({ userID: req.user._id }, function (err, persona) {
+    if (err) { return next(err); }
+    res.json(oidc.userClaims(req.user, persona, req.authInfo && req.authInfo.scope));
+  });
+};
+
+/**
+ * JSON Web Key Set endpoint.
+ * Publishes every key that may have signed an unexpired token.
+ */
+exports.jwks = function (req, res, next) {
+  jwks.publicKeys(function (err, keySet) {
+    if (err) { return next(err); }
+    res.json(keySet);
+  });
+};
+
+/**
+ * Discovery endpoint.
+ * Endpoints are looked up from the application routes and the response and grant types from those registered
+ * with the OAuth2orize server.
+ * See http://openid.net/specs/openid-connect-discovery-1_0.html#ProviderMetadata
+ */
+exports.configuration = function (req, res) {
+  var grantTypes = _.clone(oauth2.grantTypes);
+  if (oauth2.responseTypes.indexOf('token') !== -1) {
+    grantTypes.push('implicit');
+  }
+  res.json({
+    issuer: oidc.issuer,
+    authorization_endpoint: routePath(req.app, 'get', oauth2.authorization),
+    token_endpoint: routePath(req.app, 'post', oauth2.token),
+    userinfo_endpoint: routePath(req.app, 'get', exports.userinfo),
+    jwks_uri: routePath(req.app, 'get', exports.jwks),
+    introspection_endpoint: routePath(req.app, 'post', tokens.introspect),
+    revocation_endpoint: routePath(req.app, 'post', tokens.revoke),
+    device_authorization_endpoint: routePath(req.app, 'post', oauth2.deviceAuthorization),
+    pushed_authorization_request_endpoint: routePath(req.app, 'post', oauth2.pushedAuthorization),
+    registration_endpoint: routePath(req.app, 'post', registration.register),
+    end_session_endpoint: routePath(req.app, 'get', session.endSession),
+    response_types_supported: oauth2.responseTypes,
+    response_modes_supported: responseMode.modes,
+    grant_types_supported: grantTypes,
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'profile', 'email', 'offline_access', 'login', 'account'],
+    token_endpoint_auth_methods_supported: Client.tokenEndpointAuthMethods,
+    token_endpoint_auth_signing_alg_values_supported: _.uniq(_.flatten(_.values(Client.assertionAlgorithms))),
+    tls_client_certificate_bound_access_tokens: true,
+    dpop_signing_alg_values_supported: dpop.algorithms,
+    code_challenge_methods_supported: pkce.methods,
+    request_parameter_supported: true,
+    request_uri_parameter_supported: false,
+    request_object_signing_alg_values_supported: _.uniq(_.flatten(_.values(Client.assertionAlgorithms))),
+    require_pushed_authorization_requests: false,
+    frontchannel_logout_supported: true,
+    frontchannel_logout_session_supported: true,
+    backchannel_logout_supported: true,
+    backchannel_logout_session_supported: true,
+    claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'name', 'preferred_username',
+      'nickname', 'email']
+  });
+};
@@ -0,0 +1,312 @@
+/**
+ * OAuth 2.0 Dynamic Client Registration end points
+ *
+ * Clients register themselves and are given a registration access token to read, update and delete
+ * their registration with.
+ * See http://tools.ietf.org/html/rfc7591 and http://tools.ietf.org/html/rfc7592
+ */
+'use strict';
+
+var _ = require('lodash'),
+  url = require('url'),
+  oauth2 = require('../config/oauth2'),
+  config = require('../config/config'),
+  uid = require('../helpers/uid'),
+  redirectUri = require('../helpers/redirect-uri'),
+  responseMode = require('../helpers/response-mode'),
+  jwk = require('../helpers/jwk'),
+  models = require('../config/models'),
+  Client = models.model('Client');
+
+/**
+ * Returns the Bearer token of the request, or undefined
+ */
+function bearerToken(req) {
+  var match = /^Bearer\s+(\S+)$/.exec(req.headers.authorization || '');
+  return match && match[1];
+}
+
+/**
+ * Sends a registration error, see http://tools.ietf.org/html/rfc7591#section-3.2.2
+ */
+function sendError(res, error, description) {
+  res.json(400, { error: error, error_description: description });
+}
+
+/**
+ * Test `jwks` is a JSON Web Key Set of RSA public keys we can verify signatures with
+ */
+function isValidJwks(jwks) {
+  if (!_.isPlainObject(jwks) || !Array.isArray(jwks.keys) || !jwks.keys.length) {
+    return false;
+  }
+  return _.every(jwks.keys, function (key) {
+    try {
+      return !!jwk.toPem(key);
+    } catch (ex) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Test `uri` is an absolute http(s) URL, which unlike redirect_uris may not be a loopback pattern
+ */
+function isAbsoluteUrl(uri) {
+  return redirectUri.isValid(uri) && !redirectUri.isPattern(uri);
+}
+
+/**
+ * Test `uri` is an absolute URL this server may call: HTTPS unless config.allowHttpCallbacks is set
+ */
+function isCallbackUrl(uri) {
+  return isAbsoluteUrl(uri) && (url.parse(uri).protocol === 'https:' || config.allowHttpCallbacks);
+}
+
+/**
+ * Test `uri` may be registered as a proxy callback URL of a CAS service: an absolute HTTPS URL, as proxy-granting
+ * tickets are only delivered over verified HTTPS, see config/cas-proxy.js
+ */
+function isProxyCallbackUrl(uri) {
+  return isAbsoluteUrl(uri) && url.parse(uri).protocol === 'https:';
+}
+
+/**
+ * Validate the client metadata of a registration request.
+ * Returns the Client fields to set, or an `error` and `description` to send.
+ * See http://tools.ietf.org/html/rfc7591#section-2
+ */
+function parseMetadata(body) {
+  var redirectUris = body.redirect_uris || [];
+  if (!Array.isArray(redirectUris) || !_.every(redirectUris, redirectUri.isValid)) {
+    return { error: 'invalid_redirect_uri', description: 'redirect_uris must be absolute URLs without a fragment' };
+  }
+  var scope = body.scope ? String(body.scope).split(' ') : config.registration.defaultScope;
+  if (_.difference(scope, config.registration.scopes).length) {
+    return { error: 'invalid_client_metadata', description: 'scope may only contain ' +
+      config.registration.scopes.join(' ') };
+  }
+  var method = body.token_endpoint_auth_method || 'client_secret_basic';
+  if (Client.tokenEndpointAuthMethods.indexOf(method) === -1) {
+    return { error: 'invalid_client_metadata', description: 'Unsupported token_endpoint_auth_method: ' + method };
+  }
+  var uris = _.pick(body, 'logo_uri', 'policy_uri', 'jwks_uri', 'frontchannel_logout_uri', 'backchannel_logout_uri');
+  if (!_.every(uris, isAbsoluteUrl)) {
+    return { error: 'invalid_client_metadata', description: 'logo_uri, policy_uri, jwks_uri and the logout URIs ' +
+      'must be absolute URLs' };
+  }
+  var postLogoutRedirectUris = body.post_logout_redirect_uris || [];
+  if (!Array.isArray(postLogoutRedirectUris) || !_.every(postLogoutRedirectUris, isAbsoluteUrl)) {
+    return { error: 'invalid_client_metadata', description: 'post_logout_redirect_uris must be absolute URLs' };
+  }
+  var callbackUris = _.pick(uris, 'jwks_uri', 'backchannel_logout_uri');
+  if (!_.every(callbackUris, isCallbackUrl)) {
+    return { error: 'invalid_client_metadata', description: 'jwks_uri and backchannel_logout_uri must be HTTPS URLs' };
+  }
+  var proxyCallbackUris = body.proxy_callback_uris || [];
+  if (!Array.isArray(proxyCallbackUris) || !_.every(proxyCallbackUris, isProxyCallbackUrl)) {
+    return { error: 'invalid_client_metadata', description: 'proxy_callback_uris must be absolute HTTPS URLs' };
+  }
+  if (body.jwks !== undefined && !isValidJwks(body.jwks)) {
+    return { error: 'invalid_client_metadata', description: 'jwks must be a JWK Set of RSA public keys' };
+  }
+  if (body.jwks && uris.jwks_uri) {
+    return { error: 'invalid_client_metadata', description: 'jwks and jwks_uri must not both be present' };
+  }
+  if ((method === 'private_key_jwt' || method === 'self_signed_tls_client_auth') && !body.jwks && !uris.jwks_uri) {
+    return { error: 'invalid_client_metadata', description: method + ' requires jwks or jwks_uri' };
+  }
+  var subjectDn = body.tls_client_auth_subject_dn, sanDns = body.tls_client_auth_san_dns;
+  if ((subjectDn !== undefined && !_.isString(subjectDn)) || (sanDns !== undefined && !_.isString(sanDns))) {
+    return { error: 'invalid_client_metadata', description: 'tls_client_auth_subject_dn and _san_dns must be strings' };
+  }
+  if (method === 'tls_client_auth' && Boolean(subjectDn) === Boolean(sanDns)) {
+    return { error: 'invalid_client_metadata', description: 'tls_client_auth requires exactly one of ' +
+      'tls_client_auth_subject_dn and tls_client_auth_san_dns' };
+  }
+  var accessTokenFormat = body.access_token_format || 'opaque';
+  if (Client.accessTokenFormats.indexOf(accessTokenFormat) === -1) {
+    return { error: 'invalid_client_metadata', description: 'access_token_format must be one of ' +
+      Client.accessTokenFormats.join(' ') };
+  }
+  var responseModes = body.response_modes || [];
+  if (!Array.isArray(responseModes) || _.difference(responseModes, responseMode.modes).length) {
+    return { error: 'invalid_client_metadata', description: 'response_modes may only contain ' +
+      responseMode.modes.join(' ') };
+  }
+  var contacts = body.contacts || [];
+  if (!Array.isArray(contacts) || !_.every(contacts, _.isString)) {
+    return { error: 'invalid_client_metadata', description: 'contacts must be an array of strings' };
+  }
+  // the grant types the client may use, see http://tools.ietf.org/html/rfc7591#section-2.1
+  var grantTypes = body.grant_types || ['authorization_code'];
+  if (!Array.isArray(grantTypes) || _.difference(grantTypes, oauth2.grantTypes.concat('implicit')).length) {
+    return { error: 'invalid_client_metadata', description: 'grant_types may only contain ' +
+      oauth2.grantTypes.concat('implicit').join(' ') };
+  }
+  if (!redirectUris.length && _.intersection(grantTypes, ['authorization_code', 'implicit']).length) {
+    return { error: 'invalid_redirect_uri', description: 'redirect_uris are required by the authorization_code ' +
+      'and implicit grant types' };
+  }
+  return {
+    fields: {
+      name: body.client_name,
+      redirectUris: _.uniq(redirectUris),
+      grantTypes: _.uniq(grantTypes),
+      allowedScopes: scope,
+      responseModes: _.uniq(responseModes),
+      postLogoutRedirectUris: _.uniq(postLogoutRedirectUris),
+      proxyCallbackUris: _.uniq(proxyCallbackUris),
+      frontchannelLogoutUri: uris.frontchannel_logout_uri,
+      backchannelLogoutUri: uris.backchannel_logout_uri,
+      logoUri: uris.logo_uri,
+      policyUri: uris.policy_uri,
+      contacts: contacts,
+      tokenEndpointAuthMethod: method,
+      jwks: body.jwks,
+      jwksUri: uris.jwks_uri,
+      tlsClientAuthSubjectDn: subjectDn,
+      tlsClientAuthSanDns: sanDns,
+      tlsClientCertificateBoundAccessTokens: body.tls_client_certificate_bound_access_tokens === true,
+      accessTokenFormat: accessTokenFormat,
+      requirePushedAuthorizationRequests: body.require_pushed_authorization_requests === true
+    }
+  };
+}
+
+/**
+ * Save the registered `client`, unless another client already registered one of its redirect URIs
+ */
+function saveRegistration(client, res, done) {
+  Client.isRedirectUriTaken(client.redirectUris, client._id, function (err, taken) {
+    if (err) {
+      return done(err);
+    }
+    if (taken) {
+      return sendError(res, 'invalid_redirect_uri', 'redirect_uris are already registered by another client');
+    }
+    client.save(done);
+  });
+}
+
+/**
+ * Describe the registered client, see http://tools.ietf.org/html/rfc7591#section-3.2.1
+ * The client_secret is only known, and returned, when the client was just registered.
+ */
+function describeClient(client) {
+  return {
+    client_id: client.clientId,
+    client_secret: client.clientSecret,
+    client_id_issued_at: Math.floor(client.createdDate.getTime() / 1000),
+    client_secret_expires_at: client.secret.expirationDate ? Math.floor(client.secret.expirationDate / 1000) : 0,
+    registration_client_uri: config.rootUrl + '/oauth2/register/' + client.clientId,
+    client_name: client.name,
+    redirect_uris: client.redirectUris,
+    grant_types: client.grantTypes,
+    scope: client.allowedScopes.join(' '),
+    response_modes: client.responseModes,
+    post_logout_redirect_uris: client.postLogoutRedirectUris,
+    proxy_callback_uris: client.proxyCallbackUris,
+    frontchannel_logout_uri: client.frontchannelLogoutUri,
+    backchannel_logout_uri: client.backchannelLogoutUri,
+    logo_uri: client.logoUri,
+    policy_uri: client.policyUri,
+    contacts: client.contacts,
+    token_endpoint_auth_method: client.tokenEndpointAuthMethod,
+    jwks: client.jwks,
+    jwks_uri: client.jwksUri,
+    tls_client_auth_subject_dn: client.tlsClientAuthSubjectDn,
+    tls_client_auth_san_dns: client.tlsClientAuthSanDns,
+    tls_client_certificate_bound_access_tokens: !!client.tlsClientCertificateBoundAccessTokens,
+    access_token_format: client.accessTokenFormat || 'opaque',
+    require_pushed_authorization_requests: !!client.requirePushedAuthorizationRequests
+  };
+}
+
+/**
+ * Register a new client.
+ * Requires the config.registration.initialAccessToken as a Bearer token when one is configured.
+ * Only clients authenticating with a client secret are given a client_secret.
+ */
+exports.register = function (req, res, next) {
+  var initialAccessToken = config.registration.initialAccessToken;
+  if (initialAccessToken && bearerToken(req) !== initialAccessToken) {
+    res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.send(401, 'Unauthorized');
+  }
+  var metadata = parseMetadata(req.body);
+  if (metadata.error) {
+    return sendError(res, metadata.error, metadata.description);
+  }
+  var client = new Client(_.extend(metadata.fields, { clientId: uid.uid(config.registration.clientIdLength) }));
+  if (Client.secretAuthMethods.indexOf(client.tokenEndpointAuthMethod) !== -1) {
+    client.clientSecret = uid.uid(config.registration.clientSecretLength);
+  }
+  var registrationAccessToken = uid.uid(config.registration.registrationAccessTokenLength);
+  client.setRegistrationAccessToken(registrationAccessToken);
+  saveRegistration(client, res, function (err, client) {
+    if (err) return next(err);
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Pragma', 'no-cache');
+    res.json(201, _.extend(describeClient(client), { registration_access_token: registrationAccessToken }));
+  });
+};
+
+/**
+ * Load the client named in the path and check the registration access token.
+ * Answers 401 whether the client doesn't exist or the token is wrong, so client ids can't be probed.
+ */
+exports.load = function (req, res, next) {
+  Client.findOne({ clientId: req.params.clientId }, function (err, client) {
+    if (err) return next(err);
+    if (!client || !client.hasRegistrationAccessToken(bearerToken(req))) {
+      res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.send(401, 'Unauthorized');
+    }
+    req.registeredClient = client;
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Pragma', 'no-cache');
+    next();
+  });
+};
+
+/**
+ * Read the client's registration
+ */
+exports.read = function (req, res) {
+  res.json(describeClient(req.registeredClient));
+};
+
+/**
+ * Replace the client's metadata. Omitted metadata is removed.
+ * A client switching to client_secret_jwt must have its secret rotated, as only a hash of its secret was kept.
+ * See http://tools.ietf.org/html/rfc7592#section-2.2
+ */
+exports.update = function (req, res, next) {
+  var client = req.registeredClient;
+  if (req.body.client_id !== client.clientId) {
+    return sendError(res, 'invalid_request', 'client_id must match the registration');
+  }
+  if (req.body.client_secret && !client.authenticateSecret(req.body.client_secret)) {
+    return sendError(res, 'invalid_request', 'client_secret must match the registration');
+  }
+  var metadata = parseMetadata(req.body);
+  if (metadata.error) {
+    return sendError(res, metadata.error, metadata.description);
+  }
+  client.set(metadata.fields);
+  saveRegistration(client, res, function (err, client) {
+    if (err) return next(err);
+    res.json(describeClient(client));
+  });
+};
+
+/**
+ * Delete the client's registration along with every token issued to it
+ */
+exports.remove = function (req, res, next) {
+  oauth2.removeClient(req.registeredClient, function (err) {
+    if (err) return next(err);
+    res.send(204);
+  });
+};
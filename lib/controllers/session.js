@@ -1,22 +1,162 @@
 'use strict';
 
-var passport = require('passport');
+var passport = require('passport'),
+  url = require('url'),
+  oidc = require('../config/oidc'),
+  logout = require('../config/logout'),
+  models = require('../config/models'),
+  Client = models.model('Client');
+
+/**
+ * End the session, telling every client which took part in it, then send the user to `returnTo`.
+ * The logout page loads the front-channel logout URIs of the clients in iframes before moving on.
+ */
+function endSession(req, res, next, returnTo) {
+  logout.endSession(req, function (err, frontchannelUris) {
+    if (err) {
+      return next(err);
+    }
+    if (!frontchannelUris.length) {
+      return res.redirect(returnTo);
+    }
+    res.setHeader('Cache-Control', 'no-cache, no-store');
+    res.render('logout.ejs', { frontchannelUris: frontchannelUris, returnTo: returnTo });
+  });
+}
+
+/**
+ * Sends a logout request error
+ */
+function sendError(res, description) {
+  res.json(400, { error: 'invalid_request', error_description: description });
+}
 
 /**
  * Logout Page
+ *
+ * CAS clients may pass the `service` to return to, which must be registered as a redirect URI of a client.
+ */
+exports.logoutPage = function (req, res, next) {
+  if (!req.query.service) {
+    return endSession(req, res, next, '/login');
+  }
+  Client.findByRedirectUri(String(req.query.service), function (err, client) {
+    if (err) {
+      return next(err);
+    }
+    endSession(req, res, next, client ? String(req.query.service) : '/login');
+  });
+};
+
+/**
+ * Handles a logout request, `confirmed` when the user already confirmed it
+ */
+function handleEndSession(req, res, next, confirmed) {
+  var params = req.method === 'POST' ? req.body : req.query;
+  var redirectURI = params.post_logout_redirect_uri;
+
+  // ends the session, once the user confirmed it unless the client proved who it was logging out
+  function finish(claims, client, returnTo) {
+    if (!req.user || claims || confirmed) {
+      return endSession(req, res, next, returnTo);
+    }
+    var fields = {};
+    ['client_id', 'post_logout_redirect_uri', 'state'].forEach(function (name) {
+      if (params[name]) {
+        fields[name] = String(params[name]);
+      }
+    });
+    res.setHeader('Cache-Control', 'no-cache, no-store');
+    res.render('logout-confirm.ejs', {
+      user: req.user,
+      client: client,
+      fields: fields,
+      csrfToken: req.csrfToken && req.csrfToken()
+    });
+  }
+
+  function hinted(claims) {
+    var clientID = params.client_id;
+    if (claims) {
+      var audience = [].concat(claims.aud);
+      if (clientID && audience.indexOf(clientID) === -1) {
+        return sendError(res, 'client_id does not match the id_token_hint');
+      }
+      clientID = clientID || audience[0];
+    }
+    if (!redirectURI) {
+      return finish(claims, null, '/login');
+    }
+    if (!clientID) {
+      return sendError(res, 'post_logout_redirect_uri requires an id_token_hint or client_id');
+    }
+    Client.findOne({ clientId: clientID }, function (err, client) {
+      if (err) {
+        return next(err);
+      }
+      if (!client || !client.hasPostLogoutRedirectUri(redirectURI)) {
+        return sendError(res, 'Invalid post_logout_redirect_uri');
+      }
+      var parsed = url.parse(redirectURI, true);
+      delete parsed.search;
+      if (params.state) {
+        parsed.query.state = params.state;
+      }
+      finish(claims, client, url.format(parsed));
+    });
+  }
+
+  if (!params.id_token_hint) {
+    return hinted(null);
+  }
+  oidc.verifyIdTokenHint(String(params.id_token_hint), function (err, claims) {
+    if (err) {
+      return next(err);
+    }
+    if (!claims) {
+      return sendError(res, 'Invalid id_token_hint');
+    }
+    if (req.user && claims.sub !== String(req.user.id)) {
+      return sendError(res, 'id_token_hint was not issued to the logged in user');
+    }
+    hinted(claims);
+  });
+}
+
+/**
+ * OpenID Connect RP-initiated logout, the end_session_endpoint
+ *
+ * The client identifies itself with the `id_token_hint` it was issued, or its `client_id`, and may ask for the user
+ * to be sent back to one of its registered postLogoutRedirectUris with the `post_logout_redirect_uri`, along with
+ * the `state`. Otherwise the user lands on the login page.
+ * The session is only ended right away when the id_token_hint was issued to the logged in user, a hint about
+ * someone else is refused. Without a hint anyone could have sent the user here, so they are asked to confirm first,
+ * see confirmEndSession.
+ * See http://openid.net/specs/openid-connect-rpinitiated-1_0.html
+ */
+exports.endSession = function (req, res, next) {
+  handleEndSession(req, res, next, false);
+};
+
+/**
+ * The user confirmed the logout asked for without an id_token_hint, posting back its parameters with our CSRF token
  */
-exports.logoutPage = function(req, res) {
-  req.logout();
-  res.redirect('/login');
+exports.confirmEndSession = function (req, res, next) {
+  handleEndSession(req, res, next, true);
 };
 
 /**
  * Logout API.
+ * Clients are only told with back-channel logout, as no page is rendered to load front-channel logout URIs.
  * Note: using this is probably unsafe if you don't also refresh the browser
  */
-exports.logout = function (req, res) {
-  req.logout();
-  res.send(200);
+exports.logout = function (req, res, next) {
+  logout.endSession(req, function (err) {
+    if (err) {
+      return next(err);
+    }
+    res.send(200);
+  });
 };
 
 /**
@@ -1,8 +1,13 @@
 'use strict';
 
-var models = require('../config/models'),
+var passport = require('passport'),
+    oauth2 = require('../config/oauth2'),
+    jwtAccessToken = require('../config/jwt-access-token'),
+    models = require('../config/models'),
+    User = models.model('User'),
     Client = models.model('Client'),
-    AccessToken = models.model('AccessToken');
+    AccessToken = models.model('AccessToken'),
+    RefreshToken = models.model('RefreshToken');
 
 /**
  * This endpoint is for verifying a token.  This has the same signature to
@@ -25,7 +30,7 @@ var models = require('../config/models'),
 exports.info = [
     function (req, res) {
         if (req.query.access_token) {
-            AccessToken.findToken(req.query.access_token, function (err, token) {
+            jwtAccessToken.findToken(req.query.access_token, function (err, token) {
                 if (err || !token) {
                     res.status(400);
                     res.json({ error: 'invalid_token' });
@@ -63,3 +68,190 @@ exports.info = [
         }
     }
 ];
+
+/**
+ * Helper to build the introspection response for an active access or refresh token.
+ * Returns null if the client the token was issued to no longer exists.
+ */
+function describeToken(token, tokenType, done) {
+    Client.findOne({ _id: token.clientID }, function (err, client) {
+        if (err) { return done(err); }
+        if (!client) { return done(null, null); }
+        var info = {
+            active: true,
+            scope: (token.scope || []).join(' '),
+            client_id: client.clientId,
+            aud: client.clientId,
+            token_type: tokenType
+        };
+        if (token.audience && token.audience.length) {
+            info.aud = token.audience.length === 1 ? token.audience[0] : token.audience;
+        }
+        if (token.act) {
+            info.act = token.act;
+        }
+        if (token.expirationDate) {
+            info.exp = Math.floor(token.expirationDate.getTime() / 1000);
+        }
+        if (token.createdDate) {
+            info.iat = Math.floor(token.createdDate.getTime() / 1000);
+        }
+        if (token.cnf) {
+            info.cnf = token.cnf;
+        }
+        if (!token.userID) {
+            return done(null, info); // client credentials tokens have no user
+        }
+        User.findOne({ _id: token.userID }, 'username', function (err, user) {
+            if (err) { return done(err); }
+            if (!user) { return done(null, null); }
+            info.sub = String(user._id);
+            info.username = user.username;
+            return done(null, info);
+        });
+    });
+}
+
+/**
+ * Helper to find an unexpired access token and describe it for introspection
+ */
+function introspectAccessToken(key, done) {
+    jwtAccessToken.findToken(key, function (err, token) {
+        if (err) { return done(err); }
+        if (!token || (token.expirationDate && new Date() > token.expirationDate)) { return done(null, null); }
+        describeToken(token, 'Bearer', done);
+    });
+}
+
+/**
+ * Helper to find a current refresh token and describe it for introspection.
+ * Rotated refresh tokens are no longer active.
+ */
+function introspectRefreshToken(key, done) {
+    RefreshToken.findToken(key, function (err, token) {
+        if (err) { return done(err); }
+        if (!token || token.rotatedDate) { return done(null, null); }
+        if (token.expirationDate && new Date() > token.expirationDate) { return done(null, null); }
+        describeToken(token, 'refresh_token', done);
+    });
+}
+
+/**
+ * This endpoint is for resource servers to verify a token as described by
+ * OAuth 2.0 Token Introspection (http://tools.ietf.org/html/rfc7662)
+ *
+ * The resource server authenticates as a client, the same way as at the token endpoint, and posts
+ * token=someToken&token_type_hint=access_token
+ *
+ * If the token is active and was issued to the client, or its audience may be seen by the resource server, you get
+ * returned
+ * {
+ *    "active": true, "scope": "...", "client_id": "...", "username": "...", "sub": "...",
+ *    "exp": ..., "iat": ..., "token_type": "Bearer"
+ * }
+ *
+ * Otherwise, including when the token belongs to an audience the resource server may not see, you get returned
+ * {
+ *     "active": false
+ * }
+ */
+exports.introspect = [
+    passport.authenticate(['basic', 'oauth2-client-password', 'oauth2-client-assertion',
+        'oauth2-client-certificate'], { session: false }),
+    function (req, res, next) {
+        if (!req.body.token) {
+            res.status(400);
+            return res.json({ error: 'invalid_request', error_description: 'Missing required parameter: token' });
+        }
+        var lookups = [introspectAccessToken, introspectRefreshToken];
+        if (req.body.token_type_hint === 'refresh_token') {
+            lookups.reverse();
+        }
+        function respond(info) {
+            res.setHeader('Cache-Control', 'no-store');
+            res.setHeader('Pragma', 'no-cache');
+            // a client may see its own tokens, including those restricted to resources
+            if (!info || (info.client_id !== req.user.clientId && !req.user.mayIntrospect(info.aud))) {
+                return res.json({ active: false });
+            }
+            res.json(info);
+        }
+        lookups[0](req.body.token, function (err, info) {
+            if (err) { return next(err); }
+            if (info) { return respond(info); }
+            lookups[1](req.body.token, function (err, info) {
+                if (err) { return next(err); }
+                respond(info);
+            });
+        });
+    }
+];
+
+/**
+ * Helper to revoke an access token issued to `client`, deny-listing it if it is a JWT.
+ * Calls done(null, false) if there is no such token.
+ */
+function revokeAccessToken(key, client, done) {
+    jwtAccessToken.findToken(key, function (err, token) {
+        if (err) { return done(err); }
+        if (!token || token.clientID !== client.id) { return done(null, false); }
+        jwtAccessToken.revoke({ _id: token._id }, function (err) {
+            if (err) { return done(err); }
+            AccessToken.remove({ _id: token._id }, function (err) {
+                if (err) { return done(err); }
+                done(null, true);
+            });
+        });
+    });
+}
+
+/**
+ * Helper to revoke a refresh token issued to `client`, together with the rest of its family
+ * and every access token minted from them.
+ * Calls done(null, false) if there is no such token.
+ */
+function revokeRefreshToken(key, client, done) {
+    RefreshToken.findToken(key, function (err, token) {
+        if (err) { return done(err); }
+        if (!token || token.clientID !== client.id) { return done(null, false); }
+        oauth2.revokeTokenFamily(token.familyID || token.id, function (err) {
+            if (err) { return done(err); }
+            done(null, true);
+        });
+    });
+}
+
+/**
+ * This endpoint is for clients to revoke a token they were issued as described by
+ * OAuth 2.0 Token Revocation (http://tools.ietf.org/html/rfc7009)
+ *
+ * The client authenticates the same way as at the token endpoint and posts
+ * token=someToken&token_type_hint=refresh_token
+ *
+ * Revoking a refresh token also revokes its family: the refresh tokens it was rotated from or into,
+ * and the access tokens issued with or refreshed from any of them.
+ * The response is an empty 200 whether or not a token was revoked, so an unknown token or a token
+ * issued to another client is indistinguishable from one that was already revoked.
+ */
+exports.revoke = [
+    passport.authenticate(['basic', 'oauth2-client-password', 'oauth2-client-assertion',
+        'oauth2-client-certificate'], { session: false }),
+    function (req, res, next) {
+        if (!req.body.token) {
+            res.status(400);
+            return res.json({ error: 'invalid_request', error_description: 'Missing required parameter: token' });
+        }
+        var revokers = [revokeAccessToken, revokeRefreshToken];
+        if (req.body.token_type_hint === 'refresh_token') {
+            revokers.reverse();
+        }
+        revokers[0](req.body.token, req.user, function (err, revoked) {
+            if (err) { return next(err); }
+            if (revoked) { return res.send(200); }
+            revokers[1](req.body.token, req.user, function (err) {
+                if (err) { return next(err); }
+                res.send(200);
+            });
+        });
+    }
+];
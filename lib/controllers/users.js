@@ -24,7 +24,7 @@ exports.create = function (req, res, next) {
 
     req.logIn(newUser, function(err) {
       if (err) return next(err);
-      
+
       return res.json(req.user.userInfo);
     });
   });
@@ -0,0 +1,96 @@
+/**
+ * Serialization of the CAS protocol validation and proxy responses.
+ *
+ * A response is described once as an object, e.g. { authenticationSuccess: { user: 'test' } }, and sent as XML or,
+ * when the client asks for it with `format=JSON`, as the equivalent JSON.
+ * See https://apereo.github.io/cas/development/protocol/CAS-Protocol-Specification.html#appendix-a-cas-response-xml-schema
+ * and https://apereo.github.io/cas/development/protocol/CAS-Protocol-Specification.html#appendix-b-cas-response-json-schema
+ */
+'use strict';
+
+var NAMESPACE = 'http://www.yale.edu/tp/cas';
+
+/**
+ * Lists whose items are wrapped in an element of their own in XML, e.g. <cas:proxies><cas:proxy>...</cas:proxy>
+ */
+var WRAPPED = { proxies: 'proxy' };
+
+/**
+ * Escape `value` for XML text and attribute values
+ */
+function escape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Returns the names of the properties of `object` with a value
+ */
+function definedKeys(object) {
+  return Object.keys(object).filter(function (name) {
+    return object[name] !== undefined && object[name] !== null;
+  });
+}
+
+/**
+ * Returns the XML of the element `name` holding `value`. Lists repeat the element, objects nest elements and the
+ * failures carry their `code` as an attribute.
+ */
+function element(name, value) {
+  if (Array.isArray(value)) {
+    if (WRAPPED[name]) {
+      return '<cas:' + name + '>' + element(WRAPPED[name], value) + '</cas:' + name + '>';
+    }
+    return value.map(function (item) { return element(name, item); }).join('');
+  }
+  if (value !== null && typeof value === 'object') {
+    if (/Failure$/.test(name)) {
+      return '<cas:' + name + ' code="' + escape(value.code) + '">' + escape(value.description || '') +
+        '</cas:' + name + '>';
+    }
+    return '<cas:' + name + '>' + definedKeys(value).map(function (key) {
+      return element(key, value[key]);
+    }).join('') + '</cas:' + name + '>';
+  }
+  return '<cas:' + name + '>' + escape(value) + '</cas:' + name + '>';
+}
+
+/**
+ * Returns `response` as a <cas:serviceResponse> XML document.
+ *
+ * @param {Object} response
+ * @return {String}
+ * @api public
+ */
+exports.toXml = function (response) {
+  return '<cas:serviceResponse xmlns:cas="' + NAMESPACE + '">' + definedKeys(response).map(function (key) {
+    return element(key, response[key]);
+  }).join('') + '</cas:serviceResponse>';
+};
+
+/**
+ * Returns `response` as a { serviceResponse } JSON document.
+ *
+ * @param {Object} response
+ * @return {String}
+ * @api public
+ */
+exports.toJson = function (response) {
+  return JSON.stringify({ serviceResponse: response });
+};
+
+/**
+ * Send `response` as XML, or as JSON when `format` is 'JSON'.
+ *
+ * @param {http.ServerResponse} res
+ * @param {Object} response
+ * @param {String} format The `format` parameter of the request, 'XML' (default) or 'JSON'
+ * @api public
+ */
+exports.send = function (res, response, format) {
+  var json = String(format || '').toUpperCase() === 'JSON';
+  res.setHeader('Content-Type', json ? 'application/json; charset=utf-8' : 'application/xml; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Pragma', 'no-cache');
+  res.end(json ? exports.toJson(response) : exports.toXml(response));
+};
@@ -0,0 +1,74 @@
+/**
+ * Minimal JSON Web Key support for RSA public keys.
+ *
+ * See http://tools.ietf.org/html/draft-ietf-jose-json-web-key
+ */
+'use strict';
+
+var crypto = require('crypto'),
+  forge = require('node-forge'),
+  jwt = require('./jwt');
+
+/**
+ * Convert a forge BigInteger to an unsigned big-endian base64url string
+ *
+ * @api private
+ */
+function encodeInteger(bn) {
+  var hex = bn.toString(16);
+  if (hex.length % 2) {
+    hex = '0' + hex;
+  }
+  return jwt.base64urlEncode(new Buffer(hex, 'hex'));
+}
+
+/**
+ * Convert an unsigned big-endian base64url string to a forge BigInteger
+ *
+ * @api private
+ */
+function decodeInteger(str) {
+  return new forge.jsbn.BigInteger(jwt.base64urlDecode(str).toString('hex'), 16);
+}
+
+/**
+ * Return the public JWK for a PEM encoded RSA public or private key.
+ *
+ * @param {String} pem
+ * @return {Object} { kty, n, e }
+ * @api public
+ */
+exports.fromPem = function (pem) {
+  var key = pem.indexOf('PRIVATE KEY') !== -1 ? forge.pki.privateKeyFromPem(pem) : forge.pki.publicKeyFromPem(pem);
+  return {
+    kty: 'RSA',
+    n: encodeInteger(key.n),
+    e: encodeInteger(key.e)
+  };
+};
+
+/**
+ * Return the PEM encoded public key for an RSA JWK.
+ *
+ * @param {Object} jwk
+ * @return {String}
+ * @api public
+ */
+exports.toPem = function (jwk) {
+  if (!jwk || jwk.kty !== 'RSA' || !jwk.n || !jwk.e) {
+    throw new Error('Unsupported JWK');
+  }
+  return forge.pki.publicKeyToPem(forge.pki.setRsaPublicKey(decodeInteger(jwk.n), decodeInteger(jwk.e)));
+};
+
+/**
+ * Return the RFC 7638 thumbprint of an RSA JWK: the base64url SHA-256 of its required members in lexical order.
+ *
+ * @param {Object} jwk
+ * @return {String}
+ * @api public
+ */
+exports.thumbprint = function (jwk) {
+  var canonical = JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n });
+  return jwt.base64urlEncode(crypto.createHash('sha256').update(canonical).digest());
+};
@@ -0,0 +1,237 @@
+/**
+ * Minimal JSON Web Token support (JWS compact serialization).
+ * Only the algorithms we actually issue or accept are supported: RS256 and HS256.
+ *
+ * See http://tools.ietf.org/html/draft-ietf-oauth-json-web-token
+ * See http://tools.ietf.org/html/draft-ietf-jose-json-web-signature
+ */
+'use strict';
+
+var crypto = require('crypto'),
+  forge = require('node-forge');
+
+/**
+ * Encode a buffer or string as unpadded base64url
+ *
+ * @param {Buffer|String} buf
+ * @return {String}
+ * @api private
+ */
+function base64urlEncode(buf) {
+  if (!Buffer.isBuffer(buf)) {
+    buf = new Buffer(buf, 'utf8');
+  }
+  return buf.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Decode an unpadded base64url string
+ *
+ * @param {String} str
+ * @return {Buffer}
+ * @api private
+ */
+function base64urlDecode(str) {
+  str = String(str).replace(/-/g, '+').replace(/_/g, '/');
+  while (str.length % 4) {
+    str += '=';
+  }
+  return new Buffer(str, 'base64');
+}
+
+/**
+ * Create the signature of `input` using `alg` and `key`.
+ * `key` is a PEM encoded RSA private key for RS256 or a shared secret for HS256.
+ *
+ * @api private
+ */
+function createSignature(alg, input, key) {
+  if (alg === 'RS256') {
+    return crypto.createSign('RSA-SHA256').update(input).sign(key, 'base64');
+  }
+  if (alg === 'HS256') {
+    return crypto.createHmac('sha256', key).update(input).digest('base64');
+  }
+  throw new Error('Unsupported JWT algorithm ' + alg);
+}
+
+/**
+ * Test the signature of `input` using `alg` and `key`.
+ * `key` is a PEM encoded RSA public key for RS256 or a shared secret for HS256.
+ *
+ * @api private
+ */
+function verifySignature(alg, input, signature, key) {
+  if (alg === 'RS256') {
+    return crypto.createVerify('RSA-SHA256').update(input).verify(key, signature, 'base64');
+  }
+  if (alg === 'HS256') {
+    // compare digests rather than the raw values so the comparison time doesn't leak the expected value
+    var expected = crypto.createHmac('sha256', key).update(input).digest('base64');
+    var hash = function (s) { return crypto.createHash('sha256').update(s).digest('hex'); };
+    return hash(expected) === hash(signature);
+  }
+  return false;
+}
+
+exports.base64urlEncode = base64urlEncode;
+exports.base64urlDecode = base64urlDecode;
+
+/**
+ * Return the current time as seconds since the epoch, the unit used by all JWT time claims
+ *
+ * @return {Number}
+ * @api public
+ */
+exports.now = function () {
+  return Math.floor(Date.now() / 1000);
+};
+
+/**
+ * Sign `payload` and return a compact serialized JWT.
+ *
+ *     jwt.sign({ sub: '123' }, privatePem, { alg: 'RS256', kid: 'abc' });
+ *     // => "eyJhbGciOiJSUzI1NiIsImtpZCI6ImFiYyJ9.eyJzdWIiOiIxMjMifQ.xxxx"
+ *
+ * @param {Object} payload The claims
+ * @param {String} key PEM encoded RSA private key (RS256) or shared secret (HS256)
+ * @param {Object} header Additional JOSE header parameters, alg defaults to RS256
+ * @return {String}
+ * @api public
+ */
+exports.sign = function (payload, key, header) {
+  header = header || {};
+  header.alg = header.alg || 'RS256';
+  header.typ = header.typ || 'JWT';
+  var input = base64urlEncode(JSON.stringify(header)) + '.' + base64urlEncode(JSON.stringify(payload));
+  return input + '.' + base64urlEncode(new Buffer(createSignature(header.alg, input, key), 'base64'));
+};
+
+/**
+ * Split a compact serialized JWT without verifying it.
+ * Returns null if the token is malformed.
+ *
+ * @param {String} token
+ * @return {Object} { header, payload, input, signature }
+ * @api public
+ */
+exports.decode = function (token) {
+  var parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    return {
+      header: JSON.parse(base64urlDecode(parts[0]).toString('utf8')),
+      payload: JSON.parse(base64urlDecode(parts[1]).toString('utf8')),
+      input: parts[0] + '.' + parts[1],
+      signature: base64urlDecode(parts[2]).toString('base64')
+    };
+  } catch (ex) {
+    return null;
+  }
+};
+
+/**
+ * Verify the signature and standard claims of a compact serialized JWT.
+ *
+ * `getKey` is either the key itself or a function(header, payload, done) which calls done(err, key) so
+ * the key can be looked up from the token's `kid` or `iss`.
+ *
+ * Options:
+ *   algorithms: list of acceptable `alg` values (default: ['RS256'])
+ *   audience: if supplied `aud` must be or contain this value
+ *   issuer: if supplied `iss` must equal this value
+ *   clockTolerance: seconds of skew allowed when checking `exp` and `nbf` (default: 0)
+ *   ignoreExpiration: if true `exp` is not checked, e.g. for hints about a past session (default: false)
+ *
+ * `done` is called as done(err, payload); err.message describes why verification failed.
+ *
+ * @api public
+ */
+exports.verify = function (token, getKey, options, done) {
+  if (typeof options === 'function') {
+    done = options;
+    options = {};
+  }
+  var algorithms = options.algorithms || ['RS256'];
+  var tolerance = options.clockTolerance || 0;
+  var decoded = exports.decode(token);
+  if (!decoded) {
+    return done(new Error('Malformed JWT'));
+  }
+  if (algorithms.indexOf(decoded.header.alg) === -1) {
+    return done(new Error('Unsupported JWT algorithm ' + decoded.header.alg));
+  }
+
+  function verified(err, key) {
+    if (err) { return done(err); }
+    if (!key) { return done(new Error('Unknown JWT signing key')); }
+    if (!verifySignature(decoded.header.alg, decoded.input, decoded.signature, key)) {
+      return done(new Error('Invalid JWT signature'));
+    }
+    var payload = decoded.payload;
+    var now = exports.now();
+    if (!options.ignoreExpiration && payload.exp !== undefined && now - tolerance >= payload.exp) {
+      return done(new Error('JWT expired'));
+    }
+    if (payload.nbf !== undefined && now + tolerance < payload.nbf) {
+      return done(new Error('JWT not yet valid'));
+    }
+    if (options.issuer && payload.iss !== options.issuer) {
+      return done(new Error('Invalid JWT issuer'));
+    }
+    if (options.audience) {
+      var aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (aud.indexOf(options.audience) === -1) {
+        return done(new Error('Invalid JWT audience'));
+      }
+    }
+    return done(null, payload, decoded.header);
+  }
+
+  if (typeof getKey === 'function') {
+    try {
+      getKey(decoded.header, decoded.payload, verified);
+    } catch (ex) {
+      return done(ex);
+    }
+  } else {
+    verified(null, getKey);
+  }
+};
+
+/**
+ * Compute the OpenID Connect at_hash/c_hash of a value for an RS256/HS256 signed id_token:
+ * the base64url encoding of the left-most half of its SHA-256 hash.
+ *
+ * @param {String} value
+ * @return {String}
+ * @api public
+ */
+exports.halfHash = function (value) {
+  var digest = crypto.createHash('sha256').update(value).digest();
+  return base64urlEncode(digest.slice(0, digest.length / 2));
+};
+
+/**
+ * Generate a new RSA signing key pair.
+ * This takes a few seconds for 2048 bits, so is done in steps to avoid blocking the event loop.
+ *
+ * @param {Number} bits Modulus length (default: 2048)
+ * @param {Function} done fn(err, { privateKey, publicKey }) both PEM encoded
+ * @api public
+ */
+exports.generateKeyPair = function (bits, done) {
+  if (typeof bits === 'function') {
+    done = bits;
+    bits = undefined;
+  }
+  forge.pki.rsa.generateKeyPair({ bits: bits || 2048, e: 0x10001 }, function (err, keys) {
+    if (err) { return done(err); }
+    return done(null, {
+      privateKey: forge.pki.privateKeyToPem(keys.privateKey),
+      publicKey: forge.pki.publicKeyToPem(keys.publicKey)
+    });
+  });
+};
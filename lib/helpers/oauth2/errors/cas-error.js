@@ -1,7 +1,19 @@
 'use strict';
 
+var casResponse = require('../../cas-response');
+
 /**
- * Returns CAS 1.0 validation error
+ * The CAS authenticationFailure codes of the OAuth 2.0 errors raised by the validation
+ */
+var FAILURE_CODES = {
+    invalid_request: 'INVALID_REQUEST',
+    invalid_grant: 'INVALID_TICKET',
+    invalid_ticket_spec: 'INVALID_TICKET_SPEC',
+    invalid_proxy_callback: 'INVALID_PROXY_CALLBACK'
+};
+
+/**
+ * Returns CAS 1.0, 2.0 and 3.0 validation errors
  */
 exports.casValidateError = function errorHandler(err, req, res, next) {
     var casVersion = req.body && req.body.cas_version;
@@ -18,13 +30,14 @@ exports.casValidateError = function errorHandler(err, req, res, next) {
         res.setHeader('Cache-Control', 'no-store');
         res.setHeader('Pragma', 'no-cache');
         return res.end('no\n\n');
-    } else if (casVersion === '2_0') {
-        res.setHeader('Content-Type', 'text/plain; charset=us-ascii'); // TODO: soap header
-        res.setHeader('Cache-Control', 'no-store');
-        res.setHeader('Pragma', 'no-cache');
-        return res.end('<cas:serviceResponse xmlns:cas="http://www.yale.edu/tp/cas"><cas:authenticationFailure code="INVALID_TICKET">Ticket ' +
-            casTicket +
-            ' not recognized</cas:authenticationFailure></cas:serviceResponse>');
+    } else if (casVersion === '2_0' || casVersion === '3_0') {
+        var code = FAILURE_CODES[err.code] || 'INTERNAL_ERROR';
+        return casResponse.send(res, {
+            authenticationFailure: {
+                code: code,
+                description: code === 'INVALID_TICKET' ? 'Ticket ' + casTicket + ' not recognized' : err.message
+            }
+        }, req.query && req.query.format);
     } else {
         var e = {};
         e.error = err.code || 'server_error';
@@ -2,7 +2,8 @@
  * Module dependencies.
  */
 var utils = require('oauth2orize/lib/utils')
-    , TokenError = require('oauth2orize/lib/errors/tokenerror');
+    , TokenError = require('oauth2orize/lib/errors/tokenerror')
+    , casResponse = require('../../cas-response');
 
 
 /**
@@ -19,17 +20,23 @@ var utils = require('oauth2orize/lib/utils')
  * This middleware requires an `issue` callback, for which the function
  * signature is as follows:
  *
- *     function(client, code, redirectURI, done) { ... }
+ *     function(client, code, redirectURI, options, done) { ... }
  *
  * `client` is the authenticated client instance attempting to obtain an access
  * token.  `code` is the authorization code the client is in possession of.
  * `redirectURI` is the redirect URI specified by the client, being used as a
  * verifier which must match the value in the initial authorization request.
+ * `options.proxyTicket` is true when the code is a proxy ticket, which are only
+ * accepted when validating proxy tickets, and `options.pgtUrl` is the callback
+ * URL of a service asking for a proxy-granting ticket (CAS 2.0 and 3.0 only).
  * `done` is called to issue an access token:
  *
- *     done(err, username)
+ *     done(err, username, attributes, proxy)
  *
- * `username` is the access token that will be sent to the client.
+ * `username` is the user name that will be sent to the client, along with the
+ * `attributes` released to it when validating with CAS 3.0, and the
+ * `proxy.proxyGrantingTicket` IOU and `proxy.proxies` chain, if any.
+ * The response is XML, or JSON when the `format` query parameter is 'JSON'.
  * If an error occurs, `done` should be invoked with `err` set in idomatic Node.js fashion.
  *
  * Options:
@@ -73,16 +80,21 @@ module.exports = function(options, issue) {
         var client = req[userProperty]
             , code = req.query.ticket
             , redirectURI = req.query.service
-            , casVersion = req.body.cas_version;
+            , casVersion = req.body.cas_version
+            , casProxy = req.body.cas_proxy
+            , pgtUrl = casVersion !== '1_0' ? req.query.pgtUrl : undefined
+            , format = req.query.format;
 
         if (!code) { return next(new TokenError('Missing required parameter: ticket', 'invalid_request')); }
         if (!redirectURI) { return next(new TokenError('Missing required parameter: service', 'invalid_request')); }
 
-        if (code.lastIndexOf('ST-', 0) !== 0) { return next(new TokenError('Ill-formed authorization code', 'invalid_grant')); }
+        var proxyTicket = code.lastIndexOf('PT-', 0) === 0;
+        if (proxyTicket && !casProxy) { return next(new TokenError('Proxy tickets are only validated by proxyValidate', 'invalid_ticket_spec', null, 403)); }
+        if (!proxyTicket && code.lastIndexOf('ST-', 0) !== 0) { return next(new TokenError('Ill-formed authorization code', 'invalid_grant')); }
         code = code.substring(3);
 
         try {
-            issue(client, code, redirectURI, function(err, username) {
+            issue(client, code, redirectURI, { proxyTicket: proxyTicket, pgtUrl: pgtUrl }, function(err, username, attributes, proxy) {
                 if (err) { return next(err); }
                 if (!username) { return next(new TokenError('Invalid authorization code', 'invalid_grant')); }
 
@@ -91,13 +103,12 @@ module.exports = function(options, issue) {
                     res.setHeader('Cache-Control', 'no-store');
                     res.setHeader('Pragma', 'no-cache');
                     res.end('yes\n' + username + '\n');
-                } else if (casVersion === '2_0') {
-                    res.setHeader('Content-Type', 'text/plain; charset=us-ascii'); // TODO: soap header
-                    res.setHeader('Cache-Control', 'no-store');
-                    res.setHeader('Pragma', 'no-cache');
-                    res.end('<cas:serviceResponse xmlns:cas="http://www.yale.edu/tp/cas"><cas:authenticationSuccess><cas:user>' +
-                        username +
-                        '</cas:user></cas:authenticationSuccess></cas:serviceResponse>');
+                } else if (casVersion === '2_0' || casVersion === '3_0') {
+                    var success = { user: username };
+                    if (casVersion === '3_0') { success.attributes = attributes || {}; }
+                    if (proxy && proxy.proxyGrantingTicket) { success.proxyGrantingTicket = proxy.proxyGrantingTicket; }
+                    if (proxy && proxy.proxies && proxy.proxies.length) { success.proxies = proxy.proxies; }
+                    casResponse.send(res, { authenticationSuccess: success }, format);
                 } else {
                     return next(new TokenError('Invalid cas protocol version', 'invalid_request'));
                 }
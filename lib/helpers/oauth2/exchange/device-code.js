@@ -0,0 +1,126 @@
+/**
+ * Module dependencies.
+ */
+var utils = require('oauth2orize/lib/utils')
+    , TokenError = require('oauth2orize/lib/errors/tokenerror');
+
+
+/**
+ * The grant type of the Device Authorization Grant
+ */
+var GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+
+/**
+ * Exchanges device codes for access tokens.
+ *
+ * Modelled on oauth2orize\lib\exchange\clientCredentials.js
+ *
+ * This exchange middleware is used by devices polling the token endpoint with
+ * the device code obtained from the device authorization endpoint.  The user
+ * approves or denies the request on another device, as handled by `device`
+ * grant middleware.
+ *
+ * Callbacks:
+ *
+ * This middleware requires an `issue` callback, for which the function
+ * signature is as follows:
+ *
+ *     function(client, deviceCode, done) { ... }
+ *
+ * or, to also be given the request body and the `authInfo` of the client
+ * authentication, as the exchanges of oauth2orize are:
+ *
+ *     function(client, deviceCode, body, authInfo, done) { ... }
+ *
+ * `client` is the authenticated client instance polling for an access token.
+ * `deviceCode` is the device code the client is in possession of.  `done` is
+ * called to issue an access token:
+ *
+ *     done(err, accessToken, refreshToken, params)
+ *
+ * While the user hasn't decided `done` should be invoked with one of the errors
+ * built by `exchange.error()`: 'authorization_pending', 'slow_down',
+ * 'access_denied' or 'expired_token'.
+ *
+ * References:
+ *  - [Device Access Token Request](http://tools.ietf.org/html/rfc8628#section-3.4)
+ *  - [Device Access Token Response](http://tools.ietf.org/html/rfc8628#section-3.5)
+ *
+ * @param {Object} options
+ * @param {Function} issue
+ * @return {Function}
+ * @api public
+ */
+var exchange = module.exports = function(options, issue) {
+    if (typeof options == 'function') {
+        issue = options;
+        options = undefined;
+    }
+    options = options || {};
+
+    if (!issue) { throw new TypeError('oauth2orize.deviceCode exchange requires an issue callback'); }
+
+    var userProperty = options.userProperty || 'user';
+
+    return function device_code(req, res, next) {
+        if (!req.body) { return next(new Error('OAuth2orize requires body parsing. Did you forget app.use(express.bodyParser())?')); }
+
+        // The 'user' property of `req` holds the authenticated user.  In the case
+        // of the token endpoint, the property will contain the OAuth 2.0 client.
+        var client = req[userProperty]
+            , deviceCode = req.body.device_code;
+
+        if (!deviceCode) { return next(new TokenError('Missing required parameter: device_code', 'invalid_request')); }
+
+        function issued(err, accessToken, refreshToken, params) {
+            if (err) { return next(err); }
+            if (!accessToken) { return next(new TokenError('Invalid device code', 'invalid_grant')); }
+            if (refreshToken && typeof refreshToken == 'object') {
+                params = refreshToken;
+                refreshToken = null;
+            }
+
+            var tok = {};
+            tok.access_token = accessToken;
+            if (refreshToken) { tok.refresh_token = refreshToken; }
+            if (params) { utils.merge(tok, params); }
+            tok.token_type = tok.token_type || 'Bearer';
+
+            var json = JSON.stringify(tok);
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Cache-Control', 'no-store');
+            res.setHeader('Pragma', 'no-cache');
+            res.end(json);
+        }
+
+        try {
+            var arity = issue.length;
+            if (arity == 5) {
+                issue(client, deviceCode, req.body, req.authInfo, issued);
+            } else { // arity == 3
+                issue(client, deviceCode, issued);
+            }
+        } catch (ex) {
+            return next(ex);
+        }
+    };
+};
+
+/**
+ * The grant type to register the exchange for
+ */
+exchange.grantType = GRANT_TYPE;
+
+/**
+ * Build one of the errors a device receives while polling.  They are all sent
+ * with a 400 status.
+ *
+ * @param {String} code 'authorization_pending', 'slow_down', 'access_denied' or 'expired_token'
+ * @param {String} message
+ * @return {TokenError}
+ * @api public
+ */
+exchange.error = function(code, message) {
+    return new TokenError(message, code, null, 400);
+};
@@ -0,0 +1,116 @@
+/**
+ * Module dependencies.
+ */
+var utils = require('oauth2orize/lib/utils')
+    , TokenError = require('oauth2orize/lib/errors/tokenerror');
+
+
+/**
+ * The grant type of the JWT Bearer authorization grant
+ */
+var GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+
+
+/**
+ * Exchanges a signed JWT assertion for an access token.
+ *
+ * Modelled on oauth2orize\lib\exchange\clientCredentials.js
+ *
+ * This exchange middleware is used by clients holding a signing key, rather
+ * than a user's password, to obtain an access token for the user the
+ * assertion names as its subject.
+ *
+ * Callbacks:
+ *
+ * This middleware requires an `issue` callback, for which the function
+ * signature is as follows:
+ *
+ *     function(client, assertion, scope, body, authInfo, done) { ... }
+ *
+ * `client` is the authenticated client instance the assertion is presented
+ * by.  `assertion` is the JWT and `scope` the requested scope, an array or
+ * undefined.  `done` is called to issue an access token:
+ *
+ *     done(err, accessToken, refreshToken, params)
+ *
+ * References:
+ *  - [Using JWTs as Authorization Grants](http://tools.ietf.org/html/rfc7523#section-2.1)
+ *
+ * @param {Object} options
+ * @param {Function} issue
+ * @return {Function}
+ * @api public
+ */
+var exchange = module.exports = function(options, issue) {
+    if (typeof options == 'function') {
+        issue = options;
+        options = undefined;
+    }
+    options = options || {};
+
+    if (!issue) { throw new TypeError('oauth2orize.jwtBearer exchange requires an issue callback'); }
+
+    var userProperty = options.userProperty || 'user'
+        , separators = options.scopeSeparator || ' ';
+
+    if (!Array.isArray(separators)) {
+        separators = [ separators ];
+    }
+
+    return function jwt_bearer(req, res, next) {
+        if (!req.body) { return next(new Error('OAuth2orize requires body parsing. Did you forget app.use(express.bodyParser())?')); }
+
+        // The 'user' property of `req` holds the authenticated user.  In the case
+        // of the token endpoint, the property will contain the OAuth 2.0 client.
+        var client = req[userProperty]
+            , assertion = req.body.assertion
+            , scope = req.body.scope;
+
+        if (!assertion) { return next(new TokenError('Missing required parameter: assertion', 'invalid_request')); }
+
+        if (scope) {
+            for (var i = 0, len = separators.length; i < len; i++) {
+                var separated = scope.split(separators[i]);
+                // only separate on the first matching separator.  this allows for a sort
+                // of separator "priority" (ie, favor spaces then fallback to commas)
+                if (separated.length > 1) {
+                    scope = separated;
+                    break;
+                }
+            }
+            if (!Array.isArray(scope)) { scope = [ scope ]; }
+        }
+
+        function issued(err, accessToken, refreshToken, params) {
+            if (err) { return next(err); }
+            if (!accessToken) { return next(new TokenError('Invalid assertion', 'invalid_grant')); }
+            if (refreshToken && typeof refreshToken == 'object') {
+                params = refreshToken;
+                refreshToken = null;
+            }
+
+            var tok = {};
+            tok.access_token = accessToken;
+            if (refreshToken) { tok.refresh_token = refreshToken; }
+            if (params) { utils.merge(tok, params); }
+            tok.token_type = tok.token_type || 'Bearer';
+
+            var json = JSON.stringify(tok);
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Cache-Control', 'no-store');
+            res.setHeader('Pragma', 'no-cache');
+            res.end(json);
+        }
+
+        try {
+            issue(client, assertion, scope || undefined, req.body, req.authInfo, issued);
+        } catch (ex) {
+            return next(ex);
+        }
+    };
+};
+
+/**
+ * The grant type to register the exchange for
+ */
+exchange.grantType = GRANT_TYPE;
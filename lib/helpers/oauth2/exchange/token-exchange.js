@@ -0,0 +1,164 @@
+/**
+ * Module dependencies.
+ */
+var utils = require('oauth2orize/lib/utils')
+    , TokenError = require('oauth2orize/lib/errors/tokenerror');
+
+
+/**
+ * The grant type of OAuth 2.0 Token Exchange
+ */
+var GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:token-exchange';
+
+/**
+ * The token type identifier of access tokens, the only type we exchange and issue
+ */
+var ACCESS_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:access_token';
+
+
+/**
+ * Returns a parameter which may be repeated as an array, or undefined when absent
+ */
+function list(value) {
+    if (value === undefined || value === '') { return undefined; }
+    return Array.isArray(value) ? value : [value];
+}
+
+
+/**
+ * Exchanges a token for another, e.g. an access token a service received for
+ * a narrower one addressed to the service it calls next.
+ *
+ * Modelled on oauth2orize\lib\exchange\clientCredentials.js
+ *
+ * Callbacks:
+ *
+ * This middleware requires an `issue` callback, for which the function
+ * signature is as follows:
+ *
+ *     function(client, request, body, authInfo, done) { ... }
+ *
+ * `client` is the authenticated client instance asking for the exchange.
+ * `request` holds the parsed parameters of the exchange: `subjectToken`,
+ * `actorToken` (optional), `audience` and `resource` (arrays, either may be
+ * undefined) and `scope` (an array, undefined to keep the subject token's).
+ * `done` is called to issue an access token:
+ *
+ *     done(err, accessToken, params)
+ *
+ * References:
+ *  - [Token Exchange Request](http://tools.ietf.org/html/rfc8693#section-2.1)
+ *  - [Token Exchange Response](http://tools.ietf.org/html/rfc8693#section-2.2)
+ *
+ * @param {Object} options
+ * @param {Function} issue
+ * @return {Function}
+ * @api public
+ */
+var exchange = module.exports = function(options, issue) {
+    if (typeof options == 'function') {
+        issue = options;
+        options = undefined;
+    }
+    options = options || {};
+
+    if (!issue) { throw new TypeError('oauth2orize.tokenExchange exchange requires an issue callback'); }
+
+    var userProperty = options.userProperty || 'user'
+        , separators = options.scopeSeparator || ' ';
+
+    if (!Array.isArray(separators)) {
+        separators = [ separators ];
+    }
+
+    return function token_exchange(req, res, next) {
+        if (!req.body) { return next(new Error('OAuth2orize requires body parsing. Did you forget app.use(express.bodyParser())?')); }
+
+        // The 'user' property of `req` holds the authenticated user.  In the case
+        // of the token endpoint, the property will contain the OAuth 2.0 client.
+        var client = req[userProperty]
+            , body = req.body
+            , scope = body.scope;
+
+        if (!body.subject_token) { return next(new TokenError('Missing required parameter: subject_token', 'invalid_request')); }
+        if (body.subject_token_type !== ACCESS_TOKEN_TYPE) {
+            return next(new TokenError('Unsupported subject_token_type', 'invalid_request'));
+        }
+        if (body.actor_token && body.actor_token_type !== ACCESS_TOKEN_TYPE) {
+            return next(new TokenError('Unsupported actor_token_type', 'invalid_request'));
+        }
+        if (!body.actor_token && body.actor_token_type) {
+            return next(new TokenError('actor_token_type given without actor_token', 'invalid_request'));
+        }
+        if (body.requested_token_type && body.requested_token_type !== ACCESS_TOKEN_TYPE) {
+            return next(new TokenError('Unsupported requested_token_type', 'invalid_request'));
+        }
+
+        if (scope) {
+            for (var i = 0, len = separators.length; i < len; i++) {
+                var separated = scope.split(separators[i]);
+                // only separate on the first matching separator.  this allows for a sort
+                // of separator "priority" (ie, favor spaces then fallback to commas)
+                if (separated.length > 1) {
+                    scope = separated;
+                    break;
+                }
+            }
+            if (!Array.isArray(scope)) { scope = [ scope ]; }
+        }
+
+        var request = {
+            subjectToken: body.subject_token,
+            actorToken: body.actor_token,
+            audience: list(body.audience),
+            resource: list(body.resource),
+            scope: scope || undefined
+        };
+
+        function issued(err, accessToken, params) {
+            if (err) { return next(err); }
+            if (!accessToken) { return next(new TokenError('Invalid subject or actor token', 'invalid_grant')); }
+
+            var tok = {};
+            tok.access_token = accessToken;
+            tok.issued_token_type = ACCESS_TOKEN_TYPE;
+            if (params) { utils.merge(tok, params); }
+            tok.token_type = tok.token_type || 'Bearer';
+
+            var json = JSON.stringify(tok);
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Cache-Control', 'no-store');
+            res.setHeader('Pragma', 'no-cache');
+            res.end(json);
+        }
+
+        try {
+            issue(client, request, body, req.authInfo, issued);
+        } catch (ex) {
+            return next(ex);
+        }
+    };
+};
+
+/**
+ * The grant type to register the exchange for
+ */
+exchange.grantType = GRANT_TYPE;
+
+/**
+ * The token type identifier of access tokens
+ */
+exchange.accessTokenType = ACCESS_TOKEN_TYPE;
+
+/**
+ * Build an error refusing the exchange, sent with a 400 status, e.g. 'invalid_target' when the client may not
+ * exchange into the requested audience.
+ *
+ * @param {String} code
+ * @param {String} message
+ * @return {TokenError}
+ * @api public
+ */
+exchange.error = function(code, message) {
+    return new TokenError(message, code, null, 400);
+};
@@ -0,0 +1,132 @@
+/**
+ * Module dependencies.
+ */
+var AuthorizationError = require('oauth2orize/lib/errors/authorizationerror');
+
+
+/**
+ * Handles the user's decision on a Device Authorization Grant request.
+ *
+ * Modelled on oauth2orize\lib\grant\code.js
+ *
+ * The user enters the user code shown by the device on the /device page, which
+ * starts an authorization transaction with `device_code` as `response_type`.
+ * There is nothing to redirect to: the decision is recorded against the user
+ * code, where the device picks it up when it next polls the token endpoint, and
+ * the user is shown the outcome.
+ *
+ * Callbacks:
+ *
+ * This middleware requires a `decide` callback, for which the function
+ * signature is as follows:
+ *
+ *     function(client, user, userCode, ares, done) { ... }
+ *
+ * `client` is the client instance making the authorization request.  `user`
+ * is the authenticated user deciding.  `userCode` is the user code the request
+ * was started with.  `ares` is the user's decision, with `ares.allow` set when
+ * access was approved along with the approved scope.  `done` is called once
+ * the decision is recorded:
+ *
+ *     done(err, recorded)
+ *
+ * `recorded` is false when the user code was already used or has expired.
+ *
+ * Options:
+ *
+ *     view            view rendered with the outcome, given `client`, `user` and `allow`
+ *     scopeSeparator  separator used to demarcate scope values (default: ' ')
+ *
+ * References:
+ *  - [User Interaction](http://tools.ietf.org/html/rfc8628#section-3.3)
+ *
+ * @param {Object} options
+ * @param {Function} decide
+ * @return {Object} module
+ * @api public
+ */
+module.exports = function device(options, decide) {
+    if (typeof options == 'function') {
+        decide = options;
+        options = undefined;
+    }
+    options = options || {};
+
+    if (!decide) { throw new TypeError('oauth2orize.device grant requires a decide callback'); }
+    if (!options.view) { throw new TypeError('oauth2orize.device grant requires a view option'); }
+
+    var separators = options.scopeSeparator || ' ';
+    if (!Array.isArray(separators)) {
+        separators = [ separators ];
+    }
+
+
+    /* Parse requests that request `device_code` as `response_type`.
+     *
+     * @param {http.ServerRequest} req
+     * @api public
+     */
+    function request(req) {
+        var clientID = req.query.client_id
+            , scope = req.query.scope
+            , userCode = req.query.user_code;
+
+        if (!clientID) { throw new AuthorizationError('Missing required parameter: client_id', 'invalid_request'); }
+        if (!userCode) { throw new AuthorizationError('Missing required parameter: user_code', 'invalid_request'); }
+
+        if (scope) {
+            for (var i = 0, len = separators.length; i < len; i++) {
+                var separated = scope.split(separators[i]);
+                // only separate on the first matching separator.  this allows for a sort
+                // of separator "priority" (ie, favor spaces then fallback to commas)
+                if (separated.length > 1) {
+                    scope = separated;
+                    break;
+                }
+            }
+            if (!Array.isArray(scope)) { scope = [ scope ]; }
+        }
+
+        return {
+            clientID: clientID,
+            scope: scope,
+            userCode: userCode
+        };
+    }
+
+    /* Sends responses to transactions that request `device_code` as `response_type`.
+     *
+     * @param {Object} txn
+     * @param {http.ServerResponse} res
+     * @param {Function} next
+     * @api public
+     */
+    function response(txn, res, next) {
+        function decided(err, recorded) {
+            if (err) { return next(err); }
+            if (!recorded) { return next(new AuthorizationError('Invalid or expired user code', 'invalid_request')); }
+
+            res.render(options.view, {
+                client: txn.client,
+                user: txn.user,
+                allow: !!txn.res.allow
+            });
+        }
+
+        try {
+            decide(txn.client, txn.user, txn.req.userCode, txn.res, decided);
+        } catch (ex) {
+            return next(ex);
+        }
+    }
+
+
+    /**
+     * Return `device_code` approval module.
+     */
+    var mod = {};
+    mod.name = 'device_code';
+    mod.request = request;
+    mod.response = response;
+    return mod;
+};
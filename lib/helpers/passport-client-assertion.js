@@ -0,0 +1,66 @@
+/**
+ * Passport strategy authenticating OAuth 2.0 clients with a JWT assertion in the request body.
+ *
+ * Modelled on passport-oauth2-client-password. The `client_assertion_type` must be
+ * 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer' and the client is named by the `sub` of the
+ * `client_assertion`, which must agree with `client_id` when that is also sent. Verifying the assertion is
+ * left to the verify callback:
+ *
+ *     function (clientId, assertion, done) { ... }
+ *
+ * which calls done(err, client) with client false when the assertion is not acceptable.
+ *
+ * See http://tools.ietf.org/html/rfc7523#section-2.2
+ * See http://openid.net/specs/openid-connect-core-1_0.html#ClientAuthentication
+ */
+'use strict';
+
+var util = require('util'),
+  passport = require('passport'),
+  jwt = require('./jwt');
+
+var ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+/**
+ * Strategy constructor
+ *
+ * @param {Function} verify fn(clientId, assertion, done)
+ * @api public
+ */
+function Strategy(verify) {
+  if (!verify) { throw new TypeError('ClientAssertionStrategy requires a verify callback'); }
+  passport.Strategy.call(this);
+  this.name = 'oauth2-client-assertion';
+  this._verify = verify;
+}
+
+util.inherits(Strategy, passport.Strategy);
+
+/**
+ * Authenticate the request from the `client_assertion` in its body
+ *
+ * @param {Object} req
+ * @api protected
+ */
+Strategy.prototype.authenticate = function (req) {
+  var body = req.body || {};
+  if (body.client_assertion_type !== ASSERTION_TYPE || !body.client_assertion) {
+    return this.fail();
+  }
+  var decoded = jwt.decode(body.client_assertion);
+  var clientId = decoded && decoded.payload.sub;
+  if (!clientId || (body.client_id && body.client_id !== clientId)) {
+    return this.fail();
+  }
+
+  var self = this;
+  this._verify(String(clientId), body.client_assertion, function (err, client, info) {
+    if (err) { return self.error(err); }
+    if (!client) { return self.fail(); }
+    self.success(client, info);
+  });
+};
+
+Strategy.assertionType = ASSERTION_TYPE;
+
+module.exports = Strategy;
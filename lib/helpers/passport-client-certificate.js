@@ -0,0 +1,62 @@
+/**
+ * Passport strategy authenticating OAuth 2.0 clients by their TLS client certificate.
+ *
+ * Modelled on passport-oauth2-client-password. The client names itself with `client_id` in the request body
+ * and the strategy hands the certificate read by the `certificate` option to the verify callback:
+ *
+ *     function (clientId, certificate, done) { ... }
+ *
+ * which calls done(err, client) with client false when the certificate doesn't belong to the client.
+ *
+ * Options:
+ *   certificate  fn(req) returning the request's client certificate, or null (required)
+ *
+ * See http://tools.ietf.org/html/rfc8705#section-2
+ */
+'use strict';
+
+var util = require('util'),
+  passport = require('passport');
+
+/**
+ * Strategy constructor
+ *
+ * @param {Object} options
+ * @param {Function} verify fn(clientId, certificate, done)
+ * @api public
+ */
+function Strategy(options, verify) {
+  if (!options || typeof options.certificate !== 'function') {
+    throw new TypeError('ClientCertificateStrategy requires a certificate option');
+  }
+  if (!verify) { throw new TypeError('ClientCertificateStrategy requires a verify callback'); }
+  passport.Strategy.call(this);
+  this.name = 'oauth2-client-certificate';
+  this._certificate = options.certificate;
+  this._verify = verify;
+}
+
+util.inherits(Strategy, passport.Strategy);
+
+/**
+ * Authenticate the request from its client certificate
+ *
+ * @param {Object} req
+ * @api protected
+ */
+Strategy.prototype.authenticate = function (req) {
+  var clientId = req.body && req.body.client_id;
+  var certificate = clientId && this._certificate(req);
+  if (!certificate) {
+    return this.fail();
+  }
+
+  var self = this;
+  this._verify(String(clientId), certificate, function (err, client, info) {
+    if (err) { return self.error(err); }
+    if (!client) { return self.fail(); }
+    self.success(client, info);
+  });
+};
+
+module.exports = Strategy;
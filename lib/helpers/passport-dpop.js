@@ -0,0 +1,62 @@
+/**
+ * Passport strategy authenticating requests with a DPoP-bound access token.
+ *
+ * Modelled on passport-http-bearer, for the `Authorization: DPoP <token>` scheme. The proof in the DPoP header
+ * is left to the verify callback along with the request:
+ *
+ *     function (req, accessToken, done) { ... }
+ *
+ * which calls done(err, user, info) with user false when the token or proof is not acceptable.
+ *
+ * See http://tools.ietf.org/html/rfc9449#section-7
+ */
+'use strict';
+
+var util = require('util'),
+  passport = require('passport');
+
+/**
+ * Strategy constructor
+ *
+ * @param {Function} verify fn(req, accessToken, done)
+ * @api public
+ */
+function Strategy(verify) {
+  if (!verify) { throw new TypeError('DPoPStrategy requires a verify callback'); }
+  passport.Strategy.call(this);
+  this.name = 'dpop';
+  this._verify = verify;
+}
+
+util.inherits(Strategy, passport.Strategy);
+
+/**
+ * Authenticate the request from the DPoP access token in its Authorization header
+ *
+ * @param {Object} req
+ * @api protected
+ */
+Strategy.prototype.authenticate = function (req) {
+  var match = /^DPoP\s+(\S+)$/.exec((req.headers && req.headers.authorization) || '');
+  if (!match) {
+    return this.fail(this._challenge());
+  }
+
+  var self = this;
+  this._verify(req, match[1], function (err, user, info) {
+    if (err) { return self.error(err); }
+    if (!user) { return self.fail(self._challenge('invalid_token')); }
+    self.success(user, info);
+  });
+};
+
+/**
+ * Build the WWW-Authenticate challenge
+ *
+ * @api private
+ */
+Strategy.prototype._challenge = function (error) {
+  return 'DPoP algs="RS256"' + (error ? ', error="' + error + '"' : '');
+};
+
+module.exports = Strategy;
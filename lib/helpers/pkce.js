@@ -0,0 +1,57 @@
+/**
+ * Proof Key for Code Exchange by OAuth Public Clients.
+ *
+ * See http://tools.ietf.org/html/rfc7636
+ */
+'use strict';
+
+var crypto = require('crypto'),
+  jwt = require('./jwt');
+
+/**
+ * The code_challenge_method values we accept
+ */
+exports.methods = ['S256', 'plain'];
+
+/**
+ * Test if `value` is a well formed code_verifier or code_challenge: 43 to 128 unreserved characters.
+ * Both share the same syntax (a S256 challenge is always 43 characters).
+ *
+ * @param {String} value
+ * @return {Boolean}
+ * @api public
+ */
+exports.isWellFormed = function (value) {
+  return typeof value === 'string' && /^[A-Za-z0-9\-._~]{43,128}$/.test(value);
+};
+
+/**
+ * Derive the code_challenge for `verifier`.
+ *
+ * @param {String} verifier
+ * @param {String} method 'S256' or 'plain'
+ * @return {String}
+ * @api public
+ */
+exports.challenge = function (verifier, method) {
+  if (method === 'S256') {
+    return jwt.base64urlEncode(crypto.createHash('sha256').update(verifier, 'ascii').digest());
+  }
+  return verifier;
+};
+
+/**
+ * Test if `verifier` matches the code_challenge sent with the authorization request.
+ *
+ * @param {String} challenge
+ * @param {String} method 'S256' or 'plain'
+ * @param {String} verifier
+ * @return {Boolean}
+ * @api public
+ */
+exports.verify = function (challenge, method, verifier) {
+  if (!exports.isWellFormed(verifier) || exports.methods.indexOf(method) === -1) {
+    return false;
+  }
+  return exports.challenge(verifier, method) === challenge;
+};
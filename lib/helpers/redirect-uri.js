@@ -0,0 +1,83 @@
+/**
+ * Matching of the redirect URIs sent by clients against the ones they registered.
+ *
+ * Registered redirect URIs are matched exactly. The only pattern allowed is '*' as the port of a loopback host,
+ * such as 'http://127.0.0.1:*' followed by the callback path, for native apps which listen on whatever port is free.
+ * See http://tools.ietf.org/html/rfc8252#section-7.3
+ */
+'use strict';
+
+var url = require('url');
+
+var LOOPBACK = /^(https?:\/\/)(localhost|127\.0\.0\.1|\[::1\])(:\d+)?([\/?].*)?$/;
+var LOOPBACK_PATTERN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\]):\*([\/?].*)?$/;
+
+/**
+ * Test if `uri` may be registered: an absolute http(s) URL without a fragment, or a loopback pattern.
+ *
+ * @param {String} uri
+ * @return {Boolean}
+ * @api public
+ */
+exports.isValid = function (uri) {
+  if (typeof uri !== 'string' || uri.indexOf('#') !== -1) {
+    return false;
+  }
+  if (LOOPBACK_PATTERN.test(uri)) {
+    return true;
+  }
+  var parsed = url.parse(uri);
+  return (parsed.protocol === 'https:' || parsed.protocol === 'http:') && !!parsed.host && uri.indexOf('*') === -1;
+};
+
+/**
+ * Test if the registered `uri` is a loopback pattern.
+ *
+ * @param {String} uri
+ * @return {Boolean}
+ * @api public
+ */
+exports.isPattern = function (uri) {
+  return LOOPBACK_PATTERN.test(uri);
+};
+
+/**
+ * The loopback pattern that `uri` matches, or null when `uri` isn't on a loopback host.
+ *
+ * @param {String} uri The redirect URI sent by the client
+ * @return {String}
+ * @api public
+ */
+exports.pattern = function (uri) {
+  var match = LOOPBACK.exec(uri || '');
+  return match && (match[1] + match[2] + ':*' + (match[4] || ''));
+};
+
+/**
+ * The registered values a redirect URI sent by the client may match, for indexed lookups.
+ *
+ * @param {String} uri The redirect URI sent by the client
+ * @return {Array}
+ * @api public
+ */
+exports.candidates = function (uri) {
+  var pattern = exports.pattern(uri);
+  return pattern ? [uri, pattern] : [uri];
+};
+
+/**
+ * Test if the redirect URI sent by the client matches one of the `registered` redirect URIs.
+ *
+ * @param {Array} registered
+ * @param {String} uri The redirect URI sent by the client
+ * @return {Boolean}
+ * @api public
+ */
+exports.matches = function (registered, uri) {
+  if (typeof uri !== 'string') {
+    return false;
+  }
+  return exports.candidates(uri).some(function (candidate) {
+    return registered.indexOf(candidate) !== -1;
+  });
+};
@@ -0,0 +1,90 @@
+/**
+ * Response modes: how the parameters of an authorization response are returned to the client's redirect URI.
+ *
+ * 'query' adds them to the query of the redirect URI, 'fragment' encodes them in its fragment, and 'form_post'
+ * posts them as a form to the redirect URI from the user's browser, keeping them out of URLs and referrer logs.
+ * See http://openid.net/specs/oauth-v2-multiple-response-types-1_0.html#ResponseModes
+ * and http://openid.net/specs/oauth-v2-form-post-response-mode-1_0.html
+ */
+'use strict';
+
+var url = require('url'),
+  querystring = require('querystring');
+
+/**
+ * The response_mode values we support
+ */
+exports.modes = ['query', 'fragment', 'form_post'];
+
+/**
+ * The response mode used when the client asks for none: tokens are never put in the query.
+ *
+ * @param {String} type The response_type
+ * @return {String}
+ * @api public
+ */
+exports.defaultMode = function (type) {
+  return (/(^| )(token|id_token)( |$)/).test(type || '') ? 'fragment' : 'query';
+};
+
+/**
+ * Test if `mode` may be used for the response_type `type`. Tokens must not be returned in the query.
+ *
+ * @param {String} mode
+ * @param {String} type The response_type
+ * @return {Boolean}
+ * @api public
+ */
+exports.isAllowed = function (mode, type) {
+  if (exports.modes.indexOf(mode) === -1) {
+    return false;
+  }
+  return mode !== 'query' || exports.defaultMode(type) === 'query';
+};
+
+/**
+ * Returns the response parameters of `location`, a redirect to `redirectURI` in any response mode, leaving out
+ * the query parameters already part of the redirect URI.
+ *
+ * @param {String} redirectURI
+ * @param {String} location
+ * @return {Object}
+ * @api public
+ */
+exports.responseParams = function (redirectURI, location) {
+  var base = url.parse(redirectURI, true).query;
+  var parsed = url.parse(location, true);
+  var params = {};
+  Object.keys(parsed.query).forEach(function (name) {
+    if (base[name] !== parsed.query[name]) {
+      params[name] = parsed.query[name];
+    }
+  });
+  var hash = querystring.parse((parsed.hash || '').replace(/^#/, ''));
+  Object.keys(hash).forEach(function (name) {
+    params[name] = hash[name];
+  });
+  return params;
+};
+
+/**
+ * Returns the location redirecting `params` to `redirectURI` in the 'query' or 'fragment' response mode.
+ *
+ * @param {String} redirectURI
+ * @param {Object} params
+ * @param {String} mode
+ * @return {String}
+ * @api public
+ */
+exports.format = function (redirectURI, params, mode) {
+  var parsed = url.parse(redirectURI, true);
+  delete parsed.search;
+  if (mode === 'fragment') {
+    parsed.hash = querystring.stringify(params);
+  } else {
+    Object.keys(params).forEach(function (name) {
+      parsed.query[name] = params[name];
+    });
+  }
+  return url.format(parsed);
+};
@@ -0,0 +1,62 @@
+/**
+ * User codes of the OAuth 2.0 Device Authorization Grant.
+ * Users type these on a second device, so they are short, case insensitive and drawn from consonants only
+ * to avoid ambiguous characters and spelling words.
+ *
+ * See http://tools.ietf.org/html/rfc8628#section-6.1
+ */
+'use strict';
+
+var crypto = require('crypto');
+
+var CHARS = 'BCDFGHJKLMNPQRSTVWXZ';
+
+/**
+ * The number of characters of a user code, displayed as two groups separated by a dash
+ */
+exports.length = 8;
+
+/**
+ * Generate a random user code, 20^8 possible values.
+ *
+ * @return {String} The normalized code, see format() to display it
+ * @api public
+ */
+exports.generate = function () {
+  var bytes = crypto.randomBytes(exports.length);
+  var code = '';
+  for (var i = 0; i < exports.length; i++) {
+    code += CHARS[bytes[i] % CHARS.length];
+  }
+  return code;
+};
+
+/**
+ * Normalize a user code as typed by the user: ignores case, dashes and spaces.
+ *
+ * @param {String} value
+ * @return {String} The normalized code, or null when `value` can't be a user code
+ * @api public
+ */
+exports.normalize = function (value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  var code = value.toUpperCase().replace(/[\s\-]/g, '');
+  if (code.length !== exports.length || !new RegExp('^[' + CHARS + ']+$').test(code)) {
+    return null;
+  }
+  return code;
+};
+
+/**
+ * Format a normalized user code for display, i.e. 'WDJB-MJHT'.
+ *
+ * @param {String} code
+ * @return {String}
+ * @api public
+ */
+exports.format = function (code) {
+  var half = exports.length / 2;
+  return code.slice(0, half) + '-' + code.slice(half);
+};
@@ -9,6 +9,16 @@
  * userID The user ID (required)
  * clientID The client ID (required)
  * scope The scope (optional)
+ * createdDate When the token was issued
+ * refreshTokenID The RefreshToken this token was issued with or refreshed from, revoked together (optional)
+ * cnf The confirmation of the key the token is bound to, e.g. { 'x5t#S256': certificate thumbprint } (optional)
+ * jwt When set `token` is the `jti` of a JWT access token, see config/jwt-access-token.js, and is never accepted as
+ *     an opaque token (optional)
+ * audience The audiences the token is restricted to: the resources asked for, see http://tools.ietf.org/html/rfc8707,
+ *     or the audiences of a token exchange. Without any the token is unrestricted and its audience is the client it
+ *     was issued to (optional)
+ * act The delegation chain of a token obtained by token exchange: the actor, and in its own `act` any prior actor,
+ *     see http://tools.ietf.org/html/rfc8693#section-4.1 (optional)
  */
 'use strict';
 
@@ -27,7 +37,13 @@ var AccessTokenSchema = new Schema({
   userID: String, // Schema.Types.ObjectId,
   expirationDate: Date, // TODO: consider mongoDB TTL index here
   clientID: String, // Schema.Types.ObjectId,
-  scope: [String]
+  scope: [String],
+  createdDate: { type: Date, default: Date.now },
+  refreshTokenID: String, // Schema.Types.ObjectId
+  cnf: Schema.Types.Mixed,
+  jwt: Boolean,
+  audience: [String],
+  act: Schema.Types.Mixed
 });
 
 /**
@@ -37,28 +53,58 @@ AccessTokenSchema.statics = {
   /**
    * Syntactic sugar for new AccessToken({ params }).save(done).
    * Primarily useful for keeping parity with OAuth2orizeRecipes.
+   * Optional `options` may include the `refreshTokenID` the token was minted from, the `cnf` it is bound to,
+   * `jwt` when recording a JWT access token, the `audience` it is restricted to and the `act` of an exchanged token.
    */
-  saveToken: function (token, expirationDate, userID, clientID, scope, done) {
+  saveToken: function (token, expirationDate, userID, clientID, scope, options, done) {
+    if (typeof options === 'function') {
+      done = options;
+      options = {};
+    }
     new this({
       token: token,
       expirationDate: expirationDate,
       userID: userID,
       clientID: clientID,
-      scope: scope
+      scope: scope,
+      refreshTokenID: options.refreshTokenID,
+      cnf: options.cnf,
+      jwt: options.jwt,
+      audience: options.audience,
+      act: options.act
     }).save(done);
   },
   /**
-   * Syntactic sugar for finding a token by token value.
+   * Syntactic sugar for finding an opaque token by token value.
    * Also hides the token itself from the result.
+   * The records of JWT access tokens are left out: their `jti` is no bearer token, see findJwtToken().
    */
   findToken: function (key, done) {
-    this.findOne({ token: key }, '-token', done);
+    this.findOne({ token: key, jwt: { $ne: true } }, '-token', done);
   },
   /**
-   * Syntactic sugar for deleting a token by token value.
+   * Find the record of a verified JWT access token by its `jti`, see config/jwt-access-token.js.
+   */
+  findJwtToken: function (jti, done) {
+    this.findOne({ token: jti, jwt: true }, '-token', done);
+  },
+  /**
+   * Syntactic sugar for deleting an opaque token by token value.
    */
   deleteToken: function (key, done) {
-    this.remove({ token: key }, done);
+    this.remove({ token: key, jwt: { $ne: true } }, done);
+  },
+  /**
+   * Deletes every access token issued with or refreshed from the given refresh token, or array of refresh tokens.
+   */
+  deleteByRefreshToken: function (refreshTokenID, done) {
+    this.remove({ refreshTokenID: Array.isArray(refreshTokenID) ? { $in: refreshTokenID } : refreshTokenID }, done);
+  },
+  /**
+   * Deletes every access token the client holds for the user.
+   */
+  deleteByUserAndClient: function (userID, clientID, done) {
+    this.remove({ userID: userID, clientID: clientID }, done);
   },
   /**
    * Removes expired access tokens.  It does this by looping through them all
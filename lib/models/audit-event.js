@@ -0,0 +1,54 @@
+/**
+ * Security relevant events, kept for later investigation.
+ *
+ * event The kind of event, for example 'refresh_token_reuse' (required)
+ * userID The user affected, if any (optional)
+ * clientID The client involved, if any (optional)
+ * details Anything else worth recording about the event (optional)
+ * createdDate When the event happened
+ */
+'use strict';
+
+var mongoose = require('mongoose'),
+  Schema = mongoose.Schema;
+
+/**
+ * Schema
+ */
+var AuditEventSchema = new Schema({
+  event: {
+    type: String,
+    required: true
+  },
+  userID: String, // Schema.Types.ObjectId,
+  clientID: String, // Schema.Types.ObjectId,
+  details: Schema.Types.Mixed,
+  createdDate: { type: Date, default: Date.now }
+});
+
+/**
+ * Statics
+ */
+AuditEventSchema.statics = {
+  /**
+   * Records an event, also writing it to the console.
+   * `fields` may include userID, clientID and details. `done` is optional, failures are logged.
+   */
+  record: function (event, fields, done) {
+    console.warn('Audit event=' + event + ' clientID=' + fields.clientID + ' userID=' + fields.userID);
+    new this({
+      event: event,
+      userID: fields.userID,
+      clientID: fields.clientID,
+      details: fields.details
+    }).save(function (err) {
+      if (err) {
+        console.error('Error recording audit event ' + event);
+      }
+      if (done) { done(err); }
+    });
+  }
+};
+
+var AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
+require('../config/models').model('AuditEvent', AuditEvent);
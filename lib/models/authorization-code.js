@@ -9,6 +9,14 @@
  * userID The user ID (required)
  * redirectURI The redirect URI of where to send access tokens once exchanged (required)
  * scope The scope (optional)
+ * nonce The OpenID Connect nonce to be returned in the id_token (optional)
+ * authTime The time in seconds the user authenticated, returned in the id_token (optional)
+ * sessionID The `sid` of the user's session, returned in the id_token for logout, see config/logout.js (optional)
+ * codeChallenge The PKCE code_challenge the code_verifier must match when exchanging the code (optional)
+ * codeChallengeMethod The PKCE code_challenge_method, 'S256' or 'plain' (optional)
+ * resource The resource URIs the tokens are restricted to, see http://tools.ietf.org/html/rfc8707 (optional)
+ * proxies The pgtUrl of every service the user's authentication was proxied through, the most recent first.
+ * Only CAS proxy tickets have proxies, see config/cas-proxy.js (optional)
  */
 'use strict';
 
@@ -28,7 +36,14 @@ var AuthorizationCodeSchema = new Schema({
   userID: String, // Schema.Types.ObjectId,
   clientID: String, // Schema.Types.ObjectId,
   scope: [String],
-  redirectURI: String
+  redirectURI: String,
+  nonce: String,
+  authTime: Number,
+  sessionID: String,
+  codeChallenge: String,
+  codeChallengeMethod: String,
+  resource: [String],
+  proxies: [String]
 });
 
 /**
@@ -38,14 +53,28 @@ AuthorizationCodeSchema.statics = {
   /**
    * Syntactic sugar for new AuthorizationCode({ params }).save(done).
    * Primarily useful for keeping parity with OAuth2orizeRecipes.
+   * Optional `options` may include the OpenID Connect `nonce`, `authTime` and `sessionID`,
+   * the PKCE `codeChallenge` and `codeChallengeMethod`, the `resource` the tokens are restricted to, and the
+   * `proxies` of a CAS proxy ticket.
    */
-  saveCode: function (code, clientID, redirectURI, userID, scope, done) {
+  saveCode: function (code, clientID, redirectURI, userID, scope, options, done) {
+    if (typeof options === 'function') {
+      done = options;
+      options = {};
+    }
     new this({
       code: code,
       userID: userID,
       clientID: clientID,
       scope: scope,
-      redirectURI: redirectURI
+      redirectURI: redirectURI,
+      nonce: options.nonce,
+      authTime: options.authTime,
+      sessionID: options.sessionID,
+      codeChallenge: options.codeChallenge,
+      codeChallengeMethod: options.codeChallengeMethod,
+      resource: options.resource,
+      proxies: options.proxies
     }).save(done);
   },
   /**
@@ -6,17 +6,68 @@
  * name: (The name of your client application)
  * clientId: (A unique id of your client application)
  * clientSecret: (A unique password(ish) secret that is _best not_ shared with anyone but your client
- *     application and the authorization server.
+ *     application and the authorization server. Only a salted hash is stored, in `secret`, except for clients
+ *     using client_secret_jwt whose assertions can only be verified with the secret itself. Secrets stored as is by
+ *     earlier versions are hashed at startup (config/migrations.js).
+ *
+ * Client secrets are rotated without downtime: rotateSecret() adds a `nextSecret` accepted alongside the current
+ * `secret` until the current one expires, then promoteSecret() makes it the current secret.
  *
  * Optionally you can set these properties which are
  * trustedClient: (default if missing is false).  If this is set to true then the client is regarded as a
  *     trusted client and not a 3rd party application.  That means that the user will not be presented with
  *     a decision dialog with the trusted application and that the trusted application gets full scope access
  *     without the user having to make a decision to allow or disallow the scope access.
- * redirectUri: (default if missing is accept any redirectURI). When set the OAuth client's redirectURI must
- *     begin with the given string. WARNING: It is highly recommended this be non-NULL.
+ * redirectUris: (default if empty is accept no redirectURI). The OAuth client's redirectURI must exactly match one
+ *     of the given URIs, or a loopback pattern such as 'http://127.0.0.1:*' plus a path for native apps, see
+ *     helpers/redirect-uri.js. Clients stored with a single `redirectUri` are migrated, see config/migrations.js.
+ * grantTypes: (default if empty is any grant type). The grant types this client may use at the token endpoint, and
+ *     'implicit' for access tokens returned by the authorization endpoint. Registered clients always have some, see
+ *     controllers/registration.js.
  * allowedScopes: (default if missing is ['*'] full access). Access tokens granted to this client are restricted
  *     to the scopes listed in this array.
+ * introspectAudiences: (default if missing is none). When this client is a resource server it may introspect tokens
+ *     issued to the clients (audiences) listed in this array, or to any client if it contains '*'. A client may
+ *     always introspect the tokens issued to itself.
+ * resources: (default if missing is none). The resource URIs this client may ask for tokens restricted to with the
+ *     `resource` parameter, see http://tools.ietf.org/html/rfc8707. Tokens asked for without one are unrestricted.
+ * postLogoutRedirectUris: (default if missing is none). The URIs the client may ask the user to be sent back to
+ *     after logging out with the `post_logout_redirect_uri` parameter, matched exactly, see controllers/session.js.
+ * frontchannelLogoutUri: (optional). Loaded in an iframe by the logout page with the `iss` and `sid` of the
+ *     session that ended, see config/logout.js.
+ * backchannelLogoutUri: (optional). Posted a signed logout token when a session the client took part in ends,
+ *     see config/logout.js.
+ * responseModes: (default if missing is none). The response modes this client may ask for with the `response_mode`
+ *     parameter besides the default one of the response type, 'fragment' or 'form_post' for instance, see
+ *     helpers/response-mode.js.
+ * tokenExchangeAudiences: (default if missing is none). The audiences this client may exchange the tokens it may
+ *     introspect into, or any audience if it contains '*', see http://tools.ietf.org/html/rfc8693. An audience is
+ *     the clientId of a resource server, or the URI of a resource.
+ * publicClient: (default if missing is false). Set for installed and browser applications which can't keep their
+ *     clientSecret confidential. Such clients must use PKCE (code_challenge) with the authorization code grant.
+ * logoUri, policyUri, contacts: (optional). Shown to users when the client asks for their consent.
+ * tokenEndpointAuthMethod: (default if missing is 'client_secret_basic'). How the client authenticates to the
+ *     token endpoint, one of Client.tokenEndpointAuthMethods.
+ * jwks, jwksUri: (required for private_key_jwt and self_signed_tls_client_auth). The JSON Web Key Set the client
+ *     signs its assertions with, or whose key its self-signed certificate has, registered inline or published at an
+ *     HTTPS URL, see config/client-jwks.js.
+ * tlsClientAuthSubjectDn, tlsClientAuthSanDns: (one is required for tls_client_auth). The subject distinguished name
+ *     or a DNS subject alternative name of the CA issued certificate the client authenticates with.
+ * tlsClientCertificateBoundAccessTokens: (default if missing is false). When set, access tokens are bound to the
+ *     client certificate the client presents when obtaining them even if it authenticates otherwise. Tokens of
+ *     clients authenticating with their certificate are always bound.
+ * accessTokenFormat: (default if missing is 'opaque'). One of Client.accessTokenFormats: 'opaque' access tokens are
+ *     looked up on every use, 'jwt' access tokens are signed JWTs resource servers verify with our published keys,
+ *     see config/jwt-access-token.js.
+ * proxyCallbackUris: (default if missing is none). The HTTPS URLs this client may be called back at with proxy-granting
+ *     tickets as a CAS service, the `pgtUrl` it validates tickets with must be one of them, see config/cas-proxy.js.
+ * casAttributes: (default if missing is none). The user attributes released to this client as a CAS service by the
+ *     CAS 3.0 validation, any of Client.casAttributeNames: 'email', 'name', 'groups' and 'role'.
+ * requirePushedAuthorizationRequests: (default if missing is false). When set, the client must push its
+ *     authorization requests to /oauth2/par and send the user to the authorization endpoint with the request_uri it
+ *     was given, see http://tools.ietf.org/html/rfc9126.
+ * registrationAccessToken: (set for dynamically registered clients only). Hash of the token the client uses to
+ *     read, update and delete its own registration, see controllers/registration.js.
  *
  * More on client scopes:
  *   Scopes are dimension of authorization similar to User.role but applied to client access tokens.  Typically
@@ -37,12 +88,78 @@
  *     'login' - Grants ability to login to the remote website including sharing your username
  *     'profile' - Grants access to read your full public profile
  *     'account' - Grants access to update your public and private account details
+ *     'admin' - Grants access to the admin APIs, such as client secret rotation, when the user is an admin
  */
 'use strict';
 
-var mongoose = require('mongoose'),
+var crypto = require('crypto'),
+  mongoose = require('mongoose'),
+  redirectUri = require('../helpers/redirect-uri'),
+  responseMode = require('../helpers/response-mode'),
   Schema = mongoose.Schema;
 
+/**
+ * The user attributes CAS services may be released, see casAttributes
+ */
+var CAS_ATTRIBUTE_NAMES = ['email', 'name', 'groups', 'role'];
+
+/**
+ * Hash a registration access token, only the hash is stored
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Hash a client secret with `salt`, same as User.encryptPassword()
+ */
+function encryptSecret(secret, salt) {
+  return crypto.pbkdf2Sync(secret, new Buffer(salt, 'base64'), 10000, 64, 'sha1').toString('base64');
+}
+
+/**
+ * Compare strings in constant time, so the time taken doesn't reveal how much of a secret was guessed
+ */
+function constantTimeEquals(a, b) {
+  /* jshint bitwise: false */
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  var diff = 0;
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Build the stored form of a new client secret
+ */
+function hashSecret(secret) {
+  var salt = crypto.randomBytes(16).toString('base64');
+  return {
+    hash: encryptSecret(secret, salt),
+    salt: salt,
+    key: secret, // dropped on save unless the client uses client_secret_jwt
+    createdDate: new Date(),
+    expirationDate: undefined
+  };
+}
+
+/**
+ * The stored form of no secret
+ */
+function noSecret() {
+  return { hash: undefined, salt: undefined, key: undefined, createdDate: undefined, expirationDate: undefined };
+}
+
+/**
+ * Describe a stored secret without its hash
+ */
+function describeSecret(secret) {
+  return secret && secret.hash ? { createdDate: secret.createdDate, expirationDate: secret.expirationDate } : null;
+}
+
 /**
  * Client Schema
  */
@@ -53,28 +170,124 @@ var ClientSchema = new Schema({
     unique: true,
     required: true
   },
-  clientSecret: String,
-  redirectUri: String,
+  secret: { hash: String, salt: String, key: String, createdDate: Date, expirationDate: Date },
+  nextSecret: { hash: String, salt: String, key: String, createdDate: Date, expirationDate: Date },
+  redirectUris: { type: [String], index: true },
+  grantTypes: [String],
   allowedScopes: { type: [String], default: ['*'] },
-  trustedClient: Boolean
+  trustedClient: Boolean,
+  publicClient: Boolean,
+  introspectAudiences: [String],
+  tokenExchangeAudiences: [String],
+  resources: [String],
+  responseModes: [String],
+  postLogoutRedirectUris: [String],
+  frontchannelLogoutUri: String,
+  backchannelLogoutUri: String,
+  logoUri: String,
+  policyUri: String,
+  contacts: [String],
+  tokenEndpointAuthMethod: { type: String, default: 'client_secret_basic' },
+  jwks: Schema.Types.Mixed,
+  jwksUri: String,
+  tlsClientAuthSubjectDn: String,
+  tlsClientAuthSanDns: String,
+  tlsClientCertificateBoundAccessTokens: Boolean,
+  accessTokenFormat: { type: String, default: 'opaque' },
+  casAttributes: [String],
+  proxyCallbackUris: [String],
+  requirePushedAuthorizationRequests: Boolean,
+  registrationAccessToken: String,
+  createdDate: { type: Date, default: Date.now }
+});
+
+/**
+ * Virtuals
+ */
+ClientSchema
+  .virtual('clientSecret')
+  .set(function (secret) {
+    this._clientSecret = secret;
+    this.secret = hashSecret(secret);
+    this.nextSecret = noSecret();
+  })
+  .get(function () {
+    return this._clientSecret;
+  });
+
+/**
+ * Pre-save hook
+ */
+ClientSchema.pre('save', function (next) {
+  // only keep the secret itself when client_secret_jwt assertions must be verified with it
+  if (this.tokenEndpointAuthMethod !== 'client_secret_jwt') {
+    this.secret.key = undefined;
+    this.nextSecret.key = undefined;
+  }
+  next();
 });
 
 /**
  * Statics
  */
 ClientSchema.statics = {
+  /**
+   * The token_endpoint_auth_method values we support
+   */
+  tokenEndpointAuthMethods: ['client_secret_basic', 'client_secret_post', 'client_secret_jwt', 'private_key_jwt',
+    'tls_client_auth', 'self_signed_tls_client_auth'],
+  /**
+   * The token_endpoint_auth_method values authenticating with the client secret
+   */
+  secretAuthMethods: ['client_secret_basic', 'client_secret_post', 'client_secret_jwt'],
+  /**
+   * The token_endpoint_auth_method values authenticating with a TLS client certificate
+   */
+  certificateAuthMethods: ['tls_client_auth', 'self_signed_tls_client_auth'],
+  /**
+   * The token_endpoint_auth_method values authenticating with a signed JWT, and the signing algorithms they accept
+   */
+  assertionAlgorithms: { 'client_secret_jwt': ['HS256'], 'private_key_jwt': ['RS256'] },
+  /**
+   * The formats of access tokens we issue, see accessTokenFormat
+   */
+  accessTokenFormats: ['opaque', 'jwt'],
+  /**
+   * The names valid in casAttributes
+   */
+  casAttributeNames: CAS_ATTRIBUTE_NAMES,
   /**
    * Returns a client if it finds one, otherwise returns
    * null if a client is not found.
+   * Only clients which registered redirectURI in their redirectUris are found, and which may be CAS services: allowed
+   * the 'login' scope, or every scope with '*'. A redirectURI several clients registered identifies none of them,
+   * see isRedirectUriTaken().
    * @param redirectURI The unique redirectURI/serviceID id of the client to find
    * @param done The function to call next
    * @returns The client if found, otherwise returns null
    */
   findByRedirectUri: function (redirectURI, done) {
-    this.findOne({
-      redirectUri: { $exists: true },
-      $where: '"' + redirectURI + '".lastIndexOf(this.redirectUri, 0) == 0' // "starts with"
-    }, done);
+    this.find({
+      redirectUris: { $in: redirectUri.candidates(redirectURI) },
+      allowedScopes: { $in: ['login', '*'] }
+    }).limit(2).exec(function (err, clients) {
+      if (err) {
+        return done(err);
+      }
+      return done(null, clients.length === 1 ? clients[0] : null);
+    });
+  },
+  /**
+   * Calls done(err, taken) with whether a client other than the one with id `clientID` registered one of
+   * `redirectUris`. No two clients may share a redirect URI, as it identifies the CAS service it belongs to.
+   */
+  isRedirectUriTaken: function (redirectUris, clientID, done) {
+    if (!redirectUris.length) {
+      return done(null, false);
+    }
+    this.findOne({ redirectUris: { $in: redirectUris }, _id: { $ne: clientID } }, '_id', function (err, other) {
+      return done(err, !!other);
+    });
   },
   /**
    * Helper to test if at least one of the required scopes have been granted
@@ -149,6 +362,166 @@ ClientSchema.methods = {
    */
   hasAllowedScopes: function hasAllowedScopes(required) {
     return this.model('Client').hasAllScopes(required, this.allowedScopes || ['*']);
+  },
+  /**
+   * Helper to test if the redirectURI sent by this client is registered.
+   * See redirectUris for details.
+   */
+  hasRedirectUri: function (redirectURI) {
+    return redirectUri.matches(this.redirectUris, redirectURI);
+  },
+  /**
+   * Helper to test if this client, acting as a resource server, may introspect tokens for `audience`, or for any
+   * of an array of audiences.
+   * See introspectAudiences for details.
+   */
+  mayIntrospect: function (audience) {
+    var self = this;
+    if (Array.isArray(audience)) {
+      return audience.some(function (aud) { return self.mayIntrospect(aud); });
+    }
+    var audiences = this.introspectAudiences || [];
+    return audience === this.clientId || audiences.indexOf('*') !== -1 || audiences.indexOf(audience) !== -1;
+  },
+  /**
+   * Helper to test if the user may be sent back to `uri` after logging out at this client's request.
+   * See postLogoutRedirectUris for details.
+   */
+  hasPostLogoutRedirectUri: function (uri) {
+    return (this.postLogoutRedirectUris || []).indexOf(uri) !== -1;
+  },
+  /**
+   * Helper to test if this client, as a CAS service, may be delivered proxy-granting tickets at `pgtUrl`.
+   * See proxyCallbackUris for details.
+   */
+  hasProxyCallbackUri: function (pgtUrl) {
+    return (this.proxyCallbackUris || []).indexOf(pgtUrl) !== -1;
+  },
+  /**
+   * Returns the attributes of `user` released to this client as a CAS service, leaving out those the user lacks.
+   * See casAttributes for details.
+   */
+  releaseCasAttributes: function (user) {
+    var attributes = {};
+    (this.casAttributes || []).forEach(function (name) {
+      var value = user[name];
+      if (CAS_ATTRIBUTE_NAMES.indexOf(name) === -1 || value === undefined || value === null) {
+        return;
+      }
+      if (Array.isArray(value)) {
+        value = [].concat(value); // a plain copy of the mongoose array
+        if (!value.length) {
+          return;
+        }
+      }
+      attributes[name] = value;
+    });
+    return attributes;
+  },
+  /**
+   * Helper to test if this client may ask for tokens restricted to every one of `resources`.
+   * See resources for details.
+   */
+  mayRequestResources: function (resources) {
+    var registered = this.resources || [];
+    return resources.every(function (resource) { return registered.indexOf(resource) !== -1; });
+  },
+  /**
+   * Helper to test if this client may use the grant type `grantType`, e.g. 'authorization_code' or 'implicit'.
+   * See grantTypes for details.
+   */
+  allowsGrantType: function (grantType) {
+    return !this.grantTypes || !this.grantTypes.length || this.grantTypes.indexOf(grantType) !== -1;
+  },
+  /**
+   * Helper to test if this client may have the response to an authorization request of the response_type `type`
+   * returned in the response `mode`. See responseModes for details.
+   */
+  allowsResponseMode: function (mode, type) {
+    return mode === responseMode.defaultMode(type) || (this.responseModes || []).indexOf(mode) !== -1;
+  },
+  /**
+   * Helper to test if this client may exchange tokens for tokens addressed to `audience`.
+   * See tokenExchangeAudiences for details.
+   */
+  mayExchangeInto: function (audience) {
+    var audiences = this.tokenExchangeAudiences || [];
+    return audiences.indexOf('*') !== -1 || audiences.indexOf(audience) !== -1;
+  },
+  /**
+   * Authenticate - check `secret` is the current or next client secret, and hasn't expired.
+   */
+  authenticateSecret: function (secret) {
+    if (typeof secret !== 'string') {
+      return false;
+    }
+    var now = new Date();
+    return [this.secret, this.nextSecret].filter(function (stored) {
+      return stored.hash && (!stored.expirationDate || stored.expirationDate > now) &&
+        constantTimeEquals(encryptSecret(secret, stored.salt), stored.hash);
+    }).length > 0;
+  },
+  /**
+   * Set the next client secret. The current secret keeps working for `gracePeriod` seconds, or until it
+   * expires if that's sooner, leaving the client time to switch over. Replaces any next secret not yet promoted.
+   *
+   * @param {String} secret The next secret, only its hash is stored
+   * @param {Number} gracePeriod
+   */
+  rotateSecret: function (secret, gracePeriod) {
+    var expirationDate = new Date(Date.now() + gracePeriod * 1000);
+    if (this.secret.hash && (!this.secret.expirationDate || this.secret.expirationDate > expirationDate)) {
+      this.secret.expirationDate = expirationDate;
+    }
+    this.nextSecret = hashSecret(secret);
+  },
+  /**
+   * Make the next client secret the current one, retiring the current secret.
+   *
+   * @return {Boolean} False when there is no next secret
+   */
+  promoteSecret: function () {
+    if (!this.nextSecret.hash) {
+      return false;
+    }
+    this.secret = {
+      hash: this.nextSecret.hash,
+      salt: this.nextSecret.salt,
+      key: this.nextSecret.key,
+      createdDate: this.nextSecret.createdDate,
+      expirationDate: this.nextSecret.expirationDate
+    };
+    this.nextSecret = noSecret();
+    return true;
+  },
+  /**
+   * Returns the unexpired current and next secrets to verify client_secret_jwt assertions with
+   */
+  secretKeys: function () {
+    var now = new Date();
+    return [this.secret, this.nextSecret].filter(function (stored) {
+      return stored.key && (!stored.expirationDate || stored.expirationDate > now);
+    }).map(function (stored) {
+      return stored.key;
+    });
+  },
+  /**
+   * Describe the current and next secrets without their hashes.
+   */
+  describeSecrets: function () {
+    return { current: describeSecret(this.secret), next: describeSecret(this.nextSecret) };
+  },
+  /**
+   * Set the registration access token of a dynamically registered client.
+   */
+  setRegistrationAccessToken: function (token) {
+    this.registrationAccessToken = hashToken(token);
+  },
+  /**
+   * Helper to test if `token` is this client's registration access token.
+   */
+  hasRegistrationAccessToken: function (token) {
+    return !!this.registrationAccessToken && !!token && this.registrationAccessToken === hashToken(token);
   }
 };
 
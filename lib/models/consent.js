@@ -0,0 +1,80 @@
+/**
+ * The scopes a user has consented to grant a client.
+ * Lets untrusted clients skip the decision dialog when the user already agreed to everything they ask for.
+ *
+ * userID The user ID (required)
+ * clientID The client ID (required)
+ * scope The scopes granted so far, accumulated over every decision
+ * createdDate When the user first consented
+ * updatedDate When the user last consented to additional scopes
+ */
+'use strict';
+
+var mongoose = require('mongoose'),
+  Schema = mongoose.Schema;
+
+/**
+ * Schema
+ */
+var ConsentSchema = new Schema({
+  userID: {
+    type: String, // Schema.Types.ObjectId,
+    required: true
+  },
+  clientID: {
+    type: String, // Schema.Types.ObjectId,
+    required: true
+  },
+  scope: [String],
+  createdDate: { type: Date, default: Date.now },
+  updatedDate: { type: Date, default: Date.now }
+});
+
+ConsentSchema.index({ userID: 1, clientID: 1 }, { unique: true });
+
+/**
+ * Statics
+ */
+ConsentSchema.statics = {
+  /**
+   * Returns the user's consent for the client, or null if they never consented.
+   */
+  findConsent: function (userID, clientID, done) {
+    this.findOne({ userID: userID, clientID: clientID }, done);
+  },
+  /**
+   * Adds `scope` to the user's consent for the client, creating it if needed.
+   */
+  grant: function (userID, clientID, scope, done) {
+    var Consent = this;
+    this.findOne({ userID: userID, clientID: clientID }, function (err, consent) {
+      if (err) { return done(err); }
+      if (!consent) {
+        return Consent.create({ userID: userID, clientID: clientID, scope: scope }, done);
+      }
+      consent.scope.addToSet.apply(consent.scope, scope || []);
+      consent.updatedDate = new Date();
+      consent.save(done);
+    });
+  },
+  /**
+   * Syntactic sugar for deleting the user's consent for the client.
+   */
+  deleteConsent: function (userID, clientID, done) {
+    this.remove({ userID: userID, clientID: clientID }, done);
+  },
+  /**
+   * Returns the scopes in `requested` not already covered by `consent`, which may be null.
+   * Uses the same rules as Client.hasAllScopes().
+   */
+  missingScopes: function (consent, requested) {
+    var Client = require('../config/models').model('Client');
+    var granted = (consent && consent.scope) || [];
+    return (requested || []).filter(function (scope) {
+      return !Client.hasAllScopes(scope, granted);
+    });
+  }
+};
+
+var Consent = mongoose.model('Consent', ConsentSchema);
+require('../config/models').model('Consent', Consent);
@@ -0,0 +1,131 @@
+/**
+ * The device codes of the OAuth 2.0 Device Authorization Grant
+ * (http://tools.ietf.org/html/rfc8628)
+ *
+ * A device without a browser obtains a device code and a user code. The user enters the user code on the
+ * /device page of another device and approves or denies the request, while the device polls the token endpoint
+ * with its device code until the request is decided or expires.
+ *
+ * deviceCode The device code (required)
+ * userCode The normalized user code, see helpers/user-code (required)
+ * clientID The client ID (required)
+ * scope The requested scope, replaced by the approved scope once approved (optional)
+ * expirationDate When the codes expire (required)
+ * interval The minimum time in seconds between polls, increased each time the device polls too fast
+ * lastPolledDate When the device last polled the token endpoint (optional)
+ * status 'pending', 'approved' or 'denied'
+ * userID The user ID who approved the request (optional)
+ * authTime The time in seconds the user authenticated, returned in the id_token (optional)
+ */
+'use strict';
+
+
+var mongoose = require('mongoose'),
+  Schema = mongoose.Schema;
+
+/**
+ * Schema
+ */
+var DeviceCodeSchema = new Schema({
+  deviceCode: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  userCode: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  clientID: String, // Schema.Types.ObjectId,
+  scope: [String],
+  expirationDate: Date,
+  interval: Number,
+  lastPolledDate: Date,
+  status: { type: String, default: 'pending', enum: ['pending', 'approved', 'denied'] },
+  userID: String, // Schema.Types.ObjectId,
+  authTime: Number
+});
+
+/**
+ * Statics
+ */
+DeviceCodeSchema.statics = {
+  /**
+   * Syntactic sugar for new DeviceCode({ params }).save(done).
+   */
+  saveCode: function (deviceCode, userCode, clientID, scope, expirationDate, interval, done) {
+    new this({
+      deviceCode: deviceCode,
+      userCode: userCode,
+      clientID: clientID,
+      scope: scope,
+      expirationDate: expirationDate,
+      interval: interval
+    }).save(done);
+  },
+  /**
+   * Find the pending, unexpired request a user code was issued for.
+   * Hides the device code from the result.
+   */
+  findPending: function (userCode, done) {
+    this.findOne({
+      userCode: userCode,
+      status: 'pending',
+      expirationDate: { $gt: new Date() }
+    }, '-deviceCode', done);
+  },
+  /**
+   * Record a poll of the token endpoint by the device.
+   * Returns the code as it was before this poll, so its `lastPolledDate` is when the device polled previously.
+   */
+  poll: function (deviceCode, done) {
+    this.findOneAndUpdate({ deviceCode: deviceCode }, { lastPolledDate: new Date() }, { new: false }, done);
+  },
+  /**
+   * The device polled too fast: make it wait 5 more seconds between polls from now on.
+   * See http://tools.ietf.org/html/rfc8628#section-3.5
+   */
+  slowDown: function (deviceCode, done) {
+    this.update({ deviceCode: deviceCode }, { $inc: { interval: 5 } }, done);
+  },
+  /**
+   * Record the user's decision on a pending request.
+   * Returns null when the request was already decided or has expired.
+   *
+   * @param userCode The normalized user code
+   * @param clientID The client the user code was issued to
+   * @param userID The user deciding
+   * @param allow True when the user approved the request
+   * @param ares The approved `scope` and the user's `authTime`
+   * @param done fn(err, deviceCode)
+   */
+  decide: function (userCode, clientID, userID, allow, ares, done) {
+    var update = { status: allow ? 'approved' : 'denied', userID: userID };
+    if (allow) {
+      update.scope = ares.scope;
+      update.authTime = ares.authTime;
+    }
+    this.findOneAndUpdate({
+      userCode: userCode,
+      clientID: clientID,
+      status: 'pending',
+      expirationDate: { $gt: new Date() }
+    }, update, done);
+  },
+  /**
+   * Syntactic sugar for deleting a code by device code value.
+   */
+  deleteCode: function (deviceCode, done) {
+    this.remove({ deviceCode: deviceCode }, done);
+  },
+  /**
+   * Remove the expired codes
+   */
+  removeExpired: function (done) {
+    this.remove({ expirationDate: { $lt: new Date() } }, done);
+  }
+};
+
+var DeviceCode = mongoose.model('DeviceCode', DeviceCodeSchema);
+require('../config/models').model('DeviceCode', DeviceCode);
@@ -0,0 +1,73 @@
+/**
+ * The proxy-granting tickets of the CAS protocol
+ * (https://apereo.github.io/cas/development/protocol/CAS-Protocol-Specification.html#35-proxy-granting-ticket)
+ *
+ * A service validating a ticket with a `pgtUrl` is granted a proxy-granting ticket, which it presents to /cas/proxy
+ * to obtain proxy tickets for back-end services on the user's behalf, see config/cas-proxy.js
+ *
+ * ticket The proxy-granting ticket, without its PGT- prefix (required)
+ * userID The user ID (required)
+ * clientID The client ID of the service it was granted to (required)
+ * proxies The pgtUrl of every service the user's authentication was proxied through, the most recent first
+ * expirationDate When the ticket expires (required)
+ */
+'use strict';
+
+
+var mongoose = require('mongoose'),
+  Schema = mongoose.Schema;
+
+/**
+ * Schema
+ */
+var ProxyGrantingTicketSchema = new Schema({
+  ticket: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  userID: String, // Schema.Types.ObjectId,
+  clientID: String, // Schema.Types.ObjectId,
+  proxies: [String],
+  expirationDate: Date
+});
+
+/**
+ * Statics
+ */
+ProxyGrantingTicketSchema.statics = {
+  /**
+   * Syntactic sugar for new ProxyGrantingTicket({ params }).save(done).
+   */
+  saveTicket: function (ticket, userID, clientID, proxies, expirationDate, done) {
+    new this({
+      ticket: ticket,
+      userID: userID,
+      clientID: clientID,
+      proxies: proxies,
+      expirationDate: expirationDate
+    }).save(done);
+  },
+  /**
+   * Find an unexpired ticket by ticket value.
+   * Also hides the ticket itself from the result.
+   */
+  findTicket: function (ticket, done) {
+    this.findOne({ ticket: ticket, expirationDate: { $gt: new Date() } }, '-ticket', done);
+  },
+  /**
+   * Syntactic sugar for deleting a ticket by ticket value.
+   */
+  deleteTicket: function (ticket, done) {
+    this.remove({ ticket: ticket }, done);
+  },
+  /**
+   * Remove the expired tickets
+   */
+  removeExpired: function (done) {
+    this.remove({ expirationDate: { $lt: new Date() } }, done);
+  }
+};
+
+var ProxyGrantingTicket = mongoose.model('ProxyGrantingTicket', ProxyGrantingTicketSchema);
+require('../config/models').model('ProxyGrantingTicket', ProxyGrantingTicket);
@@ -0,0 +1,65 @@
+/**
+ * The authorization requests clients pushed to the pushed authorization request endpoint
+ * (http://tools.ietf.org/html/rfc9126)
+ *
+ * The client posts the parameters of an authorization request directly, authenticating as at the token endpoint,
+ * and is given a `request_uri` to send the user to the authorization endpoint with instead of the parameters.
+ * A request_uri may only be used once.
+ *
+ * requestUri The request_uri (required)
+ * clientID The client ID (required)
+ * params The parameters of the authorization request, including the `client_id` (required)
+ * expirationDate When the request_uri expires (required)
+ */
+'use strict';
+
+
+var mongoose = require('mongoose'),
+  Schema = mongoose.Schema;
+
+/**
+ * Schema
+ */
+var PushedRequestSchema = new Schema({
+  requestUri: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  clientID: String, // Schema.Types.ObjectId,
+  params: Schema.Types.Mixed,
+  expirationDate: Date
+});
+
+/**
+ * Statics
+ */
+PushedRequestSchema.statics = {
+  /**
+   * Syntactic sugar for new PushedRequest({ params }).save(done).
+   */
+  saveRequest: function (requestUri, clientID, params, expirationDate, done) {
+    new this({
+      requestUri: requestUri,
+      clientID: clientID,
+      params: params,
+      expirationDate: expirationDate
+    }).save(done);
+  },
+  /**
+   * Find an unexpired request by its request_uri and delete it, so it is only used once.
+   * Returns null when there is no such request.
+   */
+  takeRequest: function (requestUri, done) {
+    this.findOneAndRemove({ requestUri: requestUri, expirationDate: { $gt: new Date() } }, done);
+  },
+  /**
+   * Remove the expired requests
+   */
+  removeExpired: function (done) {
+    this.remove({ expirationDate: { $lt: new Date() } }, done);
+  }
+};
+
+var PushedRequest = mongoose.model('PushedRequest', PushedRequestSchema);
+require('../config/models').model('PushedRequest', PushedRequest);
@@ -4,10 +4,22 @@
  * in the RFC The OAuth 2.0 Authorization Framework: Bearer Token Usage
  * (http://tools.ietf.org/html/rfc6750)
  *
+ * Refresh tokens are rotated: each use issues a new refresh token and marks the old one rotated. All the refresh
+ * tokens descending from one grant form a family. Presenting a rotated token again means it leaked, so the
+ * whole family is revoked.
+ *
  * token The refresh token (required)
  * userID The user ID (required)
  * clientID The client ID (required)
  * scope The scope (optional)
+ * createdDate When the token was issued
+ * familyID The id of the first refresh token of the family, defaults to this token's own id
+ * familyExpirationDate When every token of the family expires regardless of use (optional)
+ * expirationDate When this token expires, the earlier of familyExpirationDate and the idle timeout (optional)
+ * rotatedDate When this token was exchanged for its successor, set once it may no longer be used (optional)
+ * resource The resource URIs the family's access tokens may be restricted to, see http://tools.ietf.org/html/rfc8707
+ *     (optional)
+ * cnf The confirmation of the DPoP key a public client's token is bound to, e.g. { jkt: key thumbprint } (optional)
  */
 'use strict';
 
@@ -25,7 +37,14 @@ var RefreshTokenSchema = new Schema({
   },
   userID: String, // Schema.Types.ObjectId,
   clientID: String, // Schema.Types.ObjectId,
-  scope: [String]
+  scope: [String],
+  createdDate: { type: Date, default: Date.now },
+  familyID: String, // Schema.Types.ObjectId
+  familyExpirationDate: Date,
+  expirationDate: Date,
+  rotatedDate: Date,
+  cnf: Schema.Types.Mixed,
+  resource: [String]
 });
 
 /**
@@ -35,14 +54,26 @@ RefreshTokenSchema.statics = {
   /**
    * Syntactic sugar for new RefreshToken({ params }).save(done).
    * Primarily useful for keeping parity with OAuth2orizeRecipes.
+   * Optional `options` may include the `familyID`, `familyExpirationDate`, `expirationDate`, `cnf` and `resource`.
+   * Without a `familyID` the token starts a new family.
    */
-  saveToken: function (token, userID, clientID, scope, done) {
-    new this({
+  saveToken: function (token, userID, clientID, scope, options, done) {
+    if (typeof options === 'function') {
+      done = options;
+      options = {};
+    }
+    var refreshToken = new this({
       token: token,
       userID: userID,
       clientID: clientID,
-      scope: scope
-    }).save(done);
+      scope: scope,
+      familyExpirationDate: options.familyExpirationDate,
+      expirationDate: options.expirationDate,
+      cnf: options.cnf,
+      resource: options.resource
+    });
+    refreshToken.familyID = options.familyID || refreshToken.id;
+    refreshToken.save(done);
   },
   /**
    * Syntactic sugar for finding a token by token value.
@@ -56,6 +87,44 @@ RefreshTokenSchema.statics = {
    */
   deleteToken: function (key, done) {
     this.remove({ token: key }, done);
+  },
+  /**
+   * Deletes every refresh token the client holds for the user.
+   */
+  deleteByUserAndClient: function (userID, clientID, done) {
+    this.remove({ userID: userID, clientID: clientID }, done);
+  },
+  /**
+   * Marks a token rotated so it can't be used again.
+   * Returns null if the token was already rotated, which can happen when two requests race to use it.
+   */
+  rotateToken: function (key, done) {
+    this.findOneAndUpdate({ token: key, rotatedDate: null }, { rotatedDate: new Date() }, { select: '-token' }, done);
+  },
+  /**
+   * Deletes every token of a family.
+   * @param done fn(err, ids) with the ids of the deleted tokens, for revoking their access tokens
+   */
+  deleteFamily: function (familyID, done) {
+    var self = this;
+    this.find({ familyID: familyID }, '_id', function (err, tokens) {
+      if (err) { return done(err); }
+      var ids = tokens.map(function (t) { return t.id; });
+      self.remove({ familyID: familyID }, function (err) {
+        done(err, ids);
+      });
+    });
+  },
+  /**
+   * Removes refresh tokens whose family has expired, and current tokens left idle too long.
+   * Rotated tokens are kept until their family expires so their reuse is still detected.
+   */
+  removeExpired: function (done) {
+    var now = new Date();
+    this.remove({ $or: [
+      { familyExpirationDate: { $lt: now } },
+      { rotatedDate: null, expirationDate: { $lt: now } }
+    ] }, done);
   }
 };
 
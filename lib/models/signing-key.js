@@ -0,0 +1,68 @@
+/**
+ * The keys used to sign the JWTs we issue (id_tokens).
+ * Persisted so tokens survive a restart and every node in the cluster signs with keys published in the JWKS.
+ *
+ * kid The key id, the JWK thumbprint of the public key (required)
+ * alg The JWS algorithm this key is used with (required)
+ * privateKey The PEM encoded private key (required)
+ * publicKey The PEM encoded public key (required)
+ * createdDate When the key was generated. A key only signs new tokens while it is younger than the rotation interval.
+ * expirationDate When the last token this key could have signed expires. Until then it is published in the JWKS.
+ */
+'use strict';
+
+var mongoose = require('mongoose'),
+  Schema = mongoose.Schema;
+
+/**
+ * Schema
+ */
+var SigningKeySchema = new Schema({
+  kid: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  alg: {
+    type: String,
+    required: true
+  },
+  privateKey: {
+    type: String,
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  createdDate: { type: Date, default: Date.now },
+  expirationDate: Date
+});
+
+/**
+ * Statics
+ */
+SigningKeySchema.statics = {
+  /**
+   * Returns the newest key created after `since`, or null if there isn't one.
+   */
+  findNewest: function (since, done) {
+    this.findOne({ createdDate: { $gt: since } }).sort('-createdDate').exec(done);
+  },
+  /**
+   * Returns every key that may still have signed an unexpired token, newest first.
+   * The private keys are not loaded.
+   */
+  findPublished: function (done) {
+    this.find({ expirationDate: { $gt: new Date() } }, '-privateKey').sort('-createdDate').exec(done);
+  },
+  /**
+   * Removes keys that no longer verify any unexpired token.
+   */
+  removeExpired: function (done) {
+    this.remove({ expirationDate: { $lt: new Date() } }, done);
+  }
+};
+
+var SigningKey = mongoose.model('SigningKey', SigningKeySchema);
+require('../config/models').model('SigningKey', SigningKey);
@@ -9,9 +9,12 @@ var api = require('./controllers/api'),
   index = require('./controllers'),
   users = require('./controllers/users'),
   personae = require('./controllers/personae'),
+  applications = require('./controllers/applications'),
   socialMessages = require('./controllers/social-messages'),
   session = require('./controllers/session'),
   tokens = require('./controllers/tokens'),
+  openid = require('./controllers/openid'),
+  registration = require('./controllers/registration'),
   clients = require('./controllers/clients');
 
 var securityPolicy = require('./config/security-policy');
@@ -46,6 +49,13 @@ module.exports = function(app) {
 
   app.options('/api2/clientinfo', securityPolicy.enforce('knownUserApi'));
   app.get('/api2/clientinfo',  securityPolicy.enforce('knownUserApi'), clients.info);
+
+  // client secret rotation for admins
+  app.options('/api2/clients/:clientId/secrets', securityPolicy.enforce('knownUserApi'));
+  app.get('/api2/clients/:clientId/secrets', securityPolicy.enforce({ policy: 'knownUserApi', role: 'admin', scope: 'admin' }), clients.secrets);
+  app.post('/api2/clients/:clientId/secrets', securityPolicy.enforce({ policy: 'knownUserApi', role: 'admin', scope: 'admin' }), clients.rotateSecret);
+  app.options('/api2/clients/:clientId/secrets/promote', securityPolicy.enforce('knownUserApi'));
+  app.post('/api2/clients/:clientId/secrets/promote', securityPolicy.enforce({ policy: 'knownUserApi', role: 'admin', scope: 'admin' }), clients.promoteSecret);
   app.options('/api2/me', securityPolicy.enforce('knownUserApi'));
   app.get('/api2/me', securityPolicy.enforce('knownUserApi'), users.me);
 
@@ -66,6 +76,11 @@ module.exports = function(app) {
   app.get('/api2/personae/:personaID', securityPolicy.enforce('knownUserApi'), personae.showPublic);
   app.get('/api2/personae', securityPolicy.enforce('knownUserApi'), personae.searchPublic);
 
+  app.options('/api2/me/applications', securityPolicy.corsPreflight);
+  app.options('/api2/me/applications/*', securityPolicy.corsPreflight);
+  app.get('/api2/me/applications', securityPolicy.enforce({ policy: 'knownUserApi', scope: 'account' }), applications.list);
+  app.delete('/api2/me/applications/:clientID', securityPolicy.enforce({ policy: 'knownUserApi', scope: 'account' }), applications.revoke);
+
   app.options('/api2/messages', securityPolicy.corsPreflight);
   app.options('/api2/messages/*', securityPolicy.corsPreflight);
   app.post('/api2/messages', securityPolicy.enforce('knownUserApi'), socialMessages.send);
@@ -125,16 +140,60 @@ module.exports = function(app) {
   // OAuth2orize Server routes
   //
 
-  app.get('/oauth2/authorize', securityPolicy.enforce('knownUserPage'), oauth2.authorization);
+  // the authorization endpoint sends the user to log in itself, honoring the OpenID Connect prompt and max_age
+  app.get('/oauth2/authorize', securityPolicy.enforce('anonUserPage'), oauth2.authorization);
   app.post('/oauth2/authorize/decision', securityPolicy.enforce('knownUserPage'), oauth2.decision);
   app.options('/oauth2/token', securityPolicy.enforce('loginUserApi'));
   app.post('/oauth2/token', securityPolicy.enforce('loginUserApi'), oauth2.token);
 
+  // OpenID Connect RP-initiated logout. See http://openid.net/specs/openid-connect-rpinitiated-1_0.html
+  // Clients post the logout form from their own pages, so it can't carry our CSRF token; without an id_token_hint
+  // the user confirms the logout on our page, which does.
+  app.get('/oauth2/logout', securityPolicy.enforce('anonUserPage'), session.endSession);
+  app.post('/oauth2/logout', securityPolicy.enforce({ policy: 'anonUserPage', csrf: false }), session.endSession);
+  app.post('/oauth2/logout/confirm', securityPolicy.enforce('anonUserPage'), session.confirmEndSession);
+
+  // OAuth 2.0 Pushed Authorization Requests. See http://tools.ietf.org/html/rfc9126
+  app.options('/oauth2/par', securityPolicy.enforce('loginUserApi'));
+  app.post('/oauth2/par', securityPolicy.enforce('loginUserApi'), oauth2.pushedAuthorization);
+
+  // OAuth 2.0 Device Authorization Grant. See http://tools.ietf.org/html/rfc8628
+  app.options('/oauth2/device_authorization', securityPolicy.enforce('loginUserApi'));
+  app.post('/oauth2/device_authorization', securityPolicy.enforce('loginUserApi'), oauth2.deviceAuthorization);
+  app.get('/device', securityPolicy.enforce('knownUserPage'), oauth2.devicePage);
+  app.post('/device', securityPolicy.enforce('knownUserPage'), oauth2.deviceDecision);
+
+  // OAuth 2.0 Dynamic Client Registration. See http://tools.ietf.org/html/rfc7591 and rfc7592
+  app.options('/oauth2/register', securityPolicy.enforce('loginUserApi'));
+  app.post('/oauth2/register', securityPolicy.enforce('loginUserApi'), registration.register);
+  app.options('/oauth2/register/:clientId', securityPolicy.enforce('loginUserApi'));
+  app.get('/oauth2/register/:clientId', securityPolicy.enforce('loginUserApi'), registration.load, registration.read);
+  app.put('/oauth2/register/:clientId', securityPolicy.enforce('loginUserApi'), registration.load, registration.update);
+  app.delete('/oauth2/register/:clientId', securityPolicy.enforce('loginUserApi'), registration.load,
+    registration.remove);
+
   // Mimicking google's token info endpoint from
   // https://developers.google.com/accounts/docs/OAuth2UserAgent#validatetoken
   app.options('/oauth2/tokeninfo', securityPolicy.enforce('anonUserApi'));
   app.get('/oauth2/tokeninfo', securityPolicy.enforce('anonUserApi'), tokens.info);
 
+  // OAuth 2.0 Token Introspection http://tools.ietf.org/html/rfc7662
+  app.options('/oauth2/introspect', securityPolicy.enforce('loginUserApi'));
+  app.post('/oauth2/introspect', securityPolicy.enforce('loginUserApi'), tokens.introspect);
+
+  // OAuth 2.0 Token Revocation http://tools.ietf.org/html/rfc7009
+  app.options('/oauth2/revoke', securityPolicy.enforce('loginUserApi'));
+  app.post('/oauth2/revoke', securityPolicy.enforce('loginUserApi'), tokens.revoke);
+
+  // OpenID Connect end points
+  app.options('/oauth2/userinfo', securityPolicy.enforce('knownUserApi'));
+  app.get('/oauth2/userinfo', securityPolicy.enforce({ policy: 'knownUserApi', scope: 'openid' }), openid.userinfo);
+  app.post('/oauth2/userinfo', securityPolicy.enforce({ policy: 'knownUserApi', scope: 'openid' }), openid.userinfo);
+  app.options('/oauth2/jwks', securityPolicy.enforce('anonUserApi'));
+  app.get('/oauth2/jwks', securityPolicy.enforce('anonUserApi'), openid.jwks);
+  app.options('/.well-known/openid-configuration', securityPolicy.enforce('anonUserApi'));
+  app.get('/.well-known/openid-configuration', securityPolicy.enforce('anonUserApi'), openid.configuration);
+
   // CAS OAuth emulation points
   app.get('/cas/oauth2.0/authorize', securityPolicy.enforce('knownUserPage'), oauth2.casAuthorization);
   app.options('/cas/oauth2.0/accessToken', securityPolicy.enforce('loginUserApi'));
@@ -146,13 +205,17 @@ module.exports = function(app) {
   app.get('/cas/login', securityPolicy.enforce('knownUserPageApi'), oauth2.casLogin);
   app.get('/cas/validate', securityPolicy.enforce('loginUserApi'), oauth2.casValidate);
   app.get('/cas/serviceValidate', securityPolicy.enforce('loginUserApi'), oauth2.casServiceValidate);
-  app.get('/cas/logout', securityPolicy.enforce('anonUserPage'), session.logoutPage); // no return url support
+  app.get('/cas/proxyValidate', securityPolicy.enforce('loginUserApi'), oauth2.casProxyValidate);
+  app.get('/cas/proxy', securityPolicy.enforce('loginUserApi'), oauth2.casProxy);
+  app.get('/cas/p3/serviceValidate', securityPolicy.enforce('loginUserApi'), oauth2.casP3ServiceValidate);
+  app.get('/cas/p3/proxyValidate', securityPolicy.enforce('loginUserApi'), oauth2.casP3ProxyValidate);
+  app.get('/cas/logout', securityPolicy.enforce('anonUserPage'), session.logoutPage);
 
   //
   // Single pages. Note: OAuth2 Server also has some single pages
   //
 
-  app.get('/logout', securityPolicy.enforce('anonUserPage'), session.logoutPage); // no return url support
+  app.get('/logout', securityPolicy.enforce('anonUserPage'), session.logoutPage);
 
   //
   // Some 'safe' routes for testing
@@ -18,6 +18,9 @@ require('./lib/config/redis-pubsub-emitter');
 // Bootstrap models
 require('./lib/config/models');
 
+// Migrate data stored by earlier versions
+require('./lib/config/migrations');
+
 // Populate empty DB with sample data
 require('./lib/config/dummydata');
 
@@ -15,20 +15,53 @@ exports.properties = {
   clientSecret: 'ssh-otherpassword',
   token: '/oauth2/token',
   authorization: '/oauth2/authorize',
+  decision: '/oauth2/authorize/decision',
   userinfo: '/api2/me',
   clientinfo: '/api2/clientinfo',
+  meApplications: '/api2/me/applications',
+  openidUserinfo: '/oauth2/userinfo',
+  openidConfiguration: '/.well-known/openid-configuration',
+  jwks: '/oauth2/jwks',
   logout: '/logout',
   primus: '/primus/?EIO=2&transport=polling&b64=1',
   untrustedClientId: 'xyz123',
+  untrustedClientSecret: 'ssh-password',
+  publicClientId: 'publicTrustedClient',
+  publicClientSecret: 'ssh-not-secret',
+  resourceServerId: 'resourceServer',
+  resourceServerSecret: 'ssh-resource',
+  gatewayClientId: 'apiGateway',
+  gatewayClientSecret: 'ssh-gateway',
+  resource: 'https://api.example.com/',
+  introspect: '/oauth2/introspect',
+  revoke: '/oauth2/revoke',
+  deviceAuthorization: '/oauth2/device_authorization',
+  par: '/oauth2/par',
+  device: '/device',
+  register: '/oauth2/register',
+  endSession: '/oauth2/logout',
+  endSessionConfirm: '/oauth2/logout/confirm',
+  registrationInitialAccessToken: 'ssh-register',
+  clientSecrets: '/api2/clients/:clientId/secrets',
+  adminUsername: 'admin',
+  adminPassword: 'admin',
+  certificateHeader: 'X-SSL-Client-Cert',
   //
   // CAS endpoints
   //
   redirect: 'http://localhost:9000/callback/', // this represents an endpoint on the client
   casClientId: 'cas456',
   casClientSecret: 'ssh-othersecret',
+  casService: 'http://127.0.0.1:9000/callback/', // registered by the trusted CAS client only
   casLogin: '/cas/login',
   casValidate: '/cas/validate',
   casServiceValidate: '/cas/serviceValidate',
+  casP3ServiceValidate: '/cas/p3/serviceValidate',
+  casProxyValidate: '/cas/proxyValidate',
+  casP3ProxyValidate: '/cas/p3/proxyValidate',
+  casProxy: '/cas/proxy',
+  casProxyCallback: 'https://localhost:9443/pgtCallback', // registered for the trusted CAS client
+  casBackEndService: 'http://localhost:9000/askcallback',
   casLogout: '/cas/logout',
   casOAuthAuthorization: '/cas/oauth2.0/authorize',
   casOAuthToken: '/cas/oauth2.0/accessToken',
@@ -91,10 +91,12 @@ exports.request = {
       serverAddress(properties.token), {
         form: {
           code: code,
-          'redirect_uri': properties.redirect,
+          'redirect_uri': options.redirect || properties.redirect,
           'client_id': options.clientId || properties.clientId,
           'client_secret': options.clientSecret || properties.clientSecret,
-          'grant_type': 'authorization_code'
+          'grant_type': 'authorization_code',
+          'code_verifier': options.codeVerifier,
+          resource: options.resource
         }
       }, next);
   },
@@ -119,25 +121,87 @@ exports.request = {
   },
   /**
    * Posts to the OAuth2 Authorization server the code to get the access token
-   * @param options For passing an optional scope, or client to use
+   * @param options For passing an optional scope, resource, or client to use, or DPoP proof to bind the token to
    * @param next Standard forward to the next function call
    */
   postOAuthClient: function (options, next) {
     var clientId = options.clientId || properties.clientId;
     var clientSecret = options.clientSecret || properties.clientSecret;
+    var headers = {
+      Authorization: 'Basic ' + new Buffer(clientId + ':' + clientSecret).toString('base64')
+    };
+    if (options.dpop) {
+      headers.DPoP = options.dpop;
+    }
     requestLib.post(
       serverAddress(properties.token), {
         form: {
           'grant_type': 'client_credentials',
           username: properties.username,
           password: properties.password,
-          scope: options.scope
+          scope: options.scope,
+          resource: options.resource
+        },
+        headers: headers
+      }, next);
+  },
+  /**
+   * Posts a client credentials grant authenticated with a JWT client assertion instead of a client secret
+   * @param assertion The signed client_assertion
+   * @param scope The optional scope to use
+   * @param next Standard forward to the next function call
+   */
+  postClientAssertion: function (assertion, scope, next) {
+    requestLib.post(
+      serverAddress(properties.token), {
+        form: {
+          'grant_type': 'client_credentials',
+          'client_assertion_type': 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+          'client_assertion': assertion,
+          scope: scope
+        }
+      }, next);
+  },
+  /**
+   * Posts a JWT bearer grant: a signed assertion about a user, for an access token for that user
+   * @param options The clientId and clientSecret to authenticate as
+   * @param assertion The signed assertion
+   * @param scope The optional scope to use
+   * @param next Standard forward to the next function call
+   */
+  postJwtBearer: function (options, assertion, scope, next) {
+    requestLib.post(
+      serverAddress(properties.token), {
+        form: {
+          'grant_type': 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+          assertion: assertion,
+          scope: scope
         },
         headers: {
-          Authorization: 'Basic ' + new Buffer(clientId + ':' + clientSecret).toString('base64')
+          Authorization: 'Basic ' + new Buffer(options.clientId + ':' + options.clientSecret).toString('base64')
         }
       }, next);
   },
+  /**
+   * Posts a client credentials grant authenticated with a TLS client certificate, forwarded as a proxy would
+   * @param clientId The client to authenticate as
+   * @param certificate The PEM client certificate
+   * @param scope The optional scope to use
+   * @param next Standard forward to the next function call
+   */
+  postClientCertificate: function (clientId, certificate, scope, next) {
+    var headers = {};
+    headers[properties.certificateHeader] = encodeURIComponent(certificate);
+    requestLib.post(
+      serverAddress(properties.token), {
+        form: {
+          'grant_type': 'client_credentials',
+          'client_id': clientId,
+          scope: scope
+        },
+        headers: headers
+      }, next);
+  },
   /**
    * Gets a new access token from the OAuth2 authorization server
    * @param refreshToken The refresh token to get the new access token from
@@ -155,6 +219,192 @@ exports.request = {
         }
       }, next);
   },
+  /**
+   * Introspects a token at the OAuth2 authorization server
+   * @param options For passing an optional tokenTypeHint, or client to authenticate as.
+   *   if options.noAuth the request is not authenticated
+   * @param token The access or refresh token to introspect
+   * @param next Standard forward to the next function call
+   */
+  postIntrospect: function (options, token, next) {
+    var clientId = options.clientId || properties.clientId;
+    var clientSecret = options.clientSecret || properties.clientSecret;
+    requestLib.post(
+      serverAddress(properties.introspect), {
+        form: {
+          token: token,
+          'token_type_hint': options.tokenTypeHint
+        },
+        headers: options.noAuth ? {} : {
+          Authorization: 'Basic ' + new Buffer(clientId + ':' + clientSecret).toString('base64')
+        }
+      }, next);
+  },
+  /**
+   * Revokes a token at the OAuth2 authorization server
+   * @param options For passing an optional tokenTypeHint, or client to authenticate as
+   * @param token The access or refresh token to revoke
+   * @param next Standard forward to the next function call
+   */
+  postRevoke: function (options, token, next) {
+    var clientId = options.clientId || properties.clientId;
+    var clientSecret = options.clientSecret || properties.clientSecret;
+    requestLib.post(
+      serverAddress(properties.revoke), {
+        form: {
+          token: token,
+          'token_type_hint': options.tokenTypeHint
+        },
+        headers: {
+          Authorization: 'Basic ' + new Buffer(clientId + ':' + clientSecret).toString('base64')
+        }
+      }, next);
+  },
+  /**
+   * Starts a device authorization, as a device without a browser would
+   * @param options if options.clientId and options.clientSecret the client to authenticate as, options.scope
+   * @param next Standard forward to the next function call
+   */
+  postDeviceAuthorization: function (options, next) {
+    var clientId = options.clientId || properties.clientId;
+    var clientSecret = options.clientSecret || properties.clientSecret;
+    requestLib.post(
+      serverAddress(properties.deviceAuthorization), {
+        form: {
+          scope: options.scope
+        },
+        headers: {
+          Authorization: 'Basic ' + new Buffer(clientId + ':' + clientSecret).toString('base64')
+        }
+      }, next);
+  },
+  /**
+   * Polls the token endpoint with a device code
+   * @param options if options.clientId and options.clientSecret the client to authenticate as
+   * @param deviceCode The device code
+   * @param next Standard forward to the next function call
+   */
+  postDeviceCode: function (options, deviceCode, next) {
+    var clientId = options.clientId || properties.clientId;
+    var clientSecret = options.clientSecret || properties.clientSecret;
+    requestLib.post(
+      serverAddress(properties.token), {
+        form: {
+          'grant_type': 'urn:ietf:params:oauth:grant-type:device_code',
+          'device_code': deviceCode
+        },
+        headers: {
+          Authorization: 'Basic ' + new Buffer(clientId + ':' + clientSecret).toString('base64')
+        }
+      }, next);
+  },
+  /**
+   * Exchanges a subject token for another token at the token endpoint
+   * @param options if options.clientId and options.clientSecret the client to authenticate as, otherwise the
+   *   gateway client. The other options are the form parameters, e.g. audience, scope and actor_token
+   * @param subjectToken The access token to exchange
+   * @param next Standard forward to the next function call
+   */
+  postTokenExchange: function (options, subjectToken, next) {
+    var clientId = options.clientId || properties.gatewayClientId;
+    var clientSecret = options.clientSecret || properties.gatewayClientSecret;
+    var form = {
+      'grant_type': 'urn:ietf:params:oauth:grant-type:token-exchange',
+      'subject_token': subjectToken,
+      'subject_token_type': 'urn:ietf:params:oauth:token-type:access_token'
+    };
+    Object.keys(options).forEach(function (name) {
+      if (name !== 'clientId' && name !== 'clientSecret') {
+        form[name] = options[name];
+      }
+    });
+    requestLib.post(
+      serverAddress(properties.token), {
+        form: form,
+        headers: {
+          Authorization: 'Basic ' + new Buffer(clientId + ':' + clientSecret).toString('base64')
+        }
+      }, next);
+  },
+  /**
+   * Gets the page where the user enters the code displayed by the device
+   * @param userCode The user code to prefill, may be undefined
+   * @param next Standard forward to the next function call
+   */
+  getDevice: function (userCode, next) {
+    requestLib.get({ url: serverAddress(properties.device), qs: { 'user_code': userCode } }, next);
+  },
+  /**
+   * Submits the user code displayed by the device
+   * @param userCode The user code
+   * @param next Standard forward to the next function call
+   */
+  postDevice: function (userCode, next) {
+    requestLib.post(serverAddress(properties.device), addXsrfHeader({ form: { 'user_code': userCode } }), next);
+  },
+  /**
+   * Registers a client
+   * @param token The initial access token, may be undefined
+   * @param metadata The client metadata
+   * @param next Standard forward to the next function call
+   */
+  postRegistration: function (token, metadata, next) {
+    requestLib.post({
+      url: serverAddress(properties.register),
+      json: metadata,
+      headers: token ? { Authorization: 'Bearer ' + token } : {}
+    }, next);
+  },
+  /**
+   * Reads, updates or deletes a client registration
+   * @param method 'get', 'put' or 'del'
+   * @param clientId The registered client
+   * @param token The registration access token
+   * @param metadata The client metadata to update, or undefined
+   * @param next Standard forward to the next function call
+   */
+  manageRegistration: function (method, clientId, token, metadata, next) {
+    requestLib[method]({
+      url: serverAddress(properties.register + '/' + clientId),
+      json: metadata || true,
+      headers: { Authorization: 'Bearer ' + token }
+    }, next);
+  },
+  /**
+   * Gets an access token with the `admin` scope for the admin user
+   * @param next Standard forward to the next function call
+   */
+  postAdminToken: function (next) {
+    requestLib.post(
+      serverAddress(properties.token), {
+        form: {
+          'grant_type': 'password',
+          username: properties.adminUsername,
+          password: properties.adminPassword,
+          scope: 'admin'
+        },
+        headers: {
+          Authorization: 'Basic ' + new Buffer(properties.clientId + ':' + properties.clientSecret).toString('base64')
+        }
+      }, next);
+  },
+  /**
+   * Calls the client secrets admin API
+   * @param method 'get' or 'post'
+   * @param clientId The client whose secrets to manage
+   * @param action undefined, or 'promote'
+   * @param token The admin access token
+   * @param body The optional JSON body
+   * @param next Standard forward to the next function call
+   */
+  manageClientSecrets: function (method, clientId, action, token, body, next) {
+    var path = properties.clientSecrets.replace(':clientId', clientId) + (action ? '/' + action : '');
+    requestLib[method]({
+      url: serverAddress(path),
+      json: body || true,
+      headers: { Authorization: 'Bearer ' + token }
+    }, next);
+  },
   /**
    * Gets the authorization code from the OAuth2 authorization server
    * @param options Options which if not set will be defaults
@@ -164,6 +414,13 @@ exports.request = {
      *  redirect: 'https://localhost:3000'
      *  responseType: 'code'
      *  scope: ''
+     *  nonce: undefined
+     *  codeChallenge: undefined
+     *  codeChallengeMethod: undefined
+     *  prompt: undefined
+     *  maxAge: undefined
+     *  loginHint: undefined
+     *  responseMode: undefined
      * }
    * @param next Standard forward to the next function call
    */
@@ -174,7 +431,98 @@ exports.request = {
     var client_id = (options && options.clientId) || properties.clientId;
     var scope = (options && options.scope) || '';
     var state = (options && options.state) || '';
-    requestLib.get(serverAddress(authorization + '?redirect_uri=' + redirect_uri + '&response_type=' + response_type + '&client_id=' + client_id + '&scope=' + scope + '&state=' + state), next);
+    var nonce = (options && options.nonce) ? '&nonce=' + options.nonce : '';
+    var pkce = (options && options.codeChallenge) ? '&code_challenge=' + options.codeChallenge : '';
+    pkce += (options && options.codeChallengeMethod) ? '&code_challenge_method=' + options.codeChallengeMethod : '';
+    var oidc = (options && options.prompt) ? '&prompt=' + encodeURIComponent(options.prompt) : '';
+    oidc += (options && options.maxAge !== undefined) ? '&max_age=' + options.maxAge : '';
+    oidc += (options && options.loginHint) ? '&login_hint=' + encodeURIComponent(options.loginHint) : '';
+    oidc += (options && options.responseMode) ? '&response_mode=' + options.responseMode : '';
+    requestLib.get(serverAddress(authorization + '?redirect_uri=' + redirect_uri + '&response_type=' + response_type + '&client_id=' + client_id + '&scope=' + scope + '&state=' + state + nonce + pkce + oidc), next);
+  },
+  /**
+   * Follows the redirectTo returned by the login API when the user logged in to resume an authorization request
+   * @param body The body of the login response
+   * @param next Standard forward to the next function call
+   */
+  resumeAfterLogin: function (body, next) {
+    requestLib.get(serverAddress(body.redirectTo), next);
+  },
+  /**
+   * Gets the authorization endpoint with the parameters of the request passed by reference
+   * @param query The query, the client_id with a request_uri or a signed request
+   * @param next Standard forward to the next function call
+   */
+  getAuthorizationByReference: function (query, next) {
+    requestLib.get({ url: serverAddress(properties.authorization), qs: query }, next);
+  },
+  /**
+   * Pushes the parameters of an authorization request to the pushed authorization request endpoint
+   * @param options if options.clientId and options.clientSecret the client to authenticate as, otherwise the
+   *   trusted client. The other options are the form parameters, e.g. redirect_uri, response_type and scope
+   * @param next Standard forward to the next function call
+   */
+  postPushedAuthorization: function (options, next) {
+    var clientId = options.clientId || properties.clientId;
+    var clientSecret = options.clientSecret || properties.clientSecret;
+    var form = {};
+    Object.keys(options).forEach(function (name) {
+      if (name !== 'clientId' && name !== 'clientSecret') {
+        form[name] = options[name];
+      }
+    });
+    requestLib.post(
+      serverAddress(properties.par), {
+        form: form,
+        headers: {
+          Authorization: 'Basic ' + new Buffer(clientId + ':' + clientSecret).toString('base64')
+        }
+      }, next);
+  },
+  /**
+   * Gets the OpenID Connect end_session_endpoint, without following its redirect
+   * @param query The query, e.g. id_token_hint, post_logout_redirect_uri and state
+   * @param next Standard forward to the next function call
+   */
+  getEndSession: function (query, next) {
+    requestLib.get({ url: serverAddress(properties.endSession), qs: query, followRedirect: false }, next);
+  },
+  /**
+   * Posts to the OpenID Connect end_session_endpoint as a client's page would, without our CSRF token
+   * @param form The form, e.g. client_id and post_logout_redirect_uri
+   * @param next Standard forward to the next function call
+   */
+  postEndSession: function (form, next) {
+    requestLib.post({ url: serverAddress(properties.endSession), form: form, followRedirect: false }, next);
+  },
+  /**
+   * Posts the user's confirmation from the logout confirmation page returned by getEndSession or postEndSession
+   * @param body The body of the confirmation page
+   * @param next Standard forward to the next function call
+   */
+  postEndSessionConfirmation: function (body, next) {
+    var form = {}, input = /<input name="([^"]*)" type="hidden" value="([^"]*)">/g, match;
+    while ((match = input.exec(body))) {
+      form[match[1]] = match[2].replace(/&amp;/g, '&');
+    }
+    delete form._csrf; // sent in the header
+    requestLib.post(addXsrfHeader({ url: serverAddress(properties.endSessionConfirm), form: form,
+      followRedirect: false }), next);
+  },
+  /**
+   * Posts the user's decision from the decision dialog returned by getAuthorization
+   * @param options if options.cancel the user denies the request
+   * @param body The body of the decision dialog
+   * @param next Standard forward to the next function call
+   */
+  postDecision: function (options, body, next) {
+    var form = {
+      'transaction_id': /name="transaction_id" type="hidden" value="([^"]*)"/.exec(body)[1]
+    };
+    if (options.cancel) {
+      form.cancel = 'Deny';
+    }
+    requestLib.post(serverAddress(properties.decision), addXsrfHeader({ form: form }), next);
   },
   /**
    * Gets the user info from the OAuth2 authorization server
@@ -193,14 +541,82 @@ exports.request = {
     };
     requestLib.get(params, next);
   },
+  /**
+   * Gets the OpenID Connect standard claims from the OAuth2 authorization server
+   * @param accessToken The access token to get the claims for
+   * @param next Standard forward to the next function call
+   */
+  getOpenidUserinfo: function (accessToken, next) {
+    requestLib.get({
+      url: serverAddress(properties.openidUserinfo),
+      headers: {
+        Authorization: 'Bearer ' + accessToken
+      }
+    }, next);
+  },
+  /**
+   * Gets an OpenID Connect discovery resource which needs no authentication, e.g. the provider configuration
+   * @param path The path of the resource
+   * @param next Standard forward to the next function call
+   */
+  getOpenidDiscovery: function (path, next) {
+    requestLib.get(serverAddress(path), next);
+  },
   /**
    * Gets the client info from the OAuth2 authorization server
    * @param accessToken The access token to get the client info from
    * @param next Standard forward to the next function call
+   * @param certificate The optional PEM client certificate to forward, as a proxy would
+   */
+  getClientInfo: function (accessToken, next, certificate) {
+    var headers = {
+      Authorization: 'Bearer ' + accessToken
+    };
+    if (certificate) {
+      headers[properties.certificateHeader] = encodeURIComponent(certificate);
+    }
+    requestLib.get({
+      url: serverAddress(properties.clientinfo),
+      headers: headers
+    }, next);
+  },
+  /**
+   * Gets the client info with a DPoP-bound access token
+   * @param accessToken The DPoP-bound access token
+   * @param proof The DPoP proof for the request
+   * @param next Standard forward to the next function call
    */
-  getClientInfo: function (accessToken, next) {
+  getClientInfoDPoP: function (accessToken, proof, next) {
     requestLib.get({
       url: serverAddress(properties.clientinfo),
+      headers: {
+        Authorization: 'DPoP ' + accessToken,
+        DPoP: proof
+      }
+    }, next);
+  },
+  /**
+   * Gets the applications connected to the user's account
+   * @param accessToken The access token of the user
+   * @param next Standard forward to the next function call
+   */
+  getMeApplications: function (accessToken, next) {
+    requestLib.get({
+      url: serverAddress(properties.meApplications),
+      headers: {
+        Authorization: 'Bearer ' + accessToken
+      }
+    }, next);
+  },
+  /**
+   * Disconnects an application from the user's account
+   * @param accessToken The access token of the user
+   * @param clientID The id of the application to disconnect
+   * @param next Standard forward to the next function call
+   */
+  deleteMeApplication: function (accessToken, clientID, next) {
+    requestLib.del({
+      url: serverAddress(properties.meApplications + '/' + clientID),
       headers: {
         Authorization: 'Bearer ' + accessToken
       }
@@ -212,21 +628,41 @@ exports.request = {
    * @param next
    */
   getCasLogin: function (options, next) {
-    var redirect_uri = (options && options.redirect) || properties.redirect;
+    var redirect_uri = (options && options.redirect) || properties.casService;
+    var method = (options && options.method) ? '&method=' + options.method : '';
     requestLib.get({
-      url: serverAddress(properties.casLogin + '?service=' + redirect_uri)
+      url: serverAddress(properties.casLogin + '?service=' + redirect_uri + method)
     }, next);
   },
   /**
    * Check the validity of the service ticket.
-   * @param options
+   * @param options options.version the CAS protocol version, '1.0', '2.0' (default) or '3.0', options.proxy to
+   *        validate proxy tickets, options.pgtUrl to ask for a proxy-granting ticket and options.format
    * @param next
    */
   getCasValidate: function (options, ticket, next) {
-    var endPoint = (options.version === '1.0') ? properties.casValidate : properties.casServiceValidate;
-    var redirect_uri = (options && options.redirect) || properties.redirect;
+    var endPoint = options.proxy ? {
+      '3.0': properties.casP3ProxyValidate
+    }[options.version] || properties.casProxyValidate : {
+      '1.0': properties.casValidate,
+      '3.0': properties.casP3ServiceValidate
+    }[options.version] || properties.casServiceValidate;
+    var redirect_uri = (options && options.redirect) || properties.casService;
+    var format = options.format ? '&format=' + options.format : '';
+    var pgtUrl = options.pgtUrl ? '&pgtUrl=' + encodeURIComponent(options.pgtUrl) : '';
+    requestLib.get({
+      url: serverAddress(endPoint + '?service=' + redirect_uri + '&ticket=' + ticket + format + pgtUrl)
+    }, next);
+  },
+  /**
+   * Get a proxy ticket for the targetService with the proxy-granting ticket
+   * @param pgt The proxy-granting ticket
+   * @param targetService
+   * @param next
+   */
+  getCasProxy: function (pgt, targetService, next) {
     requestLib.get({
-      url: serverAddress(endPoint + '?service=' + redirect_uri + '&ticket=' + ticket)
+      url: serverAddress(properties.casProxy + '?pgt=' + pgt + '&targetService=' + encodeURIComponent(targetService))
     }, next);
   },
   /**
@@ -234,7 +670,7 @@ exports.request = {
    */
   getCasOAuthAuthorization: function (options, next) {
     var authorization = (options && options.authorization) || properties.casOAuthAuthorization;
-    var redirect_uri = (options && options.redirect) || properties.redirect;
+    var redirect_uri = (options && options.redirect) || properties.casService;
     var client_id = (options && options.clientId) || properties.casClientId;
     requestLib.get(serverAddress(authorization + '?redirect_uri=' + redirect_uri + '&client_id=' + client_id), next);
   },
@@ -244,7 +680,7 @@ exports.request = {
    * @param next Standard forward to the next function call
    */
   casGetOAuthCode: function (options, code, next) {
-    var redirect_uri = (options && options.redirect) || properties.redirect;
+    var redirect_uri = (options && options.redirect) || properties.casService;
     var client_id = (options && options.clientId) || properties.casClientId;
     var client_secret = options.clientSecret || properties.casClientSecret;
     requestLib.get(
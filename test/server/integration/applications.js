@@ -0,0 +1,69 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for the applications connected to the user's account.
+ */
+describe('Connected Applications', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  var offline, account;
+  before(function (done) {
+    helper.logout(function () {
+      helper.postOAuthPassword('offline_access profile', function (error, response, body) {
+        offline = JSON.parse(body);
+        helper.postOAuthPassword('account', function (error, response, body) {
+          account = JSON.parse(body);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should list the clients holding tokens for the user', function (done) {
+    helper.getMeApplications(account.access_token, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      var app = JSON.parse(body).filter(function (a) {
+        return a.clientId === properties.clientId;
+      })[0];
+      assert.ok(app);
+      assert.equal(app.name, 'Samplr3');
+      assert.ok(app.accessTokens >= 2);
+      assert.ok(app.refreshTokens >= 1);
+      assert.ok(app.scope.indexOf('profile') !== -1);
+      assert.ok(app.issuedDate);
+      done();
+    });
+  });
+  it('should require the account scope', function (done) {
+    helper.getMeApplications(offline.access_token, function (error, response) {
+      assert.equal(response.statusCode, 403);
+      done();
+    });
+  });
+  it('should revoke every token the client holds for the user', function (done) {
+    helper.getMeApplications(account.access_token, function (error, response, body) {
+      var app = JSON.parse(body).filter(function (a) {
+        return a.clientId === properties.clientId;
+      })[0];
+      helper.deleteMeApplication(account.access_token, app.id, function (error, response) {
+        assert.equal(response.statusCode, 200);
+        helper.getUserInfo(offline.access_token, function (error, response) {
+          assert.equal(response.statusCode, 401);
+          helper.postRefeshToken(offline.refresh_token, function (error, response) {
+            assert.equal(response.statusCode, 403);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
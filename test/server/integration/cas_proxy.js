@@ -0,0 +1,192 @@
+'use strict';
+
+var assert = require('assert'),
+  https = require('https'),
+  url = require('url'),
+  forge = require('node-forge'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+var config = require('../../../lib/config/config');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for CAS proxying: proxy-granting tickets delivered to the pgtUrl of a service, proxy tickets issued with
+ * them for back-end services, and their validation.
+ * See https://apereo.github.io/cas/development/protocol/CAS-Protocol-Specification.html#254-proxy-callback
+ */
+describe('CAS proxy', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  // the proxy-granting tickets delivered to the pgtUrl, by PGTIOU
+  var delivered = {};
+  // the proxy callback URL the trusted CAS client registered, answering with an error while `failing`
+  var pgtUrl = properties.casProxyCallback;
+  var failing = false;
+  var callbackServer, callbackCa, trustedCa;
+  before(function (done) {
+    var keys = forge.pki.rsa.generateKeyPair(1024);
+    var cert = forge.pki.createCertificate();
+    cert.publicKey = keys.publicKey;
+    cert.serialNumber = '01';
+    cert.validity.notBefore = new Date();
+    cert.validity.notAfter = new Date(Date.now() + 24 * 3600 * 1000);
+    var attrs = [{ shortName: 'O', value: 'Example' }, { name: 'commonName', value: 'localhost' }];
+    cert.setSubject(attrs);
+    cert.setIssuer(attrs);
+    cert.setExtensions([{ name: 'subjectAltName', altNames: [{ type: 2, value: 'localhost' }] }]);
+    cert.sign(keys.privateKey, forge.md.sha256.create());
+    callbackCa = forge.pki.certificateToPem(cert);
+
+    callbackServer = https.createServer({ key: forge.pki.privateKeyToPem(keys.privateKey), cert: callbackCa },
+      function (req, res) {
+        var parsed = url.parse(req.url, true);
+        if (parsed.pathname !== url.parse(pgtUrl).pathname || failing) {
+          res.statusCode = 404;
+          return res.end();
+        }
+        if (parsed.query.pgtIou) {
+          delivered[parsed.query.pgtIou] = parsed.query.pgtId;
+        }
+        res.end();
+      });
+    callbackServer.listen(url.parse(pgtUrl).port, function () {
+      trustedCa = config.cas.proxyCallbackCa;
+      config.cas.proxyCallbackCa = callbackCa;
+      done();
+    });
+  });
+  after(function (done) {
+    config.cas.proxyCallbackCa = trustedCa;
+    callbackServer.close(function () {
+      done();
+    });
+  });
+
+  /**
+   * Logs in and returns a service ticket for the trusted CAS client
+   */
+  function casTicket(next) {
+    helper.login(function () {
+      helper.getCasLogin({}, function (error, response) {
+        assert.equal(response.req.path.indexOf('/?ticket='), 9);
+        next(response.req.path.slice(9 + 9, response.req.path.length));
+      });
+    });
+  }
+
+  /**
+   * Validates a service ticket asking for a proxy-granting ticket and returns the one delivered to the pgtUrl
+   */
+  function proxyGrantingTicket(next) {
+    casTicket(function (ticket) {
+      helper.getCasValidate({ version: '3.0', format: 'JSON', pgtUrl: pgtUrl }, ticket,
+        function (error, response, body) {
+          assert.equal(response.statusCode, 200);
+          var success = JSON.parse(body).serviceResponse.authenticationSuccess;
+          assert.equal(success.user, 'test');
+          assert.ok(/^PGTIOU-/.test(success.proxyGrantingTicket));
+          var pgt = delivered[success.proxyGrantingTicket];
+          assert.ok(/^PGT-/.test(pgt));
+          next(pgt);
+        });
+    });
+  }
+
+  it('should deliver a proxy-granting ticket to the pgtUrl', function (done) {
+    proxyGrantingTicket(function () {
+      done();
+    });
+  });
+  it('should issue a proxy ticket the back-end service validates with its proxies', function (done) {
+    proxyGrantingTicket(function (pgt) {
+      helper.getCasProxy(pgt, properties.casBackEndService, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        var match = /<cas:proxySuccess><cas:proxyTicket>(PT-[^<]+)<\/cas:proxyTicket><\/cas:proxySuccess>/.exec(body);
+        assert.ok(match);
+        helper.getCasValidate({ proxy: true, redirect: properties.casBackEndService }, match[1],
+          function (error, response, body) {
+            assert.equal(response.statusCode, 200);
+            assert.ok(body.indexOf('<cas:user>test</cas:user>') !== -1);
+            assert.ok(body.indexOf('<cas:proxies><cas:proxy>' + pgtUrl + '</cas:proxy></cas:proxies>') !== -1);
+            done();
+          });
+      });
+    });
+  });
+  it('should not accept a proxy ticket at serviceValidate', function (done) {
+    proxyGrantingTicket(function (pgt) {
+      helper.getCasProxy(pgt, properties.casBackEndService, function (error, response, body) {
+        var ticket = /(PT-[^<]+)/.exec(body)[1];
+        helper.getCasValidate({ redirect: properties.casBackEndService }, ticket, function (error, response, body) {
+          assert.equal(response.statusCode, 403);
+          assert.ok(body.indexOf('<cas:authenticationFailure code="INVALID_TICKET_SPEC">') !== -1);
+          done();
+        });
+      });
+    });
+  });
+  it('should not issue proxy tickets for unregistered services', function (done) {
+    proxyGrantingTicket(function (pgt) {
+      helper.getCasProxy(pgt, 'http://untrusted/callback/', function (error, response, body) {
+        assert.equal(response.statusCode, 403);
+        assert.ok(body.indexOf('<cas:proxyFailure code="UNAUTHORIZED_SERVICE">') !== -1);
+        done();
+      });
+    });
+  });
+  it('should not issue proxy tickets with an unknown proxy-granting ticket', function (done) {
+    helper.getCasProxy('PGT-tNrXiUCHoGDAJCyY', properties.casBackEndService, function (error, response, body) {
+      assert.equal(response.statusCode, 403);
+      assert.ok(body.indexOf('<cas:proxyFailure code="INVALID_TICKET">') !== -1);
+      done();
+    });
+  });
+  it('should refuse a pgtUrl which is not HTTPS', function (done) {
+    casTicket(function (ticket) {
+      helper.getCasValidate({ pgtUrl: 'http://localhost:9000/pgtCallback' }, ticket, function (error, response, body) {
+        assert.equal(response.statusCode, 400);
+        assert.ok(body.indexOf('<cas:authenticationFailure code="INVALID_PROXY_CALLBACK">') !== -1);
+        done();
+      });
+    });
+  });
+  it('should refuse a pgtUrl the service did not register', function (done) {
+    casTicket(function (ticket) {
+      helper.getCasValidate({ pgtUrl: pgtUrl.replace('pgtCallback', 'other') }, ticket,
+        function (error, response, body) {
+          assert.equal(response.statusCode, 400);
+          assert.ok(body.indexOf('<cas:authenticationFailure code="INVALID_PROXY_CALLBACK">') !== -1);
+          assert.equal(body.indexOf('<cas:proxyGrantingTicket>'), -1);
+          done();
+        });
+    });
+  });
+  it('should not grant a proxy-granting ticket when the pgtUrl fails', function (done) {
+    casTicket(function (ticket) {
+      failing = true;
+      helper.getCasValidate({ pgtUrl: pgtUrl }, ticket,
+        function (error, response, body) {
+          failing = false;
+          assert.equal(response.statusCode, 200);
+          assert.ok(body.indexOf('<cas:user>test</cas:user>') !== -1);
+          assert.equal(body.indexOf('<cas:proxyGrantingTicket>'), -1);
+          done();
+        });
+    });
+  });
+  it('should not trust a pgtUrl with an unknown certificate', function (done) {
+    config.cas.proxyCallbackCa = trustedCa; // only the well-known certificate authorities
+    casTicket(function (ticket) {
+      helper.getCasValidate({ pgtUrl: pgtUrl }, ticket, function (error, response, body) {
+        config.cas.proxyCallbackCa = callbackCa;
+        assert.equal(response.statusCode, 200);
+        assert.equal(body.indexOf('<cas:proxyGrantingTicket>'), -1);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+var jwt = require('../../../lib/helpers/jwt'),
+  jwk = require('../../../lib/helpers/jwk'),
+  config = require('../../../lib/config/config');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for client_secret_jwt and private_key_jwt client authentication.
+ * See http://openid.net/specs/openid-connect-core-1_0.html#ClientAuthentication
+ */
+describe('Client assertion authentication', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  var jtiCounter = 0;
+
+  /**
+   * Returns the claims of a client assertion by `clientId`, with `overrides` applied
+   */
+  function claims(clientId, overrides) {
+    var now = jwt.now();
+    var result = {
+      iss: clientId,
+      sub: clientId,
+      aud: config.rootUrl + properties.token,
+      jti: 'jti-' + now + '-' + (jtiCounter++),
+      iat: now,
+      exp: now + 60
+    };
+    Object.keys(overrides || {}).forEach(function (key) {
+      result[key] = overrides[key];
+    });
+    return result;
+  }
+
+  /**
+   * Registers a client with `metadata` for the client_credentials grant and returns the registration
+   */
+  function register(metadata, next) {
+    metadata.grant_types = ['client_credentials'];
+    helper.postRegistration(properties.registrationInitialAccessToken, metadata, function (error, response, body) {
+      assert.equal(response.statusCode, 201);
+      next(body);
+    });
+  }
+
+  /**
+   * Deletes a registered client
+   */
+  function unregister(registered, next) {
+    helper.manageRegistration('del', registered.client_id, registered.registration_access_token, undefined,
+      function () {
+        next();
+      });
+  }
+
+  describe('client_secret_jwt', function () {
+    var registered;
+    before(function (done) {
+      register({ scope: 'login', token_endpoint_auth_method: 'client_secret_jwt' }, function (body) {
+        registered = body;
+        done();
+      });
+    });
+    after(function (done) {
+      unregister(registered, done);
+    });
+
+    it('should issue tokens for an assertion signed with the client secret', function (done) {
+      var assertion = jwt.sign(claims(registered.client_id), registered.client_secret, { alg: 'HS256' });
+      helper.postClientAssertion(assertion, 'login', function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.ok(JSON.parse(body).access_token);
+        // the same assertion can't be used twice
+        helper.postClientAssertion(assertion, 'login', function (error, response) {
+          assert.equal(response.statusCode, 401);
+          done();
+        });
+      });
+    });
+    it('should reject assertions signed with another secret', function (done) {
+      var assertion = jwt.sign(claims(registered.client_id), 'not-the-secret', { alg: 'HS256' });
+      helper.postClientAssertion(assertion, 'login', function (error, response) {
+        assert.equal(response.statusCode, 401);
+        done();
+      });
+    });
+    it('should reject assertions for another audience', function (done) {
+      var assertion = jwt.sign(claims(registered.client_id, { aud: 'https://elsewhere.example.org/token' }),
+        registered.client_secret, { alg: 'HS256' });
+      helper.postClientAssertion(assertion, 'login', function (error, response) {
+        assert.equal(response.statusCode, 401);
+        done();
+      });
+    });
+    it('should reject long lived and expired assertions', function (done) {
+      var now = jwt.now();
+      var assertion = jwt.sign(claims(registered.client_id, { exp: now + 24 * 3600 }),
+        registered.client_secret, { alg: 'HS256' });
+      helper.postClientAssertion(assertion, 'login', function (error, response) {
+        assert.equal(response.statusCode, 401);
+        assertion = jwt.sign(claims(registered.client_id, { iat: now - 600, exp: now - 300 }),
+          registered.client_secret, { alg: 'HS256' });
+        helper.postClientAssertion(assertion, 'login', function (error, response) {
+          assert.equal(response.statusCode, 401);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('private_key_jwt', function () {
+    var registered, keys;
+    before(function (done) {
+      jwt.generateKeyPair(1024, function (err, pair) {
+        assert.ifError(err);
+        keys = pair;
+        var publicJwk = jwk.fromPem(pair.publicKey);
+        publicJwk.kid = 'test-key';
+        register({
+          scope: 'login',
+          token_endpoint_auth_method: 'private_key_jwt',
+          jwks: { keys: [publicJwk] }
+        }, function (body) {
+          assert.equal(body.client_secret, undefined);
+          registered = body;
+          done();
+        });
+      });
+    });
+    after(function (done) {
+      unregister(registered, done);
+    });
+
+    it('should issue tokens for an assertion signed with a registered key', function (done) {
+      var assertion = jwt.sign(claims(registered.client_id), keys.privateKey, { alg: 'RS256', kid: 'test-key' });
+      helper.postClientAssertion(assertion, 'login', function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.ok(JSON.parse(body).access_token);
+        done();
+      });
+    });
+    it('should reject assertions with an HMAC signature', function (done) {
+      var assertion = jwt.sign(claims(registered.client_id), keys.publicKey, { alg: 'HS256', kid: 'test-key' });
+      helper.postClientAssertion(assertion, 'login', function (error, response) {
+        assert.equal(response.statusCode, 401);
+        done();
+      });
+    });
+    it('should require a JWKS to register', function (done) {
+      helper.postRegistration(properties.registrationInitialAccessToken, {
+        token_endpoint_auth_method: 'private_key_jwt'
+      }, function (error, response, body) {
+        assert.equal(response.statusCode, 400);
+        assert.equal(body.error, 'invalid_client_metadata');
+        done();
+      });
+    });
+  });
+});
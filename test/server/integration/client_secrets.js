@@ -0,0 +1,111 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for rotating client secrets through the admin API.
+ * A freshly registered client is rotated so the dummy clients other tests use keep their secrets.
+ */
+describe('Client secret rotation', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  var registered, adminToken, nextSecret;
+
+  /**
+   * Checks whether the client can obtain tokens with `secret`
+   */
+  function validateSecret(secret, statusCode, next) {
+    helper.postOAuthClient({
+      clientId: registered.client_id,
+      clientSecret: secret,
+      scope: 'login'
+    }, function (error, response) {
+      assert.equal(response.statusCode, statusCode);
+      next();
+    });
+  }
+
+  before(function (done) {
+    helper.postRegistration(properties.registrationInitialAccessToken, {
+      client_name: 'Rotated Client',
+      scope: 'login',
+      grant_types: ['client_credentials']
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 201);
+      registered = body;
+      helper.postAdminToken(function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        adminToken = JSON.parse(body).access_token;
+        done();
+      });
+    });
+  });
+  after(function (done) {
+    helper.manageRegistration('del', registered.client_id, registered.registration_access_token, undefined,
+      function () {
+        done();
+      });
+  });
+
+  it('should only let admins manage secrets', function (done) {
+    helper.postOAuthPassword('admin', function (error, response, body) {
+      var token = JSON.parse(body).access_token;
+      helper.manageClientSecrets('get', registered.client_id, undefined, token, undefined, function (error, response) {
+        assert.equal(response.statusCode, 403);
+        done();
+      });
+    });
+  });
+  it('should describe the secrets without revealing them', function (done) {
+    helper.manageClientSecrets('get', registered.client_id, undefined, adminToken, undefined,
+      function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.ok(body.current.createdDate);
+        assert.equal(body.current.hash, undefined);
+        assert.equal(body.next, null);
+        done();
+      });
+  });
+  it('should accept both secrets during the grace period', function (done) {
+    helper.manageClientSecrets('post', registered.client_id, undefined, adminToken, { gracePeriod: 3600 },
+      function (error, response, body) {
+        assert.equal(response.statusCode, 201);
+        assert.ok(body.clientSecret);
+        assert.ok(body.secrets.current.expirationDate);
+        assert.ok(body.secrets.next.createdDate);
+        nextSecret = body.clientSecret;
+        validateSecret(registered.client_secret, 200, function () {
+          validateSecret(nextSecret, 200, done);
+        });
+      });
+  });
+  it('should only accept the next secret once promoted', function (done) {
+    helper.manageClientSecrets('post', registered.client_id, 'promote', adminToken, undefined,
+      function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.equal(body.next, null);
+        validateSecret(registered.client_secret, 401, function () {
+          validateSecret(nextSecret, 200, function () {
+            helper.manageClientSecrets('post', registered.client_id, 'promote', adminToken, undefined,
+              function (error, response) {
+                assert.equal(response.statusCode, 409);
+                done();
+              });
+          });
+        });
+      });
+  });
+  it('should answer 404 for an unknown client', function (done) {
+    helper.manageClientSecrets('get', 'unknownClient', undefined, adminToken, undefined, function (error, response) {
+      assert.equal(response.statusCode, 404);
+      done();
+    });
+  });
+});
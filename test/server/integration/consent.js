@@ -0,0 +1,105 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  querystring = require('querystring'),
+  helper = require('../common').request,
+  validate = require('../common').validate,
+  properties = require('../common').properties;
+
+var models = require('../../../lib/config/models'),
+  User = models.model('User'),
+  Consent = models.model('Consent'),
+  oauth2 = require('../../../lib/config/oauth2');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for remembering the user's consent to untrusted clients.
+ */
+describe('Consent', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  function clearConsents(done) {
+    Consent.remove(function () {
+      done();
+    });
+  }
+  before(clearConsents);
+  after(clearConsents); // other suites expect the decision dialog
+
+  /**
+   * Requests an implicit grant for the untrusted client
+   */
+  function authorize(scope, next) {
+    helper.getAuthorization({ responseType: 'token', clientId: properties.untrustedClientId, scope: scope }, next);
+  }
+
+  it('should ask for consent the first time', function (done) {
+    helper.login(function () {
+      authorize('login', function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.ok(body.indexOf('is requesting access to your account') !== -1);
+        helper.postDecision({}, body, function (error, response) {
+          assert.equal(response.statusCode, 302);
+          assert.ok(response.headers.location.indexOf('#access_token=') !== -1);
+          done();
+        });
+      });
+    });
+  });
+  it('should not ask again for scopes already granted', function (done) {
+    authorize('login', function (error, response) {
+      var params = querystring.parse(response.request.href.split('#')[1]);
+      assert.ok(params.access_token);
+      done();
+    });
+  });
+  it('should only ask for the additional scopes', function (done) {
+    authorize('login profile', function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.ok(body.indexOf('these additional permissions') !== -1);
+      assert.ok(body.indexOf('<code>profile</code>') !== -1);
+      assert.equal(body.indexOf('<code>login</code>'), -1);
+      done();
+    });
+  });
+  it('should not remember a denied request', function (done) {
+    authorize('profile', function (error, response, body) {
+      helper.postDecision({ cancel: true }, body, function (error, response) {
+        assert.ok(response.headers.location.indexOf('error=access_denied') !== -1);
+        authorize('profile', function (error, response) {
+          assert.equal(response.statusCode, 200);
+          done();
+        });
+      });
+    });
+  });
+  it('should revoke the client tokens with the consent', function (done) {
+    authorize('login', function (error, response) {
+      var params = querystring.parse(response.request.href.split('#')[1]);
+      helper.logout(function () {
+        helper.getClientInfo(params.access_token, function (error, response, body) {
+          validate.validateClientJson(response, body, { name: 'Samplr2', scope: ['login'] });
+          var client = JSON.parse(body);
+          User.findOne({ username: properties.username }, function (err, user) {
+            oauth2.revokeConsent(user.id, client.client_id, function (err) {
+              assert.ifError(err);
+              helper.getClientInfo(params.access_token, function (error, response) {
+                assert.equal(response.statusCode, 401);
+                helper.login(function () {
+                  authorize('login', function (error, response) {
+                    assert.equal(response.statusCode, 200); // asks again
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
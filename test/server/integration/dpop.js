@@ -0,0 +1,152 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  crypto = require('crypto'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+var models = require('../../../lib/config/models'),
+  AccessToken = models.model('AccessToken'),
+  config = require('../../../lib/config/config'),
+  jwt = require('../../../lib/helpers/jwt'),
+  jwk = require('../../../lib/helpers/jwk'),
+  dpop = require('../../../lib/config/dpop');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for DPoP-bound access tokens.
+ * See http://tools.ietf.org/html/rfc9449
+ */
+describe('DPoP', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  var keys, otherKeys;
+  before(function (done) {
+    jwt.generateKeyPair(1024, function (err, generated) {
+      assert.ifError(err);
+      keys = generated;
+      jwt.generateKeyPair(1024, function (err, generated) {
+        assert.ifError(err);
+        otherKeys = generated;
+        done();
+      });
+    });
+  });
+
+  /**
+   * Returns a DPoP proof signed with `pair` for a `method` request to `path`, with optional extra claims
+   */
+  function proof(pair, method, path, claims) {
+    var payload = {
+      htm: method,
+      htu: config.rootUrl + path,
+      iat: jwt.now(),
+      jti: crypto.randomBytes(16).toString('hex')
+    };
+    Object.keys(claims || {}).forEach(function (name) {
+      payload[name] = claims[name];
+    });
+    return jwt.sign(payload, pair.privateKey, { typ: 'dpop+jwt', jwk: jwk.fromPem(pair.publicKey) });
+  }
+
+  /**
+   * Gets an access token for the trusted client bound to `pair`
+   */
+  function boundToken(pair, next) {
+    helper.postOAuthClient({
+      scope: 'profile account',
+      dpop: proof(pair, 'POST', properties.token)
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      next(JSON.parse(body));
+    });
+  }
+
+  /**
+   * Returns a proof for the clientinfo request with `accessToken`
+   */
+  function clientInfoProof(pair, accessToken) {
+    return proof(pair, 'GET', properties.clientinfo, { ath: dpop.accessTokenHash(accessToken) });
+  }
+
+  it('should issue a DPoP token bound to the key of the proof', function (done) {
+    boundToken(keys, function (body) {
+      assert.equal(body.token_type, 'DPoP');
+      AccessToken.findToken(body.access_token, function (err, token) {
+        assert.ifError(err);
+        assert.equal(token.cnf.jkt, jwk.thumbprint(jwk.fromPem(keys.publicKey)));
+        done();
+      });
+    });
+  });
+  it('should accept the token with a proof of the key', function (done) {
+    boundToken(keys, function (body) {
+      helper.getClientInfoDPoP(body.access_token, clientInfoProof(keys, body.access_token),
+        function (error, response, info) {
+          assert.equal(response.statusCode, 200);
+          assert.equal(JSON.parse(info).client_id, properties.clientId);
+          done();
+        });
+    });
+  });
+  it('should not accept the token as a Bearer token', function (done) {
+    boundToken(keys, function (body) {
+      helper.getClientInfo(body.access_token, function (error, response) {
+        assert.equal(response.statusCode, 401);
+        done();
+      });
+    });
+  });
+  it('should not accept a proof of another key', function (done) {
+    boundToken(keys, function (body) {
+      helper.getClientInfoDPoP(body.access_token, clientInfoProof(otherKeys, body.access_token),
+        function (error, response) {
+          assert.equal(response.statusCode, 401);
+          assert.ok(/^DPoP /.test(response.headers['www-authenticate']));
+          done();
+        });
+    });
+  });
+  it('should not accept a proof for another request', function (done) {
+    boundToken(keys, function (body) {
+      var wrongMethod = proof(keys, 'POST', properties.clientinfo, { ath: dpop.accessTokenHash(body.access_token) });
+      helper.getClientInfoDPoP(body.access_token, wrongMethod, function (error, response) {
+        assert.equal(response.statusCode, 401);
+        done();
+      });
+    });
+  });
+  it('should not accept a proof twice', function (done) {
+    boundToken(keys, function (body) {
+      var once = clientInfoProof(keys, body.access_token);
+      helper.getClientInfoDPoP(body.access_token, once, function (error, response) {
+        assert.equal(response.statusCode, 200);
+        helper.getClientInfoDPoP(body.access_token, once, function (error, response) {
+          assert.equal(response.statusCode, 401);
+          done();
+        });
+      });
+    });
+  });
+  it('should reject an invalid proof at the token endpoint', function (done) {
+    helper.postOAuthClient({
+      scope: 'profile account',
+      dpop: proof(keys, 'GET', properties.token)
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(JSON.parse(body).error, 'invalid_dpop_proof');
+      done();
+    });
+  });
+  it('should keep issuing Bearer tokens without a proof', function (done) {
+    helper.postOAuthClient({ scope: 'profile account' }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.equal(JSON.parse(body).token_type, 'Bearer');
+      done();
+    });
+  });
+});
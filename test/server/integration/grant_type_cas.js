@@ -3,7 +3,8 @@
 
 var assert = require('assert'),
   helper = require('../common').request,
-  validate = require('../common').validate;
+  validate = require('../common').validate,
+  properties = require('../common').properties;
 
 var models = require('../../../lib/config/models'),
   AccessToken = models.model('AccessToken');
@@ -110,9 +111,75 @@ describe('Grant Type CAS', function () {
       );
     });
   });
+  /**
+   * Logs in and returns a service ticket for the trusted CAS client
+   */
+  function casTicket(next) {
+    helper.login(function () {
+      helper.getCasLogin({}, function (error, response) {
+        assert.equal(response.req.path.indexOf('/?ticket='), 9);
+        next(response.req.path.slice(9 + 9, response.req.path.length));
+      });
+    });
+  }
+  it('should release the service\'s attributes with CAS 3.0', function (done) {
+    casTicket(function (ticket) {
+      helper.getCasValidate({ version: '3.0' }, ticket, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['content-type'], 'application/xml; charset=utf-8');
+        assert.ok(body.indexOf('<cas:user>test</cas:user>') !== -1);
+        assert.ok(body.indexOf('<cas:attributes><cas:email>test@test.com</cas:email><cas:name>Test User</cas:name>' +
+          '<cas:groups>staff</cas:groups></cas:attributes>') !== -1);
+        // the service is not released the role
+        assert.equal(body.indexOf('<cas:role>'), -1);
+        done();
+      });
+    });
+  });
+  it('should answer CAS 3.0 validation in JSON', function (done) {
+    casTicket(function (ticket) {
+      helper.getCasValidate({ version: '3.0', format: 'JSON' }, ticket, function (error, response, body) {
+        var success = JSON.parse(body).serviceResponse.authenticationSuccess;
+        assert.equal(success.user, 'test');
+        assert.equal(success.attributes.email, 'test@test.com');
+        assert.deepEqual(success.attributes.groups, ['staff']);
+        done();
+      });
+    });
+  });
+  it('should answer CAS 2.0 validation in JSON without attributes', function (done) {
+    casTicket(function (ticket) {
+      helper.getCasValidate({ version: '2.0', format: 'JSON' }, ticket, function (error, response, body) {
+        var success = JSON.parse(body).serviceResponse.authenticationSuccess;
+        assert.equal(success.user, 'test');
+        assert.equal(success.attributes, undefined);
+        done();
+      });
+    });
+  });
+  it('should return INVALID_TICKET in JSON', function (done) {
+    helper.getCasValidate({ version: '3.0', format: 'JSON' }, 'ST-tNrXiUCHoGDAJCyY', function (error, response, body) {
+      assert.equal(response.statusCode, 403);
+      assert.equal(JSON.parse(body).serviceResponse.authenticationFailure.code, 'INVALID_TICKET');
+      done();
+    });
+  });
   // TODO: it should not return a ticket when login fails
   // TODO: it should recognize CAS logout endpoint the same as logout
   // TODO: it should restrict scope to 'login'
+  it('should give an error with a redirectUri extending a registered one', function (done) {
+    helper.login(
+      function (/*error, response, body*/) {
+        helper.getCasLogin({ redirect: properties.casService + 'elsewhere' },
+          function (error, response /*, body */) {
+            // registered redirect URIs are matched exactly
+            assert.equal(response.statusCode, 403);
+            done();
+          }
+        );
+      }
+    );
+  });
   it('should give an error with an unregistered redirectUri', function (done) {
     //Log into the OAuth2 server as bob
     helper.login(
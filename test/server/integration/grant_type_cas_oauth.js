@@ -115,7 +115,7 @@ describe('Grant Type CAS OAuth2', function () {
       function (/* error, response, body */) {
         //Get the OAuth2 authorization code
         helper.request.get(
-          helper.serverAddress(properties.casOAuthAuthorization + '?redirect_uri=' + properties.redirect),
+          helper.serverAddress(properties.casOAuthAuthorization + '?redirect_uri=' + properties.casService),
           function (error, response /*, body */) {
             //assert that we are getting an error code of 400
             assert.equal(response.statusCode, 400);
@@ -62,10 +62,10 @@ describe('Grant Type Authorization Code', function () {
                           validate.validateUserJson(response, body);
                           //Get another valid access token from the refresh token
                           helper.postRefeshToken(tokens.refresh_token, function (error, response, body) {
-                            validate.validateAccessToken(response, body);
-                            //Get another valid access token from the refresh token
-                            helper.postRefeshToken(tokens.refresh_token, function (error, response, body) {
-                              validate.validateAccessToken(response, body);
+                            validate.validateAccessRefreshToken(response, body);
+                            //Get another valid access token from the rotated refresh token
+                            helper.postRefeshToken(JSON.parse(body).refresh_token, function (error, response, body) {
+                              validate.validateAccessRefreshToken(response, body);
                               //Try to get the token again but we shouldn't be able to reuse the same code
                               helper.postOAuthCode({}, code,
                                 function (error, response, body) {
@@ -132,7 +132,8 @@ describe('Grant Type Authorization Code', function () {
         //Get the OAuth2 authorization code
         helper.getAuthorization({
             clientId: properties.casClientId,
-            scope: 'login'
+            scope: 'login',
+            redirect: properties.casService
           }, function (error, response /*, body */) {
             //Assert that we have the ?code in our URL
             assert.equal(response.req.path.indexOf('/?code='), 9);
@@ -141,7 +142,8 @@ describe('Grant Type Authorization Code', function () {
             //Get the token
             helper.postOAuthCode({
                 clientId: properties.casClientId,
-                clientSecret: properties.casClientSecret
+                clientSecret: properties.casClientSecret,
+                redirect: properties.casService
               }, code,
               function (error, response, body) {
                 validate.validateAccessToken(response, body);
@@ -170,6 +172,22 @@ describe('Grant Type Authorization Code', function () {
       }
     );
   });
+  it('should give an error with a redirectUri extending the registered one', function (done) {
+    helper.login(
+      function (/* error, response, body */) {
+        helper.getAuthorization({
+            clientId: properties.casClientId,
+            scope: 'login',
+            redirect: properties.casService + 'elsewhere'
+          }, function (error, response /* , body */) {
+            // registered redirect URIs are matched exactly
+            assert.equal(response.statusCode, 403);
+            done();
+          }
+        );
+      }
+    );
+  });
   it('should give an error with an invalid client id', function (done) {
     helper.login(
       function (/* error, response, body */) {
@@ -0,0 +1,140 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  validate = require('../common').validate,
+  properties = require('../common').properties;
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for the OAuth 2.0 Device Authorization Grant.
+ * See http://tools.ietf.org/html/rfc8628
+ */
+describe('Grant Type Device Code', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  /**
+   * Starts a device authorization and checks the codes were issued
+   */
+  function authorizeDevice(options, next) {
+    helper.postDeviceAuthorization(options, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      var json = JSON.parse(body);
+      assert.ok(json.device_code);
+      assert.ok(/^[A-Z]{4}-[A-Z]{4}$/.test(json.user_code));
+      assert.ok(json.verification_uri.indexOf(properties.device) !== -1);
+      assert.ok(json.verification_uri_complete.indexOf(json.user_code) !== -1);
+      assert.ok(json.expires_in > 0);
+      assert.ok(json.interval > 0);
+      next(json);
+    });
+  }
+
+  /**
+   * Checks the token endpoint answered with the polling error `code`
+   */
+  function validatePollError(response, body, code) {
+    assert.equal(response.statusCode, 400);
+    assert.equal(JSON.parse(body).error, code);
+  }
+
+  it('should issue tokens once a trusted client was approved', function (done) {
+    authorizeDevice({ scope: 'offline_access' }, function (json) {
+      helper.login(function () {
+        helper.getDevice(json.user_code, function (error, response, body) {
+          assert.equal(response.statusCode, 200);
+          assert.ok(body.indexOf('value="' + json.user_code + '"') !== -1);
+          helper.postDevice(json.user_code.toLowerCase(), function (error, response, body) {
+            assert.equal(response.statusCode, 200);
+            assert.ok(body.indexOf('now has access to your account') !== -1);
+            helper.postDeviceCode({}, json.device_code, function (error, response, body) {
+              validate.validateAccessRefreshToken(response, body);
+              // the device code can only be redeemed once
+              helper.postDeviceCode({}, json.device_code, function (error, response, body) {
+                assert.equal(response.statusCode, 403);
+                assert.equal(JSON.parse(body).error, 'invalid_grant');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+  it('should ask the device to keep polling, and to slow down when polling too fast', function (done) {
+    authorizeDevice({}, function (json) {
+      helper.postDeviceCode({}, json.device_code, function (error, response, body) {
+        validatePollError(response, body, 'authorization_pending');
+        helper.postDeviceCode({}, json.device_code, function (error, response, body) {
+          validatePollError(response, body, 'slow_down');
+          done();
+        });
+      });
+    });
+  });
+  it('should not let another client poll with the device code', function (done) {
+    authorizeDevice({}, function (json) {
+      helper.postDeviceCode({
+        clientId: properties.untrustedClientId,
+        clientSecret: properties.untrustedClientSecret
+      }, json.device_code, function (error, response, body) {
+        assert.equal(response.statusCode, 403);
+        assert.equal(JSON.parse(body).error, 'invalid_grant');
+        done();
+      });
+    });
+  });
+  it('should tell the device when the user denied the request', function (done) {
+    authorizeDevice({
+      clientId: properties.untrustedClientId,
+      clientSecret: properties.untrustedClientSecret
+    }, function (json) {
+      helper.login(function () {
+        helper.getDevice(undefined, function () {
+          helper.postDevice(json.user_code, function (error, response, body) {
+            assert.equal(response.statusCode, 200);
+            assert.ok(body.indexOf('is requesting access to your account') !== -1);
+            helper.postDecision({ cancel: true }, body, function (error, response, body) {
+              assert.equal(response.statusCode, 200);
+              assert.ok(body.indexOf('You denied the application') !== -1);
+              helper.postDeviceCode({
+                clientId: properties.untrustedClientId,
+                clientSecret: properties.untrustedClientSecret
+              }, json.device_code, function (error, response, body) {
+                validatePollError(response, body, 'access_denied');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+  it('should ask the user again for an unknown user code', function (done) {
+    helper.login(function () {
+      helper.getDevice(undefined, function () {
+        helper.postDevice('BCDF-GHJK', function (error, response, body) {
+          assert.equal(response.statusCode, 400);
+          assert.ok(body.indexOf('invalid or has expired') !== -1);
+          done();
+        });
+      });
+    });
+  });
+  it('should not issue codes for scopes the client is not allowed', function (done) {
+    helper.postDeviceAuthorization({
+      clientId: properties.resourceServerId,
+      clientSecret: properties.resourceServerSecret,
+      scope: 'login'
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(JSON.parse(body).error, 'invalid_scope');
+      done();
+    });
+  });
+});
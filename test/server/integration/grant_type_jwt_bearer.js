@@ -0,0 +1,154 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+var models = require('../../../lib/config/models'),
+  Client = models.model('Client'),
+  User = models.model('User'),
+  jwt = require('../../../lib/helpers/jwt'),
+  jwk = require('../../../lib/helpers/jwk'),
+  config = require('../../../lib/config/config');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for the JWT bearer grant: a trusted backend signs an assertion about a user instead of using the user's
+ * password.
+ * See http://tools.ietf.org/html/rfc7523#section-2.1
+ */
+describe('Grant Type JWT Bearer', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  var jtiCounter = 0;
+
+  var keys, registered, client, userID;
+  before(function (done) {
+    jwt.generateKeyPair(1024, function (err, generated) {
+      assert.ifError(err);
+      keys = generated;
+      var key = jwk.fromPem(keys.publicKey);
+      key.kid = 'batch-1';
+      helper.postRegistration(properties.registrationInitialAccessToken, {
+        scope: 'login',
+        grant_types: ['urn:ietf:params:oauth:grant-type:jwt-bearer'],
+        jwks: { keys: [key] }
+      }, function (error, response, body) {
+        assert.equal(response.statusCode, 201);
+        registered = body;
+        client = { clientId: registered.client_id, clientSecret: registered.client_secret };
+        // only trusted clients may use the grant, which dynamic registration doesn't grant
+        Client.update({ clientId: registered.client_id }, { trustedClient: true }, function (err) {
+          assert.ifError(err);
+          User.findOne({ username: properties.username }, function (err, user) {
+            assert.ifError(err);
+            userID = user.id;
+            done();
+          });
+        });
+      });
+    });
+  });
+  after(function (done) {
+    helper.manageRegistration('del', registered.client_id, registered.registration_access_token, undefined,
+      function () {
+        done();
+      });
+  });
+
+  /**
+   * Returns an assertion about the test user signed by the registered client, with `overrides` applied
+   */
+  function assertion(overrides) {
+    var now = jwt.now();
+    var claims = {
+      iss: registered.client_id,
+      sub: userID,
+      aud: config.rootUrl + properties.token,
+      jti: 'jti-' + now + '-' + (jtiCounter++),
+      iat: now,
+      exp: now + 60
+    };
+    Object.keys(overrides || {}).forEach(function (key) {
+      claims[key] = overrides[key];
+    });
+    return jwt.sign(claims, keys.privateKey, { kid: 'batch-1' });
+  }
+
+  it('should issue an access token for the user', function (done) {
+    helper.postJwtBearer(client, assertion(), 'login', function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      var accessToken = JSON.parse(body).access_token;
+      assert.equal(JSON.parse(body).refresh_token, undefined);
+      helper.postIntrospect(client, accessToken, function (error, response, body) {
+        var info = JSON.parse(body);
+        assert.equal(info.active, true);
+        assert.equal(info.sub, userID);
+        assert.equal(info.username, properties.username);
+        assert.equal(info.scope, 'login');
+        done();
+      });
+    });
+  });
+  it('should not accept the same assertion twice', function (done) {
+    var once = assertion();
+    helper.postJwtBearer(client, once, 'login', function (error, response) {
+      assert.equal(response.statusCode, 200);
+      helper.postJwtBearer(client, once, 'login', function (error, response, body) {
+        assert.equal(response.statusCode, 403);
+        assert.equal(JSON.parse(body).error, 'invalid_grant');
+        done();
+      });
+    });
+  });
+  it('should reject an assertion signed with another key', function (done) {
+    jwt.generateKeyPair(1024, function (err, other) {
+      assert.ifError(err);
+      var forged = jwt.sign({
+        iss: registered.client_id,
+        sub: userID,
+        aud: config.rootUrl + properties.token,
+        jti: 'forged-' + jwt.now(),
+        exp: jwt.now() + 60
+      }, other.privateKey, { kid: 'batch-1' });
+      helper.postJwtBearer(client, forged, 'login', function (error, response, body) {
+        assert.equal(response.statusCode, 403);
+        assert.equal(JSON.parse(body).error, 'invalid_grant');
+        done();
+      });
+    });
+  });
+  it('should reject an assertion about an unknown user', function (done) {
+    helper.postJwtBearer(client, assertion({ sub: '000000000000000000000000' }), 'login',
+      function (error, response) {
+        assert.equal(response.statusCode, 403);
+        done();
+      });
+  });
+  it('should reject an assertion issued by another client', function (done) {
+    helper.postJwtBearer(client, assertion({ iss: properties.clientId }), 'login', function (error, response) {
+      assert.equal(response.statusCode, 403);
+      done();
+    });
+  });
+  it('should restrict the scope to the allowed scopes of the client', function (done) {
+    helper.postJwtBearer(client, assertion(), 'account', function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(JSON.parse(body).error, 'invalid_scope');
+      done();
+    });
+  });
+  it('should only be used by trusted clients', function (done) {
+    helper.postJwtBearer({
+      clientId: properties.untrustedClientId,
+      clientSecret: properties.untrustedClientSecret
+    }, assertion(), 'login', function (error, response, body) {
+      assert.equal(response.statusCode, 403);
+      assert.equal(JSON.parse(body).error, 'unauthorized_client');
+      done();
+    });
+  });
+});
@@ -39,10 +39,10 @@ describe('Grant Type Password', function () {
                 validate.validateUserJson(response, body);
                 //Get another valid access token from the refresh token
                 helper.postRefeshToken(tokens.refresh_token, function (error, response, body) {
-                  validate.validateAccessToken(response, body);
-                  //Get another valid access token from the refresh token
-                  helper.postRefeshToken(tokens.refresh_token, function (error, response, body) {
-                    validate.validateAccessToken(response, body);
+                  validate.validateAccessRefreshToken(response, body);
+                  //Get another valid access token from the rotated refresh token
+                  helper.postRefeshToken(JSON.parse(body).refresh_token, function (error, response, body) {
+                    validate.validateAccessRefreshToken(response, body);
                     done();
                   });
                 });
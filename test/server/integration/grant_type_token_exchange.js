@@ -0,0 +1,145 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for the Token Exchange grant: the gateway client swaps a user's access token for one addressed to the
+ * resource server.
+ * See http://tools.ietf.org/html/rfc8693
+ */
+describe('Grant Type Token Exchange', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  var resourceServer = { clientId: properties.resourceServerId, clientSecret: properties.resourceServerSecret };
+
+  /**
+   * Gets an access token for the test user with the trusted client
+   */
+  function getUserToken(next) {
+    helper.postOAuthPassword('profile account', function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      next(JSON.parse(body).access_token);
+    });
+  }
+
+  it('should issue a narrower token addressed to the audience', function (done) {
+    getUserToken(function (subjectToken) {
+      helper.postTokenExchange({ audience: properties.resourceServerId, scope: 'profile' }, subjectToken,
+        function (error, response, body) {
+          assert.equal(response.statusCode, 200);
+          var exchanged = JSON.parse(body);
+          assert.equal(exchanged.issued_token_type, 'urn:ietf:params:oauth:token-type:access_token');
+          assert.equal(exchanged.token_type, 'Bearer');
+          assert.equal(exchanged.scope, 'profile');
+          helper.postIntrospect(resourceServer, exchanged.access_token, function (error, response, body) {
+            var info = JSON.parse(body);
+            assert.equal(info.active, true);
+            assert.equal(info.aud, properties.resourceServerId);
+            assert.equal(info.client_id, properties.gatewayClientId);
+            assert.equal(info.username, properties.username);
+            assert.equal(info.scope, 'profile');
+            assert.deepEqual(info.act, { sub: properties.gatewayClientId });
+            done();
+          });
+        });
+    });
+  });
+  it('should record the subject of the actor token as the actor', function (done) {
+    getUserToken(function (actorToken) {
+      getUserToken(function (subjectToken) {
+        helper.postTokenExchange({
+          audience: properties.resourceServerId,
+          actor_token: actorToken,
+          actor_token_type: 'urn:ietf:params:oauth:token-type:access_token'
+        }, subjectToken, function (error, response, body) {
+          assert.equal(response.statusCode, 200);
+          helper.postIntrospect(resourceServer, JSON.parse(body).access_token, function (error, response, body) {
+            var info = JSON.parse(body);
+            assert.deepEqual(info.act, { sub: info.sub });
+            done();
+          });
+        });
+      });
+    });
+  });
+  it('should chain the actors of exchanged tokens', function (done) {
+    getUserToken(function (subjectToken) {
+      helper.postTokenExchange({ audience: properties.resourceServerId }, subjectToken, function (error, response, body) {
+        helper.postTokenExchange({ audience: properties.resourceServerId }, JSON.parse(body).access_token,
+          function (error, response, body) {
+            assert.equal(response.statusCode, 200);
+            helper.postIntrospect(resourceServer, JSON.parse(body).access_token, function (error, response, body) {
+              assert.deepEqual(JSON.parse(body).act, {
+                sub: properties.gatewayClientId,
+                act: { sub: properties.gatewayClientId }
+              });
+              done();
+            });
+          });
+      });
+    });
+  });
+  it('should not exchange for a client without an exchange policy', function (done) {
+    getUserToken(function (subjectToken) {
+      helper.postTokenExchange({
+        clientId: properties.resourceServerId,
+        clientSecret: properties.resourceServerSecret,
+        audience: properties.resourceServerId
+      }, subjectToken, function (error, response, body) {
+        assert.equal(response.statusCode, 400);
+        assert.equal(JSON.parse(body).error, 'invalid_target');
+        done();
+      });
+    });
+  });
+  it('should not exchange into an audience the client may not', function (done) {
+    getUserToken(function (subjectToken) {
+      helper.postTokenExchange({ audience: properties.untrustedClientId }, subjectToken,
+        function (error, response, body) {
+          assert.equal(response.statusCode, 400);
+          assert.equal(JSON.parse(body).error, 'invalid_target');
+          done();
+        });
+    });
+  });
+  it('should not widen the scope', function (done) {
+    getUserToken(function (subjectToken) {
+      helper.postTokenExchange({ audience: properties.resourceServerId, scope: 'profile email' }, subjectToken,
+        function (error, response, body) {
+          assert.equal(response.statusCode, 400);
+          assert.equal(JSON.parse(body).error, 'invalid_scope');
+          done();
+        });
+    });
+  });
+  it('should not exchange a token the client may not introspect', function (done) {
+    helper.postOAuthClient({
+      clientId: properties.untrustedClientId,
+      clientSecret: properties.untrustedClientSecret
+    }, function (error, response, body) {
+      helper.postTokenExchange({ audience: properties.resourceServerId }, JSON.parse(body).access_token,
+        function (error, response, body) {
+          assert.equal(response.statusCode, 403);
+          assert.equal(JSON.parse(body).error, 'invalid_grant');
+          done();
+        });
+    });
+  });
+  it('should require an audience or resource', function (done) {
+    getUserToken(function (subjectToken) {
+      helper.postTokenExchange({}, subjectToken, function (error, response, body) {
+        assert.equal(response.statusCode, 400);
+        assert.equal(JSON.parse(body).error, 'invalid_request');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for OAuth 2.0 Token Introspection.
+ * See http://tools.ietf.org/html/rfc7662
+ */
+describe('Token Introspection', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  var tokens;
+  before(function (done) {
+    helper.postOAuthPassword('offline_access profile', function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      tokens = JSON.parse(body);
+      done();
+    });
+  });
+
+  it('should describe an active access token', function (done) {
+    helper.postIntrospect({}, tokens.access_token, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      var info = JSON.parse(body);
+      assert.equal(info.active, true);
+      assert.equal(info.scope, 'offline_access profile');
+      assert.equal(info.client_id, properties.clientId);
+      assert.equal(info.username, properties.username);
+      assert.ok(info.sub);
+      assert.ok(info.exp > info.iat);
+      assert.equal(info.token_type, 'Bearer');
+      done();
+    });
+  });
+  it('should describe an active refresh token', function (done) {
+    helper.postIntrospect({ tokenTypeHint: 'refresh_token' }, tokens.refresh_token, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      var info = JSON.parse(body);
+      assert.equal(info.active, true);
+      assert.equal(info.client_id, properties.clientId);
+      assert.equal(info.username, properties.username);
+      assert.equal(info.token_type, 'refresh_token');
+      done();
+    });
+  });
+  it('should let a resource server introspect tokens for its allowed audiences', function (done) {
+    helper.postIntrospect({
+      clientId: properties.resourceServerId,
+      clientSecret: properties.resourceServerSecret
+    }, tokens.access_token, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.equal(JSON.parse(body).active, true);
+      done();
+    });
+  });
+  it('should not reveal tokens for another audience', function (done) {
+    helper.postIntrospect({
+      clientId: properties.casClientId,
+      clientSecret: properties.casClientSecret
+    }, tokens.access_token, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(JSON.parse(body), { active: false });
+      done();
+    });
+  });
+  it('should report an unknown token as inactive', function (done) {
+    helper.postIntrospect({}, 'someinvalidtoken', function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(JSON.parse(body), { active: false });
+      done();
+    });
+  });
+  it('should require client authentication', function (done) {
+    helper.postIntrospect({ noAuth: true }, tokens.access_token, function (error, response) {
+      assert.equal(response.statusCode, 401);
+      done();
+    });
+  });
+});
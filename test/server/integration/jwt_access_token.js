@@ -0,0 +1,151 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+var jwt = require('../../../lib/helpers/jwt'),
+  jwk = require('../../../lib/helpers/jwk');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for self-contained JWT access tokens.
+ * See http://tools.ietf.org/html/rfc9068
+ */
+describe('JWT access tokens', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  var registered;
+  before(function (done) {
+    helper.postRegistration(properties.registrationInitialAccessToken, {
+      scope: 'login',
+      grant_types: ['client_credentials'],
+      access_token_format: 'jwt'
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 201);
+      assert.equal(body.access_token_format, 'jwt');
+      registered = body;
+      done();
+    });
+  });
+  after(function (done) {
+    helper.manageRegistration('del', registered.client_id, registered.registration_access_token, undefined,
+      function () {
+        done();
+      });
+  });
+
+  /**
+   * Gets a client credentials access token for the registered client
+   */
+  function getToken(next) {
+    helper.postOAuthClient({
+      clientId: registered.client_id,
+      clientSecret: registered.client_secret,
+      scope: 'login'
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      next(JSON.parse(body).access_token);
+    });
+  }
+
+  it('should issue a JWT verifiable with the published keys', function (done) {
+    getToken(function (accessToken) {
+      var decoded = jwt.decode(accessToken);
+      assert.ok(decoded, 'access token is a JWT');
+      assert.equal(decoded.header.typ, 'at+jwt');
+      helper.getOpenidDiscovery(properties.jwks, function (error, response, body) {
+        var key = JSON.parse(body).keys.filter(function (key) {
+          return key.kid === decoded.header.kid;
+        })[0];
+        assert.ok(key, 'signing key is published');
+        jwt.verify(accessToken, jwk.toPem(key), { audience: registered.client_id }, function (err, claims) {
+          assert.ifError(err);
+          assert.equal(claims.client_id, registered.client_id);
+          assert.equal(claims.sub, registered.client_id);
+          assert.equal(claims.scope, 'login');
+          assert.ok(claims.jti);
+          assert.ok(claims.exp > claims.iat);
+          done();
+        });
+      });
+    });
+  });
+  it('should accept the JWT as a Bearer token', function (done) {
+    getToken(function (accessToken) {
+      helper.getClientInfo(accessToken, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.equal(JSON.parse(body).client_id, registered.client_id);
+        done();
+      });
+    });
+  });
+  it('should not accept the jti of the JWT as an opaque token', function (done) {
+    getToken(function (accessToken) {
+      helper.getClientInfo(jwt.decode(accessToken).payload.jti, function (error, response) {
+        assert.equal(response.statusCode, 401);
+        helper.postIntrospect({
+          clientId: registered.client_id,
+          clientSecret: registered.client_secret
+        }, jwt.decode(accessToken).payload.jti, function (error, response, body) {
+          assert.equal(JSON.parse(body).active, false);
+          done();
+        });
+      });
+    });
+  });
+  it('should introspect the JWT', function (done) {
+    getToken(function (accessToken) {
+      helper.postIntrospect({
+        clientId: registered.client_id,
+        clientSecret: registered.client_secret
+      }, accessToken, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.equal(JSON.parse(body).active, true);
+        done();
+      });
+    });
+  });
+  it('should refuse a revoked JWT before it expires', function (done) {
+    getToken(function (accessToken) {
+      var client = { clientId: registered.client_id, clientSecret: registered.client_secret };
+      helper.postRevoke(client, accessToken, function (error, response) {
+        assert.equal(response.statusCode, 200);
+        helper.getClientInfo(accessToken, function (error, response) {
+          assert.equal(response.statusCode, 401);
+          helper.postIntrospect(client, accessToken, function (error, response, body) {
+            assert.equal(JSON.parse(body).active, false);
+            done();
+          });
+        });
+      });
+    });
+  });
+  it('should reject a JWT whose header was altered', function (done) {
+    getToken(function (accessToken) {
+      var decoded = jwt.decode(accessToken);
+      var forged = accessToken.replace(/^[^.]+/, jwt.base64urlEncode(new Buffer(JSON.stringify({
+        alg: decoded.header.alg,
+        kid: decoded.header.kid,
+        typ: 'JWT'
+      }))));
+      helper.getClientInfo(forged, function (error, response) {
+        assert.equal(response.statusCode, 401);
+        done();
+      });
+    });
+  });
+  it('should reject an unknown access_token_format', function (done) {
+    helper.postRegistration(properties.registrationInitialAccessToken, {
+      access_token_format: 'paseto'
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(body.error, 'invalid_client_metadata');
+      done();
+    });
+  });
+});
@@ -0,0 +1,230 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  querystring = require('querystring'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+var jwt = require('../../../lib/helpers/jwt'),
+  jwks = require('../../../lib/config/jwks'),
+  models = require('../../../lib/config/models'),
+  AuditEvent = models.model('AuditEvent');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for single logout: RP-initiated logout, and the front-channel and back-channel logout of the clients
+ * which took part in the session.
+ * See http://openid.net/specs/openid-connect-rpinitiated-1_0.html,
+ * http://openid.net/specs/openid-connect-frontchannel-1_0.html
+ * and http://openid.net/specs/openid-connect-backchannel-1_0.html
+ */
+describe('Logout', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  var frontchannelLogoutUri = 'http://localhost:9000/frontchannel-logout';
+  var backchannelLogoutUri = 'https://127.0.0.1:1/backchannel-logout'; // nobody listens, so the logout fails
+  var redirect = properties.redirect + 'logout/'; // no other client may have registered it
+  var registered;
+  before(function (done) {
+    helper.postRegistration(properties.registrationInitialAccessToken, {
+      redirect_uris: [redirect],
+      grant_types: ['implicit'],
+      scope: 'openid login',
+      post_logout_redirect_uris: [properties.redirect],
+      frontchannel_logout_uri: frontchannelLogoutUri,
+      backchannel_logout_uri: backchannelLogoutUri
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 201);
+      assert.deepEqual(body.post_logout_redirect_uris, [properties.redirect]);
+      registered = body;
+      done();
+    });
+  });
+  after(function (done) {
+    helper.manageRegistration('del', registered.client_id, registered.registration_access_token, undefined,
+      function () {
+        done();
+      });
+  });
+
+  /**
+   * Returns the id_token returned in the fragment of `location`
+   */
+  function idTokenOf(location) {
+    var idToken = querystring.parse(location.split('#')[1]).id_token;
+    assert.ok(idToken);
+    return idToken;
+  }
+
+  /**
+   * Logs in and authorizes the registered client, returning the id_token it was issued.
+   * The user is only asked to consent the first time.
+   */
+  function signIn(next) {
+    helper.login(function () {
+      helper.getAuthorization({ responseType: 'token', clientId: registered.client_id, redirect: redirect,
+        scope: 'openid', nonce: 'logout' }, function (error, response, body) {
+        if (response.request.href.indexOf('#') !== -1) {
+          return next(idTokenOf(response.request.href));
+        }
+        helper.postDecision({}, body, function (error, response) {
+          next(idTokenOf(response.headers.location));
+        });
+      });
+    });
+  }
+
+  /**
+   * Calls next with the back-channel logout failure recorded since `since`, waiting a little for it to happen
+   */
+  function waitForBackchannelFailure(since, next, attempts) {
+    AuditEvent.findOne({ event: 'backchannel_logout_failed', createdDate: { $gte: since } }, function (err, event) {
+      assert.ifError(err);
+      if (event || attempts === 0) {
+        return next(event);
+      }
+      setTimeout(function () {
+        waitForBackchannelFailure(since, next, (attempts || 10) - 1);
+      }, 200);
+    });
+  }
+
+  it('should return the sid of the session in the id_token', function (done) {
+    signIn(function (idToken) {
+      assert.ok(jwt.decode(idToken).payload.sid);
+      done();
+    });
+  });
+  it('should log out every client of the session and return to the client', function (done) {
+    var since = new Date();
+    signIn(function (idToken) {
+      var sid = jwt.decode(idToken).payload.sid;
+      helper.getEndSession({
+        id_token_hint: idToken,
+        post_logout_redirect_uri: properties.redirect,
+        state: 'bye'
+      }, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        var iframe = frontchannelLogoutUri + '?' + querystring.stringify({ iss: jwt.decode(idToken).payload.iss,
+          sid: sid });
+        assert.ok(body.indexOf('<iframe src="' + iframe.replace(/&/g, '&amp;') + '"') !== -1);
+        assert.ok(body.indexOf('data-return-to="' + properties.redirect + '?state=bye"') !== -1);
+        waitForBackchannelFailure(since, function (event) {
+          assert.ok(event);
+          helper.getAuthorization({}, function (error, response) {
+            assert.equal(response.req.path, '/login');
+            done();
+          });
+        });
+      });
+    });
+  });
+  it('should refuse a post_logout_redirect_uri the client did not register', function (done) {
+    signIn(function (idToken) {
+      helper.getEndSession({
+        id_token_hint: idToken,
+        post_logout_redirect_uri: 'https://attacker.example.com/'
+      }, function (error, response) {
+        assert.equal(response.statusCode, 400);
+        helper.logout(function () {
+          done();
+        });
+      });
+    });
+  });
+  it('should refuse an id_token_hint we did not issue', function (done) {
+    jwt.generateKeyPair(1024, function (err, keys) {
+      assert.ifError(err);
+      helper.getEndSession({
+        id_token_hint: jwt.sign({ iss: 'https://attacker.example.com', aud: registered.client_id }, keys.privateKey),
+        post_logout_redirect_uri: properties.redirect
+      }, function (error, response) {
+        assert.equal(response.statusCode, 400);
+        done();
+      });
+    });
+  });
+  it('should refuse JWTs we signed which are not id_tokens of the logged in user', function (done) {
+    signIn(function (idToken) {
+      var claims = jwt.decode(idToken).payload;
+      jwks.currentKey(function (err, key) {
+        assert.ifError(err);
+        // a token with the claims of the id_token, but for `sub` and the `events` and `typ` given
+        function hint(sub, events, typ) {
+          return jwt.sign({ iss: claims.iss, aud: claims.aud, sub: sub, sid: claims.sid, events: events },
+            key.privateKey, { alg: key.alg, kid: key.kid, typ: typ });
+        }
+        function refused(idTokenHint, next) {
+          helper.getEndSession({ id_token_hint: idTokenHint, post_logout_redirect_uri: properties.redirect },
+            function (error, response) {
+              assert.equal(response.statusCode, 400);
+              next();
+            });
+        }
+        refused(hint(claims.sub, undefined, 'at+jwt'), function () {
+          refused(hint(claims.sub, { 'http://schemas.openid.net/event/backchannel-logout': {} }, 'logout+jwt'),
+            function () {
+              refused(hint('someone-else'), function () {
+                helper.logout(function () {
+                  done();
+                });
+              });
+            });
+        });
+      });
+    });
+  });
+  it('should ask the user to confirm a logout without an id_token_hint', function (done) {
+    helper.login(function () {
+      helper.getEndSession({}, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.ok(body.indexOf('action="' + properties.endSessionConfirm + '"') !== -1);
+        helper.getAuthorization({}, function (error, response) {
+          assert.notEqual(response.req.path, '/login');
+          helper.postEndSessionConfirmation(body, function (error, response) {
+            assert.equal(response.statusCode, 302);
+            assert.ok(/\/login$/.test(response.headers.location));
+            helper.getAuthorization({}, function (error, response) {
+              assert.equal(response.req.path, '/login');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+  it('should return to the client once the user confirmed the logout it posted', function (done) {
+    signIn(function () {
+      helper.postEndSession({
+        client_id: registered.client_id,
+        post_logout_redirect_uri: properties.redirect,
+        state: 'bye'
+      }, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        helper.postEndSessionConfirmation(body, function (error, response, body) {
+          assert.equal(response.statusCode, 200);
+          assert.ok(body.indexOf('data-return-to="' + properties.redirect + '?state=bye"') !== -1);
+          done();
+        });
+      });
+    });
+  });
+  it('should not end the session on a post from another site without an id_token_hint', function (done) {
+    helper.login(function () {
+      helper.postEndSession({}, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.ok(body.indexOf('action="' + properties.endSessionConfirm + '"') !== -1);
+        helper.getAuthorization({}, function (error, response) {
+          assert.notEqual(response.req.path, '/login');
+          helper.logout(function () {
+            done();
+          });
+        });
+      });
+    });
+  });
+});
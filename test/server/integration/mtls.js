@@ -0,0 +1,184 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  forge = require('node-forge'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+var config = require('../../../lib/config/config'),
+  models = require('../../../lib/config/models'),
+  AccessToken = models.model('AccessToken'),
+  jwk = require('../../../lib/helpers/jwk'),
+  clientCertificate = require('../../../lib/config/client-certificate');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for mutual-TLS client authentication and certificate-bound access tokens.
+ * The test server trusts the certificate forwarded in properties.certificateHeader from the loopback.
+ * See http://tools.ietf.org/html/rfc8705
+ */
+describe('Mutual-TLS client authentication', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  /**
+   * Returns a PEM certificate for `commonName` issued by `issuer`, or self-signed, its thumbprint and its public JWK
+   */
+  function createCertificate(commonName, issuer) {
+    var keys = forge.pki.rsa.generateKeyPair(1024);
+    var cert = forge.pki.createCertificate();
+    cert.publicKey = keys.publicKey;
+    cert.serialNumber = '01';
+    cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+    cert.validity.notAfter = new Date(Date.now() + 24 * 3600 * 1000);
+    var attrs = [{ shortName: 'O', value: 'Example' }, { name: 'commonName', value: commonName }];
+    cert.setSubject(attrs);
+    cert.setIssuer(issuer ? issuer.cert.subject.attributes : attrs);
+    cert.setExtensions(issuer ? [{ name: 'subjectAltName', altNames: [{ type: 2, value: commonName }] }] :
+      [{ name: 'basicConstraints', cA: true }, { name: 'subjectAltName', altNames: [{ type: 2, value: commonName }] }]);
+    cert.sign(issuer ? issuer.privateKey : keys.privateKey, forge.md.sha256.create());
+    var der = new Buffer(forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes(), 'binary');
+    return {
+      cert: cert,
+      privateKey: keys.privateKey,
+      pem: forge.pki.certificateToPem(cert),
+      thumbprint: clientCertificate.thumbprint(der),
+      jwk: jwk.fromPem(forge.pki.publicKeyToPem(keys.publicKey))
+    };
+  }
+
+  /**
+   * Registers a client with `metadata` for the client_credentials grant and returns the registration
+   */
+  function register(metadata, next) {
+    metadata.grant_types = ['client_credentials'];
+    helper.postRegistration(properties.registrationInitialAccessToken, metadata, function (error, response, body) {
+      assert.equal(response.statusCode, 201);
+      assert.equal(body.client_secret, undefined);
+      next(body);
+    });
+  }
+
+  /**
+   * Deletes a registered client
+   */
+  function unregister(registered, next) {
+    helper.manageRegistration('del', registered.client_id, registered.registration_access_token, undefined,
+      function () {
+        next();
+      });
+  }
+
+  var certificate = createCertificate('service.example.org');
+  var otherCertificate = createCertificate('other.example.org');
+  var ca = createCertificate('ca.example.org');
+  var issuedCertificate = createCertificate('service.example.org', ca);
+  var otherIssuedCertificate = createCertificate('other.example.org', ca);
+
+  describe('self_signed_tls_client_auth', function () {
+    var registered;
+    before(function (done) {
+      register({
+        scope: 'login',
+        token_endpoint_auth_method: 'self_signed_tls_client_auth',
+        jwks: { keys: [certificate.jwk] }
+      }, function (body) {
+        registered = body;
+        done();
+      });
+    });
+    after(function (done) {
+      unregister(registered, done);
+    });
+
+    it('should issue a token bound to the certificate', function (done) {
+      helper.postClientCertificate(registered.client_id, certificate.pem, 'login', function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        var accessToken = JSON.parse(body).access_token;
+        AccessToken.findToken(accessToken, function (err, token) {
+          assert.ifError(err);
+          assert.equal(token.cnf['x5t#S256'], certificate.thumbprint);
+          helper.getClientInfo(accessToken, function (error, response, body) {
+            assert.equal(response.statusCode, 200);
+            assert.equal(JSON.parse(body).client_id, token.clientID);
+            done();
+          }, certificate.pem);
+        });
+      });
+    });
+    it('should only accept the bound token with its certificate', function (done) {
+      helper.postClientCertificate(registered.client_id, certificate.pem, 'login', function (error, response, body) {
+        var accessToken = JSON.parse(body).access_token;
+        helper.getClientInfo(accessToken, function (error, response) {
+          assert.equal(response.statusCode, 401);
+          helper.getClientInfo(accessToken, function (error, response) {
+            assert.equal(response.statusCode, 401);
+            done();
+          }, otherCertificate.pem);
+        });
+      });
+    });
+    it('should reject a certificate with another key', function (done) {
+      helper.postClientCertificate(registered.client_id, otherCertificate.pem, 'login', function (error, response) {
+        assert.equal(response.statusCode, 401);
+        done();
+      });
+    });
+  });
+
+  describe('tls_client_auth', function () {
+    var registered, trustedCa;
+    before(function (done) {
+      trustedCa = config.mtls.ca;
+      config.mtls.ca = ca.pem;
+      register({
+        scope: 'login',
+        token_endpoint_auth_method: 'tls_client_auth',
+        tls_client_auth_subject_dn: 'CN=service.example.org, O=Example'
+      }, function (body) {
+        registered = body;
+        done();
+      });
+    });
+    after(function (done) {
+      config.mtls.ca = trustedCa;
+      unregister(registered, done);
+    });
+
+    it('should authenticate a certificate with the registered subject', function (done) {
+      helper.postClientCertificate(registered.client_id, issuedCertificate.pem, 'login',
+        function (error, response, body) {
+          assert.equal(response.statusCode, 200);
+          helper.getClientInfo(JSON.parse(body).access_token, function (error, response) {
+            assert.equal(response.statusCode, 200);
+            done();
+          }, issuedCertificate.pem);
+        });
+    });
+    it('should reject a certificate with another subject', function (done) {
+      helper.postClientCertificate(registered.client_id, otherIssuedCertificate.pem, 'login',
+        function (error, response) {
+          assert.equal(response.statusCode, 401);
+          done();
+        });
+    });
+    it('should reject a self-signed certificate with the registered subject', function (done) {
+      helper.postClientCertificate(registered.client_id, certificate.pem, 'login', function (error, response) {
+        assert.equal(response.statusCode, 401);
+        done();
+      });
+    });
+    it('should require the subject to register', function (done) {
+      helper.postRegistration(properties.registrationInitialAccessToken, {
+        token_endpoint_auth_method: 'tls_client_auth'
+      }, function (error, response, body) {
+        assert.equal(response.statusCode, 400);
+        assert.equal(body.error, 'invalid_client_metadata');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  querystring = require('querystring'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+
+var jwt = require('../../../lib/helpers/jwt'),
+  jwk = require('../../../lib/helpers/jwk');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Validates the claims of an id_token issued to the default trusted client for the test user
+ */
+function validateIdToken(idToken, nonce) {
+  var decoded = jwt.decode(idToken);
+  assert.ok(decoded);
+  assert.equal(decoded.header.alg, 'RS256');
+  assert.ok(decoded.payload.sub);
+  assert.equal(decoded.payload.aud, properties.clientId);
+  assert.ok(decoded.payload.iss);
+  assert.ok(decoded.payload.iat);
+  assert.ok(decoded.payload.exp > decoded.payload.iat);
+  assert.ok(decoded.payload.auth_time);
+  assert.equal(decoded.payload.nonce, nonce);
+  return decoded.payload;
+}
+
+/**
+ * Verifies the signature of an id_token against the published JWKS
+ */
+function verifyIdToken(idToken, next) {
+  helper.getOpenidDiscovery(properties.jwks, function (error, response, body) {
+    assert.equal(response.statusCode, 200);
+    var kid = jwt.decode(idToken).header.kid;
+    var key = JSON.parse(body).keys.filter(function (key) {
+      return key.kid === kid;
+    })[0];
+    assert.ok(key, 'signing key is published');
+    jwt.verify(idToken, jwk.toPem(key), { audience: properties.clientId }, function (err) {
+      assert.ifError(err);
+      next();
+    });
+  });
+}
+
+/**
+ * Tests for the OpenID Connect layer on top of the code and implicit grants.
+ */
+describe('OpenID Connect', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  it('should not return an id_token without the openid scope', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ scope: 'profile', nonce: 'n-0S6' }, function (error, response) {
+        var code = response.req.path.slice(9+7, response.req.path.length);
+        helper.postOAuthCode({}, code, function (error, response, body) {
+          assert.equal(response.statusCode, 200);
+          assert.equal(JSON.parse(body).id_token, undefined);
+          done();
+        });
+      });
+    });
+  });
+  it('should return an id_token and userinfo for the authorization code grant', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ scope: 'openid profile', nonce: 'n-0S6' }, function (error, response) {
+        assert.equal(response.req.path.indexOf('/?code='), 9);
+        var code = response.req.path.slice(9+7, response.req.path.length);
+        helper.postOAuthCode({}, code, function (error, response, body) {
+          assert.equal(response.statusCode, 200);
+          var tokens = JSON.parse(body);
+          var claims = validateIdToken(tokens.id_token, 'n-0S6');
+          assert.equal(claims.at_hash, jwt.halfHash(tokens.access_token));
+          verifyIdToken(tokens.id_token, function () {
+            helper.logout(function () {
+              helper.getOpenidUserinfo(tokens.access_token, function (error, response, body) {
+                assert.equal(response.statusCode, 200);
+                var userinfo = JSON.parse(body);
+                assert.equal(userinfo.sub, claims.sub);
+                assert.equal(userinfo.preferred_username, properties.username);
+                assert.equal(userinfo.email, undefined); // email scope not granted
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+  it('should return an id_token for the implicit grant', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ responseType: 'token', scope: 'openid email', nonce: 'n-1T7' }, function (error, response) {
+        var params = querystring.parse(response.request.href.split('#')[1]);
+        validateIdToken(params.id_token, 'n-1T7');
+        helper.logout(function () {
+          helper.getOpenidUserinfo(params.access_token, function (error, response, body) {
+            assert.equal(response.statusCode, 200);
+            var userinfo = JSON.parse(body);
+            assert.equal(userinfo.email, properties.email);
+            assert.equal(userinfo.name, undefined); // profile scope not granted
+            done();
+          });
+        });
+      });
+    });
+  });
+  it('should require a nonce for the implicit grant', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ responseType: 'token', scope: 'openid' }, function (error, response) {
+        assert.equal(response.statusCode, 400);
+        assert.equal(response.request.href.indexOf('access_token='), -1);
+        done();
+      });
+    });
+  });
+  it('should refuse userinfo to tokens without the openid scope', function (done) {
+    helper.postOAuthPassword('profile', function (error, response, body) {
+      helper.getOpenidUserinfo(JSON.parse(body).access_token, function (error, response) {
+        assert.equal(response.statusCode, 403);
+        done();
+      });
+    });
+  });
+});
+
+describe('OpenID Connect discovery', function () {
+  it('should describe the provider configuration', function (done) {
+    helper.getOpenidDiscovery(properties.openidConfiguration, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      var configuration = JSON.parse(body);
+      assert.ok(configuration.issuer);
+      assert.ok(/\/oauth2\/authorize$/.test(configuration.authorization_endpoint));
+      assert.ok(/\/oauth2\/token$/.test(configuration.token_endpoint));
+      assert.ok(/\/oauth2\/userinfo$/.test(configuration.userinfo_endpoint));
+      assert.ok(/\/oauth2\/jwks$/.test(configuration.jwks_uri));
+      assert.deepEqual(configuration.response_types_supported, ['code', 'token']);
+      assert.deepEqual(configuration.response_modes_supported, ['query', 'fragment', 'form_post']);
+      assert.ok(configuration.grant_types_supported.indexOf('authorization_code') !== -1);
+      assert.ok(configuration.grant_types_supported.indexOf('implicit') !== -1);
+      assert.ok(configuration.grant_types_supported.indexOf('urn:ietf:params:oauth:grant-type:device_code') !== -1);
+      assert.ok(/\/oauth2\/device_authorization$/.test(configuration.device_authorization_endpoint));
+      assert.ok(/\/oauth2\/par$/.test(configuration.pushed_authorization_request_endpoint));
+      assert.equal(configuration.request_parameter_supported, true);
+      assert.ok(/\/oauth2\/register$/.test(configuration.registration_endpoint));
+      assert.ok(/\/oauth2\/logout$/.test(configuration.end_session_endpoint));
+      assert.equal(configuration.backchannel_logout_supported, true);
+      assert.ok(configuration.token_endpoint_auth_methods_supported.indexOf('private_key_jwt') !== -1);
+      assert.deepEqual(configuration.token_endpoint_auth_signing_alg_values_supported, ['HS256', 'RS256']);
+      assert.deepEqual(configuration.dpop_signing_alg_values_supported, ['RS256']);
+      assert.ok(configuration.scopes_supported.indexOf('openid') !== -1);
+      done();
+    });
+  });
+  it('should publish the signing keys without their private parts', function (done) {
+    helper.getOpenidDiscovery(properties.jwks, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      var keys = JSON.parse(body).keys;
+      assert.ok(keys.length > 0);
+      keys.forEach(function (key) {
+        assert.equal(key.kty, 'RSA');
+        assert.equal(key.use, 'sig');
+        assert.ok(key.kid);
+        assert.equal(key.d, undefined);
+        assert.equal(key.privateKey, undefined);
+      });
+      done();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  validate = require('../common').validate,
+  properties = require('../common').properties;
+
+var pkce = require('../../../lib/helpers/pkce');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for Proof Key for Code Exchange on the Authorization Code grant.
+ * See http://tools.ietf.org/html/rfc7636
+ */
+describe('PKCE', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  var verifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+
+  /**
+   * Gets an authorization code for the given options and checks it was issued
+   */
+  function getCode(options, next) {
+    helper.login(function () {
+      helper.getAuthorization(options, function (error, response) {
+        assert.equal(response.req.path.indexOf('/?code='), 9);
+        var code = response.req.path.slice(9+7, response.req.path.length);
+        validate.validateAuthorizationCode(code);
+        next(code);
+      });
+    });
+  }
+
+  it('should exchange a code with its S256 code_verifier', function (done) {
+    getCode({ codeChallenge: pkce.challenge(verifier, 'S256'), codeChallengeMethod: 'S256' }, function (code) {
+      helper.postOAuthCode({ codeVerifier: verifier }, code, function (error, response, body) {
+        validate.validateAccessToken(response, body);
+        done();
+      });
+    });
+  });
+  it('should not exchange a code without its code_verifier', function (done) {
+    getCode({ codeChallenge: pkce.challenge(verifier, 'S256'), codeChallengeMethod: 'S256' }, function (code) {
+      helper.postOAuthCode({}, code, function (error, response, body) {
+        validate.validateInvalidCodeError(response, body);
+        done();
+      });
+    });
+  });
+  it('should not exchange a code with the wrong code_verifier', function (done) {
+    getCode({ codeChallenge: verifier }, function (code) {
+      helper.postOAuthCode({ codeVerifier: pkce.challenge(verifier, 'S256') }, code, function (error, response, body) {
+        validate.validateInvalidCodeError(response, body);
+        done();
+      });
+    });
+  });
+  it('should not exchange a code issued without a code_challenge for a code_verifier', function (done) {
+    getCode({}, function (code) {
+      helper.postOAuthCode({ codeVerifier: verifier }, code, function (error, response, body) {
+        validate.validateInvalidCodeError(response, body);
+        done();
+      });
+    });
+  });
+  it('should give an error with an unsupported code_challenge_method', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ codeChallenge: verifier, codeChallengeMethod: 'S512' }, function (error, response) {
+        assert.equal(response.statusCode, 400);
+        done();
+      });
+    });
+  });
+  it('should require a public client to use a code_challenge', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ clientId: properties.publicClientId }, function (error, response) {
+        assert.equal(response.statusCode, 400);
+        assert.equal(response.req.path.indexOf('/?code='), -1);
+        done();
+      });
+    });
+  });
+  it('should exchange a public client code with its plain code_verifier', function (done) {
+    getCode({ clientId: properties.publicClientId, codeChallenge: verifier }, function (code) {
+      helper.postOAuthCode({
+        clientId: properties.publicClientId,
+        clientSecret: properties.publicClientSecret,
+        codeVerifier: verifier
+      }, code, function (error, response, body) {
+        validate.validateAccessToken(response, body);
+        done();
+      });
+    });
+  });
+});
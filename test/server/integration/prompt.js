@@ -0,0 +1,137 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties,
+  passport = require('passport');
+var models = require('../../../lib/config/models'),
+  User = models.model('User'),
+  Consent = models.model('Consent');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for the OpenID Connect parameters deciding whether the user is asked to authenticate or consent.
+ * See http://openid.net/specs/openid-connect-core-1_0.html#AuthRequest
+ */
+describe('OpenID Connect prompt, max_age and login_hint', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  function clearConsents(done) {
+    Consent.remove(function () {
+      done();
+    });
+  }
+  before(clearConsents);
+  after(clearConsents);
+
+  it('should send a logged out user to the login page', function (done) {
+    helper.logout(function () {
+      helper.getAuthorization({}, function (error, response) {
+        assert.equal(response.req.path, '/login');
+        done();
+      });
+    });
+  });
+  it('should prefill the login page with the login_hint', function (done) {
+    helper.logout(function () {
+      helper.getAuthorization({ loginHint: properties.email }, function (error, response) {
+        assert.equal(response.req.path, '/login?login_hint=' + encodeURIComponent(properties.email));
+        done();
+      });
+    });
+  });
+  it('should return to the authorization request after logging in', function (done) {
+    helper.logout(function () {
+      helper.getAuthorization({}, function () {
+        helper.login(function (error, response, body) {
+          assert.ok(body.redirectTo);
+          helper.resumeAfterLogin(body, function (error, response) {
+            assert.equal(response.req.path.indexOf('/?code='), 9);
+            done();
+          });
+        });
+      });
+    });
+  });
+  it('should tell the client login_required with prompt=none', function (done) {
+    helper.logout(function () {
+      helper.getAuthorization({ prompt: 'none', state: 'silent' }, function (error, response) {
+        assert.notEqual(response.req.path.indexOf('error=login_required'), -1);
+        assert.notEqual(response.req.path.indexOf('state=silent'), -1);
+        done();
+      });
+    });
+  });
+  it('should authorize silently with prompt=none when logged in', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ prompt: 'none' }, function (error, response) {
+        assert.equal(response.req.path.indexOf('/?code='), 9);
+        done();
+      });
+    });
+  });
+  it('should tell the client consent_required with prompt=none', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ clientId: properties.untrustedClientId, scope: 'login', prompt: 'none' },
+        function (error, response) {
+          assert.notEqual(response.req.path.indexOf('error=consent_required'), -1);
+          done();
+        });
+    });
+  });
+  it('should ask a logged in user to log in again with prompt=login', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ prompt: 'login' }, function (error, response) {
+        assert.equal(response.req.path, '/login');
+        helper.login(function (error, response, body) {
+          helper.resumeAfterLogin(body, function (error, response) {
+            assert.equal(response.req.path.indexOf('/?code='), 9);
+            done();
+          });
+        });
+      });
+    });
+  });
+  it('should not ask a user who authenticated within max_age', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ maxAge: 3600 }, function (error, response) {
+        assert.equal(response.req.path.indexOf('/?code='), 9);
+        done();
+      });
+    });
+  });
+  it('should record the auth_time of a user logging in through a social provider', function (done) {
+    // social providers log the user in with passport.authenticate(), which serializes the user into the session
+    User.findOne({ username: properties.username }, function (err, user) {
+      var req = { session: {} };
+      passport.serializeUser(user, req, function (err, id) {
+        assert.ifError(err);
+        assert.equal(id, user.id);
+        assert.ok(Math.abs(req.session.authTime - Date.now() / 1000) < 60);
+        done();
+      });
+    });
+  });
+  it('should show the dialog to a trusted client with prompt=consent', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ scope: 'login', prompt: 'consent' }, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.ok(body.indexOf('is requesting access to your account') !== -1);
+        done();
+      });
+    });
+  });
+  it('should refuse prompt=none combined with other values', function (done) {
+    helper.login(function () {
+      helper.getAuthorization({ prompt: 'none login' }, function (error, response) {
+        assert.equal(response.statusCode, 400);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,239 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+var jwt = require('../../../lib/helpers/jwt'),
+  jwk = require('../../../lib/helpers/jwk'),
+  oidc = require('../../../lib/config/oidc');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for authorization requests passed by reference: pushed to the server beforehand, or signed by the client.
+ * See http://tools.ietf.org/html/rfc9126 and http://tools.ietf.org/html/rfc9101
+ */
+describe('Pushed Authorization Requests', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  var request = {
+    redirect_uri: properties.redirect,
+    response_type: 'code',
+    scope: 'login',
+    state: 'pushed'
+  };
+
+  /**
+   * Pushes the request for the trusted client and returns its request_uri
+   */
+  function push(next) {
+    helper.postPushedAuthorization(request, function (error, response, body) {
+      assert.equal(response.statusCode, 201);
+      next(JSON.parse(body).request_uri);
+    });
+  }
+
+  it('should issue a request_uri for a pushed request', function (done) {
+    helper.postPushedAuthorization(request, function (error, response, body) {
+      assert.equal(response.statusCode, 201);
+      var pushed = JSON.parse(body);
+      assert.equal(pushed.request_uri.indexOf('urn:ietf:params:oauth:request_uri:'), 0);
+      assert.ok(pushed.expires_in > 0);
+      done();
+    });
+  });
+  it('should authorize the pushed request', function (done) {
+    push(function (requestUri) {
+      helper.login(function () {
+        helper.getAuthorizationByReference({ client_id: properties.clientId, request_uri: requestUri },
+          function (error, response) {
+            assert.equal(response.req.path.indexOf('/?code='), 9);
+            assert.notEqual(response.req.path.indexOf('state=pushed'), -1);
+            done();
+          });
+      });
+    });
+  });
+  it('should only accept a request_uri once', function (done) {
+    push(function (requestUri) {
+      var query = { client_id: properties.clientId, request_uri: requestUri };
+      helper.login(function () {
+        helper.getAuthorizationByReference(query, function () {
+          helper.getAuthorizationByReference(query, function (error, response) {
+            assert.equal(response.statusCode, 400);
+            done();
+          });
+        });
+      });
+    });
+  });
+  it('should only accept a request_uri from the client that pushed it', function (done) {
+    push(function (requestUri) {
+      helper.login(function () {
+        helper.getAuthorizationByReference({ client_id: properties.untrustedClientId, request_uri: requestUri },
+          function (error, response) {
+            assert.equal(response.statusCode, 400);
+            done();
+          });
+      });
+    });
+  });
+  it('should refuse to push a request with an unregistered redirect_uri', function (done) {
+    helper.postPushedAuthorization({
+      redirect_uri: 'https://attacker.example.com/callback',
+      response_type: 'code'
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(JSON.parse(body).error, 'invalid_request');
+      done();
+    });
+  });
+  it('should require client authentication', function (done) {
+    helper.postPushedAuthorization({
+      clientSecret: 'wrong',
+      redirect_uri: properties.redirect,
+      response_type: 'code'
+    }, function (error, response) {
+      assert.equal(response.statusCode, 401);
+      done();
+    });
+  });
+
+  describe('with a client signing its requests', function () {
+    var keys, registered, jtiCounter = 0;
+    var redirect = properties.redirect + 'pushed/'; // no other client may have registered it
+    before(function (done) {
+      jwt.generateKeyPair(1024, function (err, generated) {
+        assert.ifError(err);
+        keys = generated;
+        var key = jwk.fromPem(keys.publicKey);
+        key.kid = 'request-1';
+        helper.postRegistration(properties.registrationInitialAccessToken, {
+          redirect_uris: [redirect],
+          scope: 'login',
+          jwks: { keys: [key] },
+          require_pushed_authorization_requests: true
+        }, function (error, response, body) {
+          assert.equal(response.statusCode, 201);
+          assert.equal(body.require_pushed_authorization_requests, true);
+          registered = body;
+          done();
+        });
+      });
+    });
+    after(function (done) {
+      helper.manageRegistration('del', registered.client_id, registered.registration_access_token, undefined,
+        function () {
+          done();
+        });
+    });
+
+    /**
+     * Returns the claims of a request of the registered client, used once
+     */
+    function requestClaims() {
+      return {
+        iss: registered.client_id,
+        aud: oidc.issuer,
+        client_id: registered.client_id,
+        redirect_uri: redirect,
+        response_type: 'code',
+        scope: 'login',
+        exp: jwt.now() + 60,
+        jti: 'request-' + jwt.now() + '-' + (jtiCounter++)
+      };
+    }
+
+    /**
+     * Returns the request signed by the registered client with `key`
+     */
+    function requestObject(key, claims) {
+      return jwt.sign(claims || requestClaims(), key || keys.privateKey, { kid: 'request-1' });
+    }
+
+    /**
+     * Pushes the `request` object of the registered client
+     */
+    function pushRequestObject(request, next) {
+      helper.postPushedAuthorization({
+        clientId: registered.client_id,
+        clientSecret: registered.client_secret,
+        request: request
+      }, next);
+    }
+
+    it('should require the client to push its requests', function (done) {
+      helper.login(function () {
+        helper.getAuthorization({ clientId: registered.client_id, redirect: redirect }, function (error, response) {
+          assert.equal(response.statusCode, 400);
+          done();
+        });
+      });
+    });
+    it('should require the client to push its requests to the CAS authorization endpoint too', function (done) {
+      helper.login(function () {
+        helper.getCasOAuthAuthorization({ clientId: registered.client_id, redirect: redirect },
+          function (error, response) {
+            assert.equal(response.statusCode, 400);
+            done();
+          });
+      });
+    });
+    it('should accept a pushed request object', function (done) {
+      pushRequestObject(requestObject(), function (error, response, body) {
+        assert.equal(response.statusCode, 201);
+        helper.login(function () {
+          helper.getAuthorizationByReference({
+            client_id: registered.client_id,
+            request_uri: JSON.parse(body).request_uri
+          }, function (error, response, body) {
+            // the client isn't trusted, so the user is asked to decide
+            assert.equal(response.statusCode, 200);
+            assert.ok(body.indexOf('is requesting access to your account') !== -1);
+            done();
+          });
+        });
+      });
+    });
+    it('should refuse a request object signed with another key', function (done) {
+      jwt.generateKeyPair(1024, function (err, other) {
+        assert.ifError(err);
+        pushRequestObject(requestObject(other.privateKey), function (error, response, body) {
+          assert.equal(response.statusCode, 400);
+          assert.equal(JSON.parse(body).error, 'invalid_request_object');
+          done();
+        });
+      });
+    });
+    it('should refuse a request object without exp or jti', function (done) {
+      var claims = requestClaims();
+      delete claims.exp;
+      pushRequestObject(requestObject(null, claims), function (error, response, body) {
+        assert.equal(response.statusCode, 400);
+        assert.equal(JSON.parse(body).error, 'invalid_request_object');
+        claims = requestClaims();
+        delete claims.jti;
+        pushRequestObject(requestObject(null, claims), function (error, response, body) {
+          assert.equal(response.statusCode, 400);
+          assert.equal(JSON.parse(body).error, 'invalid_request_object');
+          done();
+        });
+      });
+    });
+    it('should refuse a replayed request object', function (done) {
+      var request = requestObject();
+      pushRequestObject(request, function (error, response) {
+        assert.equal(response.statusCode, 201);
+        pushRequestObject(request, function (error, response, body) {
+          assert.equal(response.statusCode, 400);
+          assert.equal(JSON.parse(body).error, 'invalid_request_object');
+          done();
+        });
+      });
+    });
+  });
+});
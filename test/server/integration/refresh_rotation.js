@@ -0,0 +1,61 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  validate = require('../common').validate;
+
+var models = require('../../../lib/config/models'),
+  AuditEvent = models.model('AuditEvent');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for refresh token rotation and reuse detection.
+ */
+describe('Refresh Token Rotation', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  before(function (done) {
+    helper.logout(function () {
+      done();
+    });
+  });
+
+  it('should issue a new refresh token on every refresh', function (done) {
+    helper.postOAuthPassword('offline_access', function (error, response, body) {
+      var tokens = JSON.parse(body);
+      helper.postRefeshToken(tokens.refresh_token, function (error, response, body) {
+        validate.validateAccessRefreshToken(response, body);
+        assert.notEqual(JSON.parse(body).refresh_token, tokens.refresh_token);
+        done();
+      });
+    });
+  });
+  it('should revoke the whole family when a rotated refresh token is reused', function (done) {
+    helper.postOAuthPassword('offline_access profile', function (error, response, body) {
+      var tokens = JSON.parse(body);
+      helper.postRefeshToken(tokens.refresh_token, function (error, response, body) {
+        var rotated = JSON.parse(body);
+        // replay the rotated token, as an attacker who stole it would
+        helper.postRefeshToken(tokens.refresh_token, function (error, response) {
+          assert.equal(response.statusCode, 403);
+          // the legitimate client's current tokens are revoked too
+          helper.postRefeshToken(rotated.refresh_token, function (error, response) {
+            assert.equal(response.statusCode, 403);
+            helper.getUserInfo(rotated.access_token, function (error, response) {
+              assert.equal(response.statusCode, 401);
+              AuditEvent.findOne({ event: 'refresh_token_reuse' }, function (err, event) {
+                assert.ifError(err);
+                assert.ok(event);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
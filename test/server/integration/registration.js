@@ -0,0 +1,199 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for OAuth 2.0 Dynamic Client Registration.
+ * See http://tools.ietf.org/html/rfc7591 and http://tools.ietf.org/html/rfc7592
+ */
+describe('Dynamic client registration', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  var metadata = {
+    client_name: 'Registered Client',
+    redirect_uris: ['https://client.example.org/callback', 'http://127.0.0.1:*/callback'],
+    scope: 'openid login',
+    logo_uri: 'https://client.example.org/logo.png',
+    policy_uri: 'https://client.example.org/policy.html',
+    contacts: ['admin@client.example.org'],
+    proxy_callback_uris: ['https://client.example.org/pgtCallback'],
+    grant_types: ['authorization_code', 'client_credentials'],
+    token_endpoint_auth_method: 'client_secret_post'
+  };
+  var registered;
+
+  it('should require the initial access token', function (done) {
+    helper.postRegistration(undefined, metadata, function (error, response) {
+      assert.equal(response.statusCode, 401);
+      helper.postRegistration('wrong', metadata, function (error, response) {
+        assert.equal(response.statusCode, 401);
+        done();
+      });
+    });
+  });
+  it('should register a client', function (done) {
+    helper.postRegistration(properties.registrationInitialAccessToken, metadata, function (error, response, body) {
+      assert.equal(response.statusCode, 201);
+      assert.ok(body.client_id);
+      assert.ok(body.client_secret);
+      assert.ok(body.registration_access_token);
+      assert.ok(body.registration_client_uri.indexOf(properties.register + '/' + body.client_id) !== -1);
+      assert.equal(body.client_secret_expires_at, 0);
+      assert.equal(body.client_name, metadata.client_name);
+      assert.deepEqual(body.redirect_uris, metadata.redirect_uris);
+      assert.equal(body.scope, metadata.scope);
+      assert.equal(body.logo_uri, metadata.logo_uri);
+      assert.equal(body.policy_uri, metadata.policy_uri);
+      assert.deepEqual(body.contacts, metadata.contacts);
+      assert.deepEqual(body.proxy_callback_uris, metadata.proxy_callback_uris);
+      assert.deepEqual(body.grant_types, metadata.grant_types);
+      assert.equal(body.token_endpoint_auth_method, 'client_secret_post');
+      registered = body;
+      done();
+    });
+  });
+  it('should let the registered client obtain tokens', function (done) {
+    helper.postOAuthClient({
+      clientId: registered.client_id,
+      clientSecret: registered.client_secret,
+      scope: 'login'
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.ok(JSON.parse(body).access_token);
+      done();
+    });
+  });
+  it('should read the registration with the registration access token only', function (done) {
+    helper.manageRegistration('get', registered.client_id, 'wrong', undefined, function (error, response) {
+      assert.equal(response.statusCode, 401);
+      helper.manageRegistration('get', registered.client_id, registered.registration_access_token, undefined,
+        function (error, response, body) {
+          assert.equal(response.statusCode, 200);
+          assert.equal(body.client_id, registered.client_id);
+          assert.equal(body.client_name, metadata.client_name);
+          assert.equal(body.registration_access_token, undefined);
+          done();
+        });
+    });
+  });
+  it('should replace the metadata on update', function (done) {
+    helper.manageRegistration('put', registered.client_id, registered.registration_access_token, {
+      client_id: registered.client_id,
+      client_name: 'Renamed Client',
+      redirect_uris: metadata.redirect_uris
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.equal(body.client_name, 'Renamed Client');
+      assert.equal(body.logo_uri, undefined);
+      assert.equal(body.token_endpoint_auth_method, 'client_secret_basic');
+      assert.deepEqual(body.grant_types, ['authorization_code']);
+      done();
+    });
+  });
+  it('should refuse the grant types the client did not register', function (done) {
+    helper.postOAuthClient({
+      clientId: registered.client_id,
+      clientSecret: registered.client_secret,
+      scope: 'login'
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 403);
+      assert.equal(JSON.parse(body).error, 'unauthorized_client');
+      done();
+    });
+  });
+  it('should reject invalid metadata', function (done) {
+    var token = properties.registrationInitialAccessToken;
+    helper.postRegistration(token, { redirect_uris: ['https://client.example.org/#fragment'] },
+      function (error, response, body) {
+        assert.equal(response.statusCode, 400);
+        assert.equal(body.error, 'invalid_redirect_uri');
+        helper.postRegistration(token, { scope: '*' }, function (error, response, body) {
+          assert.equal(response.statusCode, 400);
+          assert.equal(body.error, 'invalid_client_metadata');
+          helper.postRegistration(token, { token_endpoint_auth_method: 'unknown' }, function (error, response, body) {
+            assert.equal(response.statusCode, 400);
+            assert.equal(body.error, 'invalid_client_metadata');
+            helper.postRegistration(token, {
+              redirect_uris: metadata.redirect_uris,
+              backchannel_logout_uri: 'http://client.example.org/logout'
+            }, function (error, response, body) {
+              assert.equal(response.statusCode, 400);
+              assert.equal(body.error, 'invalid_client_metadata');
+              helper.postRegistration(token, {
+                redirect_uris: metadata.redirect_uris,
+                token_endpoint_auth_method: 'private_key_jwt',
+                jwks_uri: 'http://client.example.org/jwks.json'
+              }, function (error, response, body) {
+                assert.equal(response.statusCode, 400);
+                assert.equal(body.error, 'invalid_client_metadata');
+                done();
+              });
+            });
+          });
+        });
+      });
+  });
+  it('should refuse redirect_uris another client registered', function (done) {
+    helper.postRegistration(properties.registrationInitialAccessToken, {
+      redirect_uris: [properties.casService]
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(body.error, 'invalid_redirect_uri');
+      done();
+    });
+  });
+  it('should only accept HTTPS proxy_callback_uris', function (done) {
+    helper.postRegistration(properties.registrationInitialAccessToken, {
+      redirect_uris: metadata.redirect_uris,
+      proxy_callback_uris: ['http://client.example.org/pgtCallback']
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(body.error, 'invalid_client_metadata');
+      done();
+    });
+  });
+  it('should require redirect_uris unless the client only uses grants without redirection', function (done) {
+    var token = properties.registrationInitialAccessToken;
+    helper.postRegistration(token, { scope: 'login' }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(body.error, 'invalid_redirect_uri');
+      helper.postRegistration(token, { scope: 'login', grant_types: ['implicit'] }, function (error, response, body) {
+        assert.equal(response.statusCode, 400);
+        assert.equal(body.error, 'invalid_redirect_uri');
+        helper.postRegistration(token, { scope: 'login', grant_types: ['client_credentials'] },
+          function (error, response, body) {
+            assert.equal(response.statusCode, 201);
+            helper.manageRegistration('del', body.client_id, body.registration_access_token, undefined,
+              function () {
+                done();
+              });
+          });
+      });
+    });
+  });
+  it('should delete the registration and its tokens', function (done) {
+    helper.manageRegistration('del', registered.client_id, registered.registration_access_token, undefined,
+      function (error, response) {
+        assert.equal(response.statusCode, 204);
+        helper.manageRegistration('get', registered.client_id, registered.registration_access_token, undefined,
+          function (error, response) {
+            assert.equal(response.statusCode, 401);
+            helper.postOAuthClient({
+              clientId: registered.client_id,
+              clientSecret: registered.client_secret,
+              scope: 'login'
+            }, function (error, response) {
+              assert.equal(response.statusCode, 401);
+              done();
+            });
+          });
+      });
+  });
+});
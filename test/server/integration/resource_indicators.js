@@ -0,0 +1,90 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties,
+  config = require('../../../lib/config/config');
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for resource indicators: tokens asked for with a `resource` are only accepted by that resource server.
+ * See http://tools.ietf.org/html/rfc8707
+ */
+describe('Resource Indicators', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  var client = { clientId: properties.clientId, clientSecret: properties.clientSecret };
+  var resourceServer = { clientId: properties.resourceServerId, clientSecret: properties.resourceServerSecret };
+
+  it('should restrict the access token to the resource', function (done) {
+    helper.postOAuthClient({ resource: properties.resource }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      var accessToken = JSON.parse(body).access_token;
+      helper.postIntrospect(client, accessToken, function (error, response, body) {
+        var info = JSON.parse(body);
+        assert.equal(info.active, true);
+        assert.equal(info.aud, properties.resource);
+        // the resource server may only see tokens addressed to the client
+        helper.postIntrospect(resourceServer, accessToken, function (error, response, body) {
+          assert.equal(JSON.parse(body).active, false);
+          done();
+        });
+      });
+    });
+  });
+  it('should refuse a resource not registered for the client', function (done) {
+    helper.postOAuthClient({ resource: 'https://other.example.com/' }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(JSON.parse(body).error, 'invalid_target');
+      done();
+    });
+  });
+  it('should refuse a resource which is not an absolute URI', function (done) {
+    helper.postOAuthClient({ resource: 'api.example.com' }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(JSON.parse(body).error, 'invalid_target');
+      done();
+    });
+  });
+  it('should refuse any resource to a client without resources', function (done) {
+    helper.postOAuthClient({
+      clientId: properties.untrustedClientId,
+      clientSecret: properties.untrustedClientSecret,
+      resource: properties.resource
+    }, function (error, response, body) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(JSON.parse(body).error, 'invalid_target');
+      done();
+    });
+  });
+  it('should reject a token restricted to another resource at the API', function (done) {
+    helper.postOAuthClient({ resource: properties.resource }, function (error, response, body) {
+      helper.getClientInfo(JSON.parse(body).access_token, function (error, response) {
+        assert.equal(response.statusCode, 403);
+        done();
+      });
+    });
+  });
+  it('should accept a token restricted to the API', function (done) {
+    helper.postOAuthClient({ resource: config.rootUrl + '/api2' }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      helper.getClientInfo(JSON.parse(body).access_token, function (error, response) {
+        assert.equal(response.statusCode, 200);
+        done();
+      });
+    });
+  });
+  it('should accept an unrestricted token at the API', function (done) {
+    helper.postOAuthClient({}, function (error, response, body) {
+      helper.getClientInfo(JSON.parse(body).access_token, function (error, response) {
+        assert.equal(response.statusCode, 200);
+        done();
+      });
+    });
+  });
+});
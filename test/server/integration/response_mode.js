@@ -0,0 +1,81 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  properties = require('../common').properties;
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for the response_mode of authorization requests.
+ * See http://openid.net/specs/oauth-v2-multiple-response-types-1_0.html#ResponseModes
+ * and http://openid.net/specs/oauth-v2-form-post-response-mode-1_0.html
+ */
+describe('Response modes', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+
+  before(function (done) {
+    helper.login(function () {
+      done();
+    });
+  });
+
+  it('should post the code with an auto-submitting form', function (done) {
+    helper.getAuthorization({ responseMode: 'form_post', state: 'posted' }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.headers['cache-control'], 'no-cache, no-store');
+      assert.ok(body.indexOf('<form method="post" action="' + properties.redirect + '">') !== -1);
+      assert.ok(/<input type="hidden" name="code" value="[^"]+"\/>/.test(body));
+      assert.ok(body.indexOf('<input type="hidden" name="state" value="posted"/>') !== -1);
+      done();
+    });
+  });
+  it('should post the access token with an auto-submitting form', function (done) {
+    helper.getAuthorization({ responseType: 'token', responseMode: 'form_post' }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.ok(/<input type="hidden" name="access_token" value="[^"]+"\/>/.test(body));
+      done();
+    });
+  });
+  it('should return the code in the fragment', function (done) {
+    helper.getAuthorization({ responseMode: 'fragment' }, function (error, response) {
+      assert.equal(response.request.href.indexOf('/#code='), properties.redirect.length - 1);
+      done();
+    });
+  });
+  it('should refuse to return an access token in the query', function (done) {
+    helper.getAuthorization({ responseType: 'token', responseMode: 'query' }, function (error, response) {
+      assert.equal(response.statusCode, 400);
+      done();
+    });
+  });
+  it('should refuse a response mode the client did not declare', function (done) {
+    helper.getAuthorization({ clientId: properties.untrustedClientId, responseMode: 'form_post' },
+      function (error, response) {
+        assert.equal(response.statusCode, 403);
+        done();
+      });
+  });
+  it('should post the errors too', function (done) {
+    helper.logout(function () {
+      helper.getAuthorization({ responseMode: 'form_post', prompt: 'none' }, function (error, response, body) {
+        assert.equal(response.statusCode, 200);
+        assert.ok(body.indexOf('<input type="hidden" name="error" value="login_required"/>') !== -1);
+        helper.login(function () {
+          done();
+        });
+      });
+    });
+  });
+  it('should post the CAS ticket with method=POST', function (done) {
+    helper.getCasLogin({ method: 'POST' }, function (error, response, body) {
+      assert.equal(response.statusCode, 200);
+      assert.ok(/<input type="hidden" name="ticket" value="ST-[^"]+"\/>/.test(body));
+      done();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert'),
+  helper = require('../common').request,
+  validate = require('../common').validate,
+  properties = require('../common').properties;
+
+before(function (done) {
+  helper.waitForServerReady(done); // ensure server is up
+});
+
+/**
+ * Tests for OAuth 2.0 Token Revocation.
+ * See http://tools.ietf.org/html/rfc7009
+ */
+describe('Token Revocation', function () {
+  //set the time out to be 20 seconds
+  this.timeout(20000);
+  beforeEach(function (done) {
+    helper.logout(function () {
+      done();
+    });
+  });
+
+  it('should revoke an access token', function (done) {
+    helper.postOAuthPassword('profile', function (error, response, body) {
+      var tokens = JSON.parse(body);
+      helper.postRevoke({}, tokens.access_token, function (error, response) {
+        assert.equal(response.statusCode, 200);
+        helper.getUserInfo(tokens.access_token, function (error, response) {
+          assert.equal(response.statusCode, 401);
+          done();
+        });
+      });
+    });
+  });
+  it('should revoke a refresh token and the access tokens minted from it', function (done) {
+    helper.postOAuthPassword('offline_access profile', function (error, response, body) {
+      validate.validateAccessRefreshToken(response, body);
+      var tokens = JSON.parse(body);
+      helper.postRefeshToken(tokens.refresh_token, function (error, response, body) {
+        validate.validateAccessRefreshToken(response, body);
+        var refreshed = JSON.parse(body);
+        helper.postRevoke({ tokenTypeHint: 'refresh_token' }, tokens.refresh_token, function (error, response) {
+          assert.equal(response.statusCode, 200);
+          helper.getUserInfo(tokens.access_token, function (error, response) {
+            assert.equal(response.statusCode, 401);
+            helper.getUserInfo(refreshed.access_token, function (error, response) {
+              assert.equal(response.statusCode, 401);
+              helper.postRefeshToken(refreshed.refresh_token, function (error, response) {
+                assert.equal(response.statusCode, 403);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+  it('should not revoke a token issued to another client', function (done) {
+    helper.postOAuthPassword('profile', function (error, response, body) {
+      var tokens = JSON.parse(body);
+      helper.postRevoke({
+        clientId: properties.casClientId,
+        clientSecret: properties.casClientSecret
+      }, tokens.access_token, function (error, response) {
+        assert.equal(response.statusCode, 200);
+        helper.getUserInfo(tokens.access_token, function (error, response, body) {
+          validate.validateUserJson(response, body);
+          done();
+        });
+      });
+    });
+  });
+  it('should accept an unknown token', function (done) {
+    helper.postRevoke({}, 'someinvalidtoken', function (error, response) {
+      assert.equal(response.statusCode, 200);
+      done();
+    });
+  });
+});
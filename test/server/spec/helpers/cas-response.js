@@ -0,0 +1,41 @@
+'use strict';
+
+var assert = require('assert');
+
+var casResponse = require('../../../../lib/helpers/cas-response');
+
+describe('CAS response helper', function () {
+  var success = {
+    authenticationSuccess: {
+      user: 'test',
+      attributes: { email: 'test@test.com', groups: ['staff', 'admins'] },
+      proxies: ['https://proxy2.example.org/', 'https://proxy1.example.org/']
+    }
+  };
+
+  it('should serialize a success as XML', function () {
+    assert.equal(casResponse.toXml(success), '<cas:serviceResponse xmlns:cas="http://www.yale.edu/tp/cas">' +
+      '<cas:authenticationSuccess><cas:user>test</cas:user><cas:attributes><cas:email>test@test.com</cas:email>' +
+      '<cas:groups>staff</cas:groups><cas:groups>admins</cas:groups></cas:attributes><cas:proxies>' +
+      '<cas:proxy>https://proxy2.example.org/</cas:proxy><cas:proxy>https://proxy1.example.org/</cas:proxy>' +
+      '</cas:proxies></cas:authenticationSuccess></cas:serviceResponse>');
+  });
+
+  it('should serialize a failure with its code as XML', function () {
+    assert.equal(casResponse.toXml({ authenticationFailure: { code: 'INVALID_TICKET', description: 'Ticket <x>' } }),
+      '<cas:serviceResponse xmlns:cas="http://www.yale.edu/tp/cas">' +
+      '<cas:authenticationFailure code="INVALID_TICKET">Ticket &lt;x&gt;</cas:authenticationFailure>' +
+      '</cas:serviceResponse>');
+  });
+
+  it('should escape values and leave out undefined ones', function () {
+    assert.equal(casResponse.toXml({ authenticationSuccess: { user: 'a&b"', proxyGrantingTicket: undefined } }),
+      '<cas:serviceResponse xmlns:cas="http://www.yale.edu/tp/cas">' +
+      '<cas:authenticationSuccess><cas:user>a&amp;b&quot;</cas:user></cas:authenticationSuccess>' +
+      '</cas:serviceResponse>');
+  });
+
+  it('should serialize the same response as JSON', function () {
+    assert.deepEqual(JSON.parse(casResponse.toJson(success)), { serviceResponse: success });
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+var assert = require('assert');
+
+var jwt = require('../../../../lib/helpers/jwt'),
+  jwk = require('../../../../lib/helpers/jwk');
+
+describe('JWK helper', function () {
+  //key generation is slow
+  this.timeout(20000);
+  var keys;
+
+  before(function (done) {
+    jwt.generateKeyPair(1024, function (err, pair) {
+      keys = pair;
+      done(err);
+    });
+  });
+
+  it('should give the same JWK for the private and public key', function () {
+    assert.deepEqual(jwk.fromPem(keys.privateKey), jwk.fromPem(keys.publicKey));
+    assert.equal(jwk.fromPem(keys.publicKey).e, 'AQAB');
+  });
+
+  it('should verify a token with the public key converted back from its JWK', function (done) {
+    var token = jwt.sign({ sub: 'me' }, keys.privateKey);
+    jwt.verify(token, jwk.toPem(jwk.fromPem(keys.publicKey)), function (err, payload) {
+      assert.ifError(err);
+      assert.equal(payload.sub, 'me');
+      done();
+    });
+  });
+
+  it('should reject a JWK which is not RSA', function () {
+    assert.throws(function () {
+      jwk.toPem({ kty: 'EC', crv: 'P-256', x: 'x', y: 'y' });
+    }, /Unsupported JWK/);
+  });
+
+  it('should compute the RFC 7638 thumbprint', function () {
+    // example from RFC 7638 section 3.1
+    var key = {
+      kty: 'RSA',
+      n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3o' +
+        'knjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZH' +
+        'zu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8a' +
+        'wapJzKnqDKgw',
+      e: 'AQAB',
+      alg: 'RS256',
+      kid: '2011-04-29'
+    };
+    assert.equal(jwk.thumbprint(key), 'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+  });
+});
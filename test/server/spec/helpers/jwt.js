@@ -0,0 +1,88 @@
+'use strict';
+
+var assert = require('assert');
+
+var jwt = require('../../../../lib/helpers/jwt');
+
+describe('JWT helper', function () {
+  //key generation is slow
+  this.timeout(20000);
+  var keys;
+
+  before(function (done) {
+    jwt.generateKeyPair(1024, function (err, pair) {
+      keys = pair;
+      done(err);
+    });
+  });
+
+  it('should round trip an RS256 token', function (done) {
+    var token = jwt.sign({ sub: 'me', exp: jwt.now() + 60 }, keys.privateKey, { kid: 'k1' });
+    jwt.verify(token, keys.publicKey, function (err, payload, header) {
+      assert.ifError(err);
+      assert.equal(payload.sub, 'me');
+      assert.equal(header.kid, 'k1');
+      done();
+    });
+  });
+
+  it('should round trip an HS256 token', function (done) {
+    var token = jwt.sign({ sub: 'me' }, 'secret', { alg: 'HS256' });
+    jwt.verify(token, 'secret', { algorithms: ['HS256'] }, function (err, payload) {
+      assert.ifError(err);
+      assert.equal(payload.sub, 'me');
+      done();
+    });
+  });
+
+  it('should reject a token signed with another key', function (done) {
+    var token = jwt.sign({ sub: 'me' }, 'secret', { alg: 'HS256' });
+    jwt.verify(token, 'other', { algorithms: ['HS256'] }, function (err) {
+      assert.equal(err.message, 'Invalid JWT signature');
+      done();
+    });
+  });
+
+  it('should reject an algorithm that was not allowed', function (done) {
+    var token = jwt.sign({ sub: 'me' }, 'secret', { alg: 'HS256' });
+    jwt.verify(token, keys.publicKey, function (err) {
+      assert.equal(err.message, 'Unsupported JWT algorithm HS256');
+      done();
+    });
+  });
+
+  it('should reject an expired token', function (done) {
+    var token = jwt.sign({ sub: 'me', exp: jwt.now() - 1 }, keys.privateKey);
+    jwt.verify(token, keys.publicKey, function (err) {
+      assert.equal(err.message, 'JWT expired');
+      done();
+    });
+  });
+
+  it('should accept an expired token when asked to ignore the expiration', function (done) {
+    var token = jwt.sign({ sub: 'me', exp: jwt.now() - 1 }, keys.privateKey);
+    jwt.verify(token, keys.publicKey, { ignoreExpiration: true }, function (err, payload) {
+      assert.ifError(err);
+      assert.equal(payload.sub, 'me');
+      done();
+    });
+  });
+
+  it('should check the audience and issuer', function (done) {
+    var token = jwt.sign({ iss: 'me', aud: ['a', 'b'] }, keys.privateKey);
+    jwt.verify(token, keys.publicKey, { audience: 'b', issuer: 'me' }, function (err) {
+      assert.ifError(err);
+      jwt.verify(token, keys.publicKey, { audience: 'c' }, function (err) {
+        assert.equal(err.message, 'Invalid JWT audience');
+        done();
+      });
+    });
+  });
+
+  it('should reject a malformed token', function (done) {
+    jwt.verify('not.a.jwt', keys.publicKey, function (err) {
+      assert.equal(err.message, 'Malformed JWT');
+      done();
+    });
+  });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+var assert = require('assert');
+
+var pkce = require('../../../../lib/helpers/pkce');
+
+describe('PKCE helper', function () {
+  // example from RFC 7636 appendix B
+  var verifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+  var challenge = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+
+  it('should derive the S256 challenge', function () {
+    assert.equal(pkce.challenge(verifier, 'S256'), challenge);
+  });
+
+  it('should verify S256 and plain challenges', function () {
+    assert.ok(pkce.verify(challenge, 'S256', verifier));
+    assert.ok(pkce.verify(verifier, 'plain', verifier));
+  });
+
+  it('should reject a verifier that does not match', function () {
+    assert.ok(!pkce.verify(challenge, 'S256', verifier.replace('d', 'e')));
+    assert.ok(!pkce.verify(challenge, 'plain', verifier));
+    assert.ok(!pkce.verify(verifier, 'S512', verifier));
+  });
+
+  it('should reject a malformed verifier', function () {
+    assert.ok(!pkce.isWellFormed('too-short'));
+    assert.ok(!pkce.isWellFormed(verifier + '+'));
+    assert.ok(!pkce.isWellFormed(undefined));
+    assert.ok(!pkce.verify('too-short', 'plain', 'too-short'));
+  });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+var assert = require('assert');
+
+var redirectUri = require('../../../../lib/helpers/redirect-uri');
+
+describe('Redirect URI helper', function () {
+  var registered = ['https://client.example.org/callback', 'http://127.0.0.1:*/callback'];
+
+  it('should match registered redirect URIs exactly', function () {
+    assert.ok(redirectUri.matches(registered, 'https://client.example.org/callback'));
+    assert.ok(!redirectUri.matches(registered, 'https://client.example.org/callback/more'));
+    assert.ok(!redirectUri.matches(registered, 'https://client.example.org.evil.com/callback'));
+    assert.ok(!redirectUri.matches(registered, 'https://client.example.org/callback?x=1'));
+    assert.ok(!redirectUri.matches(registered, undefined));
+  });
+
+  it('should match any port of a loopback pattern', function () {
+    assert.ok(redirectUri.matches(registered, 'http://127.0.0.1:51004/callback'));
+    assert.ok(redirectUri.matches(registered, 'http://127.0.0.1/callback'));
+    assert.ok(!redirectUri.matches(registered, 'http://127.0.0.1:51004/other'));
+    assert.ok(!redirectUri.matches(registered, 'http://localhost:51004/callback'));
+  });
+
+  it('should only allow patterns on loopback hosts', function () {
+    assert.ok(redirectUri.isValid('http://localhost:*/'));
+    assert.ok(redirectUri.isPattern('http://localhost:*/'));
+    assert.ok(!redirectUri.isPattern('http://localhost:9000/'));
+    assert.ok(redirectUri.isValid('http://[::1]:*/callback'));
+    assert.ok(!redirectUri.isValid('https://client.example.org:*/callback'));
+    assert.ok(!redirectUri.isValid('https://*.example.org/callback'));
+  });
+
+  it('should reject URIs that cannot be registered', function () {
+    assert.ok(redirectUri.isValid('https://client.example.org/callback'));
+    assert.ok(!redirectUri.isValid('https://client.example.org/callback#fragment'));
+    assert.ok(!redirectUri.isValid('/callback'));
+    assert.ok(!redirectUri.isValid('ftp://client.example.org/callback'));
+  });
+});
@@ -0,0 +1,36 @@
+'use strict';
+/*jshint camelcase: false */
+
+var assert = require('assert');
+
+var responseMode = require('../../../../lib/helpers/response-mode');
+
+describe('Response mode helper', function () {
+  var redirectURI = 'https://client.example.org/cb?app=1';
+
+  it('should default to the fragment for tokens only', function () {
+    assert.equal(responseMode.defaultMode('code'), 'query');
+    assert.equal(responseMode.defaultMode('cas'), 'query');
+    assert.equal(responseMode.defaultMode('token'), 'fragment');
+    assert.equal(responseMode.defaultMode('code id_token'), 'fragment');
+  });
+
+  it('should never return tokens in the query', function () {
+    assert.ok(responseMode.isAllowed('query', 'code'));
+    assert.ok(responseMode.isAllowed('form_post', 'token'));
+    assert.ok(!responseMode.isAllowed('query', 'token'));
+    assert.ok(!responseMode.isAllowed('web_message', 'code'));
+  });
+
+  it('should find the response parameters of a redirect', function () {
+    assert.deepEqual(responseMode.responseParams(redirectURI, redirectURI + '&code=abc&state=xyz'),
+      { code: 'abc', state: 'xyz' });
+    assert.deepEqual(responseMode.responseParams(redirectURI, redirectURI + '#access_token=abc&state=xyz'),
+      { access_token: 'abc', state: 'xyz' });
+  });
+
+  it('should format the response parameters in the query or fragment', function () {
+    assert.equal(responseMode.format(redirectURI, { code: 'abc' }, 'query'), redirectURI + '&code=abc');
+    assert.equal(responseMode.format(redirectURI, { code: 'abc' }, 'fragment'), redirectURI + '#code=abc');
+  });
+});
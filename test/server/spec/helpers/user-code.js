@@ -0,0 +1,29 @@
+'use strict';
+
+var assert = require('assert');
+
+var userCode = require('../../../../lib/helpers/user-code');
+
+describe('User code helper', function () {
+  it('should generate normalized codes', function () {
+    var code = userCode.generate();
+    assert.equal(code.length, userCode.length);
+    assert.equal(userCode.normalize(code), code);
+    assert.notEqual(userCode.generate(), code);
+  });
+
+  it('should format codes for display', function () {
+    assert.equal(userCode.format('WDJBMJHT'), 'WDJB-MJHT');
+  });
+
+  it('should ignore case, dashes and spaces', function () {
+    assert.equal(userCode.normalize('wdjb-mjht'), 'WDJBMJHT');
+    assert.equal(userCode.normalize(' WDJB MJHT '), 'WDJBMJHT');
+  });
+
+  it('should reject values that cannot be user codes', function () {
+    assert.equal(userCode.normalize('WDJB-MJH'), null);
+    assert.equal(userCode.normalize('WDJB-MJHA'), null);
+    assert.equal(userCode.normalize(undefined), null);
+  });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+describe('Controller: ApplicationsCtrl', function () {
+
+  // load the controller's module
+  beforeEach(module('meanSsoApp'));
+
+  var ApplicationsCtrl,
+    scope,
+    $httpBackend;
+
+  // Initialize the controller and a mock scope
+  beforeEach(inject(function (_$httpBackend_, $controller, $rootScope) {
+    $httpBackend = _$httpBackend_;
+    $httpBackend.expectGET('/api2/me/applications')
+      .respond([{ id: '123', name: 'Samplr2', scope: ['login'] }]);
+    scope = $rootScope.$new();
+    ApplicationsCtrl = $controller('ApplicationsCtrl', {
+      $scope: scope
+    });
+  }));
+
+  it('should attach my connected applications to the scope', function () {
+    $httpBackend.flush();
+    expect(scope.applications.length).toBe(1);
+    expect(scope.applications[0].name).toBe('Samplr2');
+  });
+
+  it('should remove a revoked application', function () {
+    $httpBackend.flush();
+    $httpBackend.expectDELETE('/api2/me/applications/123').respond(200);
+    scope.revoke(scope.applications[0]);
+    $httpBackend.flush();
+    expect(scope.applications.length).toBe(0);
+  });
+});
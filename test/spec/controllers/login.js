@@ -0,0 +1,29 @@
+'use strict';
+
+describe('Controller: LoginCtrl', function () {
+
+  // load the controller's module
+  beforeEach(module('meanSsoApp'));
+
+  var scope,
+    $location,
+    $controller;
+
+  // Initialize the controller dependencies and a mock scope
+  beforeEach(inject(function (_$location_, _$controller_, $rootScope) {
+    $location = _$location_;
+    $controller = _$controller_;
+    scope = $rootScope.$new();
+  }));
+
+  it('should prefill the login_hint', function () {
+    $location.search('login_hint', 'test@test.com');
+    $controller('LoginCtrl', { $scope: scope, Auth: {} });
+    expect(scope.user.email).toBe('test@test.com');
+  });
+
+  it('should start empty without a login_hint', function () {
+    $controller('LoginCtrl', { $scope: scope, Auth: {} });
+    expect(scope.user.email).toBeUndefined();
+  });
+});